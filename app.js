@@ -119,6 +119,10 @@ Application.prototype.bootstrap = function bootstrap(cb) {
 
     self.setupServices();
 
+    // before listening, so no request misses the mitigations set before a
+    // restart
+    self.clients.restoreRuntimeState();
+
     self.clients.bootstrap(onClientsReady);
 
     function onClientsReady(err) {
@@ -131,6 +135,9 @@ Application.prototype.bootstrap = function bootstrap(cb) {
         // necessary to expose app through repl
         self.clients.repl.setApp(self);
 
+        // catch up with the kill switches set while this node was away
+        self.services.entryNode.pullKillSwitches(noop);
+
         cb(null);
     }
 };
@@ -280,3 +287,5 @@ function destroy(opts) {
     self.clients.destroy();
     self.emit('destroy');
 };
+
+function noop() {}
@@ -136,6 +136,12 @@ Admin.prototype.run = function run(cb) {
             argv: argv
         });
         rateLimiter.run(cb);
+    } else if (endpoint === 'circuits') {
+        var circuits = Circuits({
+            admin: self,
+            argv: argv
+        });
+        circuits.run(cb);
     } else if (endpoint === 'channels') {
         var channels = Channels({
             admin: self,
@@ -150,23 +156,43 @@ Admin.prototype.run = function run(cb) {
 
 Admin.prototype.help = function help() {
     /*eslint no-console: 0 */
+    /*eslint max-statements: 0*/
     console.log('admin');
     console.log('    -h | --help:                                     print help message');
     console.log('    -j | --json:                                     print JSON');
     console.log('admin kill-switch');
     console.log('    query:                                           query existing kill switch tables');
+    console.log('    consistency:                                     report the nodes whose kill switches differ from the newest ones');
+    console.log('    sync:                                            push the kill switches of the hosts to every node');
     console.log('    -b | --block "cn~~serviceName":                  set a kill switch for cn and serviceName');
-    console.log('    -u | --unblock "cn~~serviceName":                clear the kill switch for cn and serviceName');
+    console.log('    -b | --block "cn~~serviceName~~endpoint":        set a kill switch for cn and an endpoint of serviceName');
+    console.log('    --percent {number}:                              with --block, drop only this percentage of the requests');
+    console.log('    --local:                                         with --block or --unblock, do not propagate to the other nodes');
+    console.log('    --ttl {integer} (ms):                            with --block, clear the kill switch after ttl');
+    console.log('    --reason {string}:                               with --block, why the kill switch is set');
+    console.log('    --operator {string}:                             with --block, who sets the kill switch');
+    console.log('    -u | --unblock "cn~~serviceName[~~endpoint]":    clear the kill switch for cn and serviceName (and endpoint)');
     console.log('admin rate-limiter');
     console.log('    query:                                           query existing rate limiter settings');
     console.log('    enable:                                          enable rate limiter');
     console.log('    disable:                                         disable rate limiter');
     console.log('    limit S {integer} (req/second):                  set the RPS limit per service');
+    console.log('    --mode token-bucket|sliding-window:              with limit, choose how the service is limited');
+    console.log('    --burst {integer}:                               with token-bucket, the burst allowed (default: the limit)');
     console.log('    limit S default:                                 set the RPS limit per service as the default value');
     console.log('    total-limit {integer} (req/second):              set the total RPS limit per node');
     console.log('    total-limit default:                             set the total RPS limit per node as the default value');
+    console.log('    edge-limit "cn~~serviceName" {integer} (req/second): set the RPS limit of cn to the service');
+    console.log('    edge-limit "cn~~serviceName" default:            remove the RPS limit of cn to the service');
     console.log('    admin rate-limiter exempt add {serviceName}:     set the service exempt by rate limiter');
     console.log('    admin rate-limiter exempt remove {serviceName}:  remove the service exempt by rate limiter');
+    console.log('admin circuits');
+    console.log('    query:                                           query existing circuits');
+    console.log('    query --history:                                 also print their recent state transitions');
+    console.log('    healthy "cn~~serviceName~~endpoint":             force the circuit healthy');
+    console.log('    unhealthy "cn~~serviceName~~endpoint":           force the circuit unhealthy');
+    console.log('    --ttl {integer} (ms):                            with (un)healthy, pin the circuit for ttl');
+    console.log('    reset "cn~~serviceName~~endpoint":               unpin the circuit and clear its counters');
     console.log('admin channels');
     console.log('    query:                                           query existing channels');
     process.exit(0);
@@ -288,7 +314,9 @@ RateLimiter.prototype.run = function run(cb) {
     } else if (option === 'limit' && typeof param1 === 'string' && typeof param2 === 'number') {
         self.admin.send('rate_limiter_limit_v1', {
             serviceName: param1,
-            limit: param2
+            limit: param2,
+            mode: argv.mode,
+            burst: argv.burst
         }, IdentityResultType, cb);
     } else if (option === 'total-limit' && typeof param1 === 'number') {
         self.admin.send('rate_limiter_total_limit_v1', {
@@ -296,6 +324,14 @@ RateLimiter.prototype.run = function run(cb) {
         }, IdentityResultType, cb);
     } else if (option === 'total-limit' && param1 === 'default') {
         self.admin.send('rate_limiter_total_limit_v1', null, IdentityResultType, cb);
+    } else if (option === 'edge-limit' && typeof param1 === 'string' && param1.split('~~').length === 2 &&
+        (typeof param2 === 'number' || param2 === 'default')) {
+        var edge = param1.split('~~');
+        self.admin.send('rate_limiter_edge_limit_v1', {
+            cn: edge[0],
+            serviceName: edge[1],
+            limit: param2 === 'default' ? null : param2
+        }, IdentityResultType, cb);
     } else if (option === 'exempt' && (param1 === 'add' || param1 === 'remove') && typeof param2 === 'string') {
         self.admin.send('rate_limiter_exempt_v1', {
             type: param1,
@@ -344,6 +380,28 @@ RateLimiterQuery.prototype.toString = function toString() {
         res += '        ' + key + ': ' + self.settings.rpsLimitForServiceName[key] + '\n';
     }
 
+    res += '    cluster RPS limit for services (local share): \n';
+    var clusterLimits = self.settings.clusterRpsLimitForServiceName || {};
+    keys = Object.keys(clusterLimits);
+    if (!keys.length) {
+        res += '        empty';
+    }
+    for (i = 0; i < keys.length; i++) {
+        key = keys[i];
+        res += '        ' + key + ': ' + clusterLimits[key] +
+            ' (' + self.settings.localRpsLimitForServiceName[key] + ')\n';
+    }
+
+    res += '    RPS limit for edges: \n';
+    keys = Object.keys(self.settings.rpsLimitForEdge || {});
+    if (!keys.length) {
+        res += '        empty';
+    }
+    for (i = 0; i < keys.length; i++) {
+        key = keys[i];
+        res += '        ' + key.replace('~~', ' ==> ') + ': ' + self.settings.rpsLimitForEdge[key] + '\n';
+    }
+
     res += '    RPS for services: \n';
     keys = Object.keys(self.settings.serviceCounters);
     if (!keys.length) {
@@ -354,6 +412,19 @@ RateLimiterQuery.prototype.toString = function toString() {
         res += '        ' + key + ': ' + self.settings.serviceCounters[key].rps + '\n';
     }
 
+    res += '    concurrency limiting enabled: ' + self.settings.concurrencyLimitingEnabled + '\n' +
+        '    in flight / concurrency limit (rejected) for services: \n';
+    var concurrency = self.settings.concurrencyForServiceName || {};
+    keys = Object.keys(concurrency);
+    if (!keys.length) {
+        res += '        empty';
+    }
+    for (i = 0; i < keys.length; i++) {
+        key = keys[i];
+        res += '        ' + key + ': ' + concurrency[key].inflight + ' / ' +
+            concurrency[key].limit + ' (' + concurrency[key].rejected + ')\n';
+    }
+
     return res;
 };
 
@@ -374,7 +445,11 @@ RateLimiterQuery.prototype.toJson = function toJson() {
         totalRps: self.settings.totalRequestCounter.rps,
         totalRpsLimit: self.settings.totalRpsLimit,
         rpsForServices: rpsForServices,
-        rpsLimitForServices: self.settings.rpsLimitForServiceName
+        rpsLimitForServices: self.settings.rpsLimitForServiceName,
+        clusterRpsLimitForServices: self.settings.clusterRpsLimitForServiceName || {},
+        localRpsLimitForServices: self.settings.localRpsLimitForServiceName || {},
+        rpsLimitForEdges: self.settings.rpsLimitForEdge || {},
+        concurrencyForServices: self.settings.concurrencyForServiceName || {}
     };
 
     return JSON.stringify(object);
@@ -392,22 +467,30 @@ function KillSwitch(options) {
     self.endpoint = 'kill_switch_v1';
 }
 
-KillSwitch.prototype.block = function block(cn, serviceName, cb) {
+KillSwitch.prototype.block = function block(cn, serviceName, options, cb) {
     var self = this;
     var body = {
         type: 'block',
         cn: cn,
-        serviceName: serviceName
+        serviceName: serviceName,
+        local: options.local,
+        endpoint: options.endpoint,
+        percent: options.percent,
+        ttl: options.ttl,
+        reason: options.reason,
+        operator: options.operator
     };
     self.admin.send(self.endpoint, body, IdentityResultType, cb);
 };
 
-KillSwitch.prototype.unblock = function unblock(cn, serviceName, cb) {
+KillSwitch.prototype.unblock = function unblock(cn, serviceName, options, cb) {
     var self = this;
     var body = {
         type: 'unblock',
         cn: cn,
-        serviceName: serviceName
+        serviceName: serviceName,
+        local: options.local,
+        endpoint: options.endpoint
     };
     self.admin.send(self.endpoint, body, IdentityResultType, cb);
 };
@@ -422,6 +505,22 @@ KillSwitch.prototype.query = function query(cb) {
     self.admin.send(self.endpoint, body, KillSwitchQuery, cb);
 };
 
+KillSwitch.prototype.consistency = function consistency(cb) {
+    var self = this;
+    var body = {
+        type: 'consistency'
+    };
+    self.admin.send(self.endpoint, body, KillSwitchConsistency, cb);
+};
+
+KillSwitch.prototype.sync = function sync(cb) {
+    var self = this;
+    var body = {
+        type: 'sync'
+    };
+    self.admin.send(self.endpoint, body, IdentityResultType, cb);
+};
+
 KillSwitch.prototype.run = function run(cb) {
     var self = this;
 
@@ -431,14 +530,28 @@ KillSwitch.prototype.run = function run(cb) {
 
     if (argv._[1] === 'query') {
         self.query(cb);
+    } else if (argv._[1] === 'consistency') {
+        self.consistency(cb);
+    } else if (argv._[1] === 'sync') {
+        self.sync(cb);
     } else if (unblock) {
         var unblocks = unblock.split('~~');
-        assert(unblocks.length === 2, 'both cn and serviceName should be provided');
-        self.unblock(unblocks[0], unblocks[1], cb);
+        assert(unblocks.length === 2 || unblocks.length === 3, 'both cn and serviceName should be provided');
+        self.unblock(unblocks[0], unblocks[1], {
+            local: !!argv.local,
+            endpoint: unblocks[2] || null
+        }, cb);
     } else if (block) {
         var blocks = block.split('~~');
-        assert(blocks.length === 2, 'both cn and serviceName should be provided');
-        self.block(blocks[0], blocks[1], cb);
+        assert(blocks.length === 2 || blocks.length === 3, 'both cn and serviceName should be provided');
+        self.block(blocks[0], blocks[1], {
+            local: !!argv.local,
+            endpoint: blocks[2] || null,
+            percent: argv.percent,
+            ttl: argv.ttl,
+            reason: argv.reason === undefined ? null : String(argv.reason),
+            operator: argv.operator === undefined ? null : String(argv.operator)
+        }, cb);
     } else {
         self.admin.help();
     }
@@ -467,12 +580,70 @@ KillSwitchQuery.prototype.toString = function toString() {
     var keys = Object.keys(self.blockingTable);
     for (var i = 0; i < keys.length; i++) {
         var key = keys[i];
-        res += '    ' + key.replace('~~', ' ==> ') + '\n';
+        res += '    ' + key.replace('~~', ' ==> ') +
+            describeKillSwitch(self.blockingTable[key]) + '\n';
+    }
+
+    return res;
+};
+
+function KillSwitchConsistency(host, body) {
+    if (!(this instanceof KillSwitchConsistency)) {
+        return new KillSwitchConsistency(host, body);
+    }
+
+    var self = this;
+
+    self.host = host;
+    self.result = body;
+}
+
+KillSwitchConsistency.prototype.toString = function toString() {
+    var self = this;
+
+    var res = self.host + '\n' +
+        '    newest version: ' + self.result.version + '\n' +
+        '    disagreeing nodes: \n';
+    if (!self.result.disagreeing.length) {
+        res += '        none';
+    }
+    for (var i = 0; i < self.result.disagreeing.length; i++) {
+        var node = self.result.nodes[self.result.disagreeing[i]];
+        res += '        ' + self.result.disagreeing[i] + ': ' +
+            (node.err ? 'error ' + (node.err.message || node.err.type) :
+                'behind on ' + node.behind.join(', ')) +
+            '\n';
     }
 
     return res;
 };
 
+KillSwitchConsistency.prototype.toJson = function toJson() {
+    var self = this;
+
+    return JSON.stringify({
+        host: self.host,
+        version: self.result.version,
+        nodes: self.result.nodes,
+        disagreeing: self.result.disagreeing
+    });
+};
+
+// Hosts from before kill switches had a ttl only store when they were set
+function describeKillSwitch(entry) {
+    if (typeof entry !== 'object' || entry === null) {
+        return '';
+    }
+
+    return (entry.percent < 100 ? ' drops ' + entry.percent + '%' : '') +
+        ' (blocked at ' + new Date(entry.blockedAt).toISOString() +
+        ' by ' + (entry.operator || 'unknown') +
+        (entry.reason ? ': ' + entry.reason : '') +
+        (entry.expiresAt !== null ?
+            ', expires at ' + new Date(entry.expiresAt).toISOString() :
+            ', never expires') + ')';
+}
+
 KillSwitchQuery.prototype.toJson = function toJson() {
     var self = this;
 
@@ -487,9 +658,113 @@ KillSwitchQuery.prototype.toJson = function toJson() {
         if (!object[services[0]]) {
             object[services[0]] = [];
         }
-        object[services[0]].push(services[1]);
+        object[services[0]].push(services.slice(1).join('~~'));
+    }
+    object.blockingTable = self.blockingTable;
+
+    return JSON.stringify(object);
+};
+
+function Circuits(options) {
+    if (!(this instanceof Circuits)) {
+        return new Circuits(options);
+    }
+
+    var self = this;
+    self.argv = options.argv;
+    self.admin = options.admin;
+    self.hosts = options.admin.hosts;
+    self.endpoint = 'circuits_v1';
+}
+
+Circuits.prototype.query = function query(history, cb) {
+    var self = this;
+    var body = {
+        type: 'query',
+        history: history
+    };
+    self.admin.send(self.endpoint, body, CircuitsQuery, cb);
+};
+
+Circuits.prototype.update = function update(type, tuple, ttl, cb) {
+    var self = this;
+    var parts = tuple.split('~~');
+    assert(parts.length === 3, 'cn, serviceName and endpoint should be provided');
+    var body = {
+        type: type,
+        cn: parts[0],
+        serviceName: parts[1],
+        endpointName: parts[2],
+        ttl: ttl
+    };
+    self.admin.send(self.endpoint, body, IdentityResultType, cb);
+};
+
+Circuits.prototype.run = function run(cb) {
+    var self = this;
+    var argv = self.argv;
+    var option = argv._[1];
+    var tuple = argv._[2];
+
+    if (option === 'query') {
+        self.query(!!argv.history, cb);
+    } else if ((option === 'healthy' || option === 'unhealthy') && typeof tuple === 'string') {
+        self.update(option, tuple, argv.ttl, cb);
+    } else if (option === 'reset' && typeof tuple === 'string') {
+        self.update(option, tuple, null, cb);
+    } else {
+        self.admin.help();
+    }
+};
+
+function CircuitsQuery(host, body) {
+    if (!(this instanceof CircuitsQuery)) {
+        return new CircuitsQuery(host, body);
+    }
+
+    var self = this;
+
+    self.host = host;
+    self.circuits = body;
+}
+
+CircuitsQuery.prototype.toString = function toString() {
+    var self = this;
+
+    var res = self.host + '\n';
+    if (!self.circuits || !self.circuits.length) {
+        res += '    empty';
+        return res;
+    }
+
+    for (var i = 0; i < self.circuits.length; i++) {
+        var circuit = self.circuits[i];
+        res += '    ' + circuit.cn + ' ==> ' + circuit.sn + ' ' + circuit.en + ': ' +
+            (circuit.healthy ? 'healthy' : 'unhealthy') +
+            (circuit.shorted ? ' (shorted)' : '') +
+            (circuit.pinnedUntil ? ' (pinned until ' + new Date(circuit.pinnedUntil).toISOString() + ')' : '') +
+            '\n';
+        var history = circuit.history || [];
+        for (var j = 0; j < history.length; j++) {
+            var transition = history[j];
+            res += '        ' + new Date(transition.time).toISOString() + ' ' +
+                transition.oldState + ' -> ' + transition.state +
+                (transition.forced ? ' (forced)' : '') + ' ' +
+                JSON.stringify(transition.counts) + '\n';
+        }
     }
 
+    return res;
+};
+
+CircuitsQuery.prototype.toJson = function toJson() {
+    var self = this;
+
+    var object = {
+        host: self.host,
+        circuits: self.circuits || []
+    };
+
     return JSON.stringify(object);
 };
 
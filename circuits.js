@@ -51,6 +51,13 @@ EndpointCircuits.prototype.updateCodeNames = function updateCodeNames() {
     }
 };
 
+EndpointCircuits.prototype.updateStateOptions = function updateStateOptions() {
+    var keys = Object.keys(this.circuitsByEndpointName);
+    for (var i = 0; i < keys.length; i++) {
+        this.circuitsByEndpointName[keys[i]].updateStateOptions();
+    }
+};
+
 EndpointCircuits.prototype.getCircuit = function getCircuit(callerName, serviceName, endpointName) {
     var circuit = this.circuitsByEndpointName['$' + endpointName];
     if (!circuit) {
@@ -88,6 +95,13 @@ ServiceCircuits.prototype.updateCodeNames = function updateCodeNames() {
     }
 };
 
+ServiceCircuits.prototype.updateStateOptions = function updateStateOptions() {
+    var keys = Object.keys(this.circuitsByCallerName);
+    for (var i = 0; i < keys.length; i++) {
+        this.circuitsByCallerName[keys[i]].updateStateOptions();
+    }
+};
+
 ServiceCircuits.prototype.getCircuit = function getCircuit(callerName, serviceName, endpointName) {
     var circuits = this.circuitsByCallerName['$' + callerName];
     if (!circuits) {
@@ -121,11 +135,129 @@ function Circuits(options) {
         period: this.config.period,
         maxErrorRate: this.config.maxErrorRate,
         minRequests: this.config.minRequests,
-        probation: this.config.probation
+        minimumRequests: this.config.minimumRequests,
+        probation: this.config.probation,
+        latencyThreshold: this.config.latencyThreshold,
+        maxSlowRate: this.config.maxSlowRate,
+        probesPerPeriod: this.config.probesPerPeriod,
+        probeCallers: this.config.probeCallers,
+        probeEndpoint: this.config.probeEndpoint,
+        probeTimeout: this.config.probeTimeout
     });
+    // sendProbe(circuit, endpoint, timeout, callback(ok)) sends a synthetic
+    // probe to the service of the circuit, see UnhealthyState#sendProbe
+    this.sendProbe = options.sendProbe || null;
+    // the last synthetic probe by "service~~endpoint", see probeService
+    this.serviceProbes = {};
+    this.timers = options.timers;
+    // overrides of the config by "caller~service~endpoint", see updateConfig
+    this.configOverrides = this.parseConfigOverrides(options.servicesConfig || {});
     this.egressNodes = options.egressNodes;
+    // the number of state transitions each circuit remembers
+    this.historySize = this.config.historySize || 20;
+}
+
+// Sends at most one synthetic probe to a service and probe endpoint each
+// period. The unhealthy circuits of the service which ask while it is in
+// flight, or later in the same period, are told its result.
+Circuits.prototype.probeService = function probeService(circuit, endpoint, timeout, period, callback) {
+    var self = this;
+    var key = circuit.serviceName + '~~' + endpoint;
+    var now = self.timers.now();
+
+    var probe = self.serviceProbes[key];
+    if (probe && now - probe.sentAt < period) {
+        if (probe.ok === null) {
+            probe.callbacks.push(callback);
+        } else {
+            callback(probe.ok);
+        }
+        return;
+    }
+
+    probe = new ServiceProbe(now, callback);
+    self.serviceProbes[key] = probe;
+    self.sendProbe(circuit, endpoint, timeout, onProbed);
+
+    function onProbed(ok) {
+        self.statsd.increment(
+            'circuits.probe.' + (ok ? 'healthy' : 'unhealthy') +
+                circuit.byServiceStatSuffix,
+            1
+        );
+        probe.finish(ok);
+    }
+};
+
+function ServiceProbe(sentAt, callback) {
+    this.sentAt = sentAt;
+    this.ok = null;
+    this.callbacks = [callback];
 }
 
+ServiceProbe.prototype.finish = function finish(ok) {
+    var callbacks = this.callbacks;
+    this.ok = ok;
+    this.callbacks = [];
+    for (var i = 0; i < callbacks.length; i++) {
+        callbacks[i](ok);
+    }
+};
+
+// Takes the "circuits.config.services" remote config, which maps either a
+// service name or a "caller~service~endpoint" triplet ("*" for any caller or
+// endpoint) to the config fields to override. Existing circuits pick up the
+// new config without changing state.
+Circuits.prototype.updateConfig = function updateConfig(servicesConfig) {
+    this.configOverrides = this.parseConfigOverrides(servicesConfig);
+    var keys = Object.keys(this.circuitsByServiceName);
+    for (var i = 0; i < keys.length; i++) {
+        this.circuitsByServiceName[keys[i]].updateStateOptions();
+    }
+};
+
+Circuits.prototype.parseConfigOverrides = function parseConfigOverrides(servicesConfig) {
+    var overrides = {};
+    var keys = Object.keys(servicesConfig);
+    for (var i = 0; i < keys.length; i++) {
+        var key = keys[i];
+        var config = servicesConfig[key];
+        if (key.indexOf('~') === -1) {
+            key = '*~' + key + '~*';
+        }
+        if (!/^[^~]+~[^~*]+~.+$/.test(key) ||
+            typeof config !== 'object' || config === null) {
+            this.logger.warn('ignoring invalid circuit config', {
+                key: keys[i],
+                config: config
+            });
+            continue;
+        }
+        overrides[key] = config;
+    }
+    return overrides;
+};
+
+// The more specific an override, the later it is applied; an endpoint
+// override beats a caller override.
+Circuits.prototype.createStateOptions = function createStateOptions(circuit) {
+    var options = new StateOptions(circuit, this.stateOptions);
+    var serviceKey = '~' + circuit.serviceName + '~';
+    var keys = [
+        '*' + serviceKey + '*',
+        circuit.callerName + serviceKey + '*',
+        '*' + serviceKey + circuit.endpointName,
+        circuit.callerName + serviceKey + circuit.endpointName
+    ];
+    for (var i = 0; i < keys.length; i++) {
+        var override = this.configOverrides[keys[i]];
+        if (override) {
+            options.override(override);
+        }
+    }
+    return options;
+};
+
 Circuits.prototype.updateCodeNames = function updateCodeNames(codeNames) {
     this.codeNamesTable = parseTripletTable(codeNames);
     var keys = Object.keys(this.circuitsByServiceName);
@@ -209,11 +341,23 @@ function ErrorFrame(codeName, message) {
 // Called upon membership change to collect services that the corresponding
 // exit node is no longer responsible for.
 Circuits.prototype.updateServices = function updateServices() {
-    var serviceNames = Object.keys(this.circuitsByServiceName);
-    for (var index = 0; index < serviceNames.length; index++) {
-        var serviceName = serviceNames[index];
+    var keys = Object.keys(this.circuitsByServiceName);
+    for (var index = 0; index < keys.length; index++) {
+        // circuitsByServiceName is keyed by "$" + serviceName
+        var serviceName = keys[index].slice(1);
         if (!this.egressNodes.isExitFor(serviceName)) {
-            delete this.circuitsByServiceName[serviceName];
+            delete this.circuitsByServiceName[keys[index]];
+            this.removeServiceProbes(serviceName);
+        }
+    }
+};
+
+Circuits.prototype.removeServiceProbes = function removeServiceProbes(serviceName) {
+    var prefix = serviceName + '~~';
+    var keys = Object.keys(this.serviceProbes);
+    for (var index = 0; index < keys.length; index++) {
+        if (keys[index].indexOf(prefix) === 0) {
+            delete this.serviceProbes[keys[index]];
         }
     }
 };
@@ -221,8 +365,12 @@ Circuits.prototype.updateServices = function updateServices() {
 function Circuit(root, callerName, serviceName, endpointName) {
     this.root = root;
     this.state = null;
-    this.stateOptions = new StateOptions(this, this.root.stateOptions);
+    this.stateOptions = null;
     this.shorted = false;
+    // while pinned by an operator, the state machine does not transition
+    this.pinnedUntil = 0;
+    this.stateSince = 0;
+    this.history = new TransitionHistory(this.root.historySize);
     this.codeName = 'Declined';
 
     this.callerName = callerName || 'no-cn';
@@ -239,6 +387,7 @@ function Circuit(root, callerName, serviceName, endpointName) {
         clean(this.serviceName) + '.' +
         clean(this.endpointName);
 
+    this.stateOptions = this.root.createStateOptions(this);
     this.setState(HealthyState);
     this.updateShorted();
     this.updateCodeName();
@@ -252,9 +401,20 @@ Circuit.prototype.updateShorted = function updateShorted() {
     this.shorted = this.root.isShorted(this.callerName, this.serviceName, this.endpointName);
 };
 
-Circuit.prototype.setState = function setState(StateType) {
+Circuit.prototype.updateStateOptions = function updateStateOptions() {
+    this.stateOptions = this.root.createStateOptions(this);
+    this.state.configure(this.stateOptions);
+};
+
+// With force the state is entered even if it is the current state, e.g. to
+// clear its counters, and even if the circuit is pinned.
+Circuit.prototype.setState = function setState(StateType, force) {
+    if (!force && this.isPinned()) {
+        return null;
+    }
+
     var currentType = this.state && this.state.type;
-    if (currentType &&
+    if (!force && currentType &&
         StateType.prototype.type &&
         StateType.prototype.type === currentType) {
         return null;
@@ -262,7 +422,7 @@ Circuit.prototype.setState = function setState(StateType) {
 
     assert(this.stateOptions, 'state machine must have stateOptions');
     var state = new StateType(this.stateOptions);
-    if (state && state.type === currentType) {
+    if (!force && state && state.type === currentType) {
         return null;
     }
 
@@ -272,18 +432,106 @@ Circuit.prototype.setState = function setState(StateType) {
         oldState.onDeactivate();
     }
 
+    var transition = this.recordTransition(oldState, state, !!force);
+
     var statsPrefix = 'circuits.' + state.name;
     this.root.statsd.increment(statsPrefix + '.total', 1);
     this.root.statsd.increment(statsPrefix + this.byCallerStatSuffix, 1);
     this.root.statsd.increment(statsPrefix + this.byServiceStatSuffix, 1);
+    if (oldState) {
+        this.root.statsd.timing(
+            'circuits.' + oldState.name + '.duration' + this.byServiceStatSuffix,
+            transition.duration
+        );
+    }
     this.root.logger.info('circuit event: ' + state.name, this.extendLogInfo({
-        oldState: oldState ? oldState.type : 'none',
-        state: state ? state.type : 'none'
+        oldState: transition.oldState,
+        state: transition.state,
+        forced: transition.forced,
+        duration: transition.duration,
+        counts: transition.counts
     }));
 
     return state;
 };
 
+Circuit.prototype.recordTransition = function recordTransition(oldState, state, forced) {
+    var now = this.stateOptions.timers.now();
+    var transition = new Transition(now, oldState, state, forced, this.stateSince);
+    this.stateSince = now;
+    this.history.push(transition);
+    return transition;
+};
+
+Circuit.prototype.isPinned = function isPinned() {
+    return this.pinnedUntil > 0 &&
+        this.pinnedUntil > this.stateOptions.timers.now();
+};
+
+var ForceableStates = {
+    healthy: HealthyState,
+    unhealthy: UnhealthyState
+};
+
+// Forces the circuit into a fresh "healthy" or "unhealthy" state on behalf of
+// an operator. With a ttl (ms) the circuit is pinned: it stays in that state,
+// declining even probes when unhealthy, until the ttl expires.
+Circuit.prototype.force = function force(stateName, ttl) {
+    var StateType = ForceableStates[stateName];
+    assert(StateType, 'can only force healthy or unhealthy');
+
+    this.pinnedUntil = ttl > 0 ? this.stateOptions.timers.now() + ttl : 0;
+    return this.setState(StateType, true);
+};
+
+// Unpins the circuit and restarts its current state with cleared counters
+Circuit.prototype.reset = function reset() {
+    this.pinnedUntil = 0;
+    return this.setState(this.state.constructor, true);
+};
+
+// Returns what the outcome of a request should be reported to: the circuit
+// itself, or, when latency is tracked, a CircuitRequest that times it.
+Circuit.prototype.trackRequest = function trackRequest() {
+    if (!this.stateOptions.latencyThreshold) {
+        return this;
+    }
+    return new CircuitRequest(this, this.stateOptions.timers.now());
+};
+
+// counts are those of the state that was left, e.g. the error rate of the
+// period that tripped a healthy circuit
+function Transition(time, oldState, state, forced, since) {
+    this.time = time;
+    this.oldState = oldState ? oldState.type : 'none';
+    this.state = state.type;
+    this.forced = forced;
+    this.duration = oldState ? time - since : 0;
+    this.counts = oldState ? oldState.getCounts() : null;
+}
+
+// Keeps the last size transitions of a circuit
+function TransitionHistory(size) {
+    this.size = size;
+    this.transitions = [];
+    this.next = 0;
+}
+
+TransitionHistory.prototype.push = function push(transition) {
+    if (this.transitions.length < this.size) {
+        this.transitions.push(transition);
+    } else {
+        this.transitions[this.next] = transition;
+        this.next = (this.next + 1) % this.size;
+    }
+};
+
+// Oldest first
+TransitionHistory.prototype.toArray = function toArray() {
+    return this.transitions.slice(this.next)
+        .concat(this.transitions.slice(0, this.next));
+};
+
 Circuit.prototype.extendLogInfo = function extendLogInfo(info) {
     info.callerName = this.callerName;
     info.serviceName = this.serviceName;
@@ -305,31 +553,112 @@ function StateOptions(circuit, options) {
     // tracked between state reevaluation.
     this.period = options.period;
     // when healthy, the minimum number of requests during a period to trigger
-    // state reevaluation.
-    this.minimumRequests = options.minimumRequests;
+    // state reevaluation. minimumRequests is the name these options used to
+    // have, and is still taken when minRequests is not given.
+    this.minRequests = typeof options.minRequests === 'number' ?
+        options.minRequests : options.minimumRequests;
     // when healthy, the failure rate for a period that will trigger a
     // transition to unhealthy.
     this.maxErrorRate = options.maxErrorRate;
-    // when unhealthy, allow one request per period. this is the number of
-    // consecutive periods that must have 100% healthy responses to trigger a
-    // switch back to healthy.
+    // when unhealthy, allow probesPerPeriod requests per period. this is the
+    // number of consecutive healthy probes that trigger a switch back to
+    // healthy.
     this.probation = options.probation;
+    // when unhealthy, the number of requests let through per period.
+    this.probesPerPeriod = options.probesPerPeriod;
+    // when unhealthy, the caller names whose requests may probe; null lets
+    // any caller probe, an empty list leaves only synthetic probes.
+    this.probeCallers = options.probeCallers;
+    // when unhealthy, the endpoint of the service the relay itself calls once
+    // a period to probe it; null disables synthetic probes.
+    this.probeEndpoint = options.probeEndpoint;
+    // the timeout in miliseconds of synthetic probes.
+    this.probeTimeout = options.probeTimeout;
+    // when healthy, the response time in miliseconds beyond which a response
+    // counts as slow; falsy disables the latency criterion.
+    this.latencyThreshold = options.latencyThreshold;
+    // when healthy, the rate of slow responses for a period that will trigger
+    // a transition to unhealthy; 0.01 trips when the p99 exceeds the
+    // latencyThreshold.
+    this.maxSlowRate = options.maxSlowRate;
+}
+
+StateOptions.CONFIG_FIELDS = [
+    'period', 'maxErrorRate', 'minRequests', 'probation',
+    'latencyThreshold', 'maxSlowRate', 'probesPerPeriod', 'probeTimeout'
+];
+
+// Fields of config of the wrong type are left alone
+StateOptions.prototype.override = function override(config) {
+    for (var i = 0; i < StateOptions.CONFIG_FIELDS.length; i++) {
+        var field = StateOptions.CONFIG_FIELDS[i];
+        if (typeof config[field] === 'number') {
+            this[field] = config[field];
+        }
+    }
+    if (typeof config.minRequests !== 'number' &&
+        typeof config.minimumRequests === 'number') {
+        this.minRequests = config.minimumRequests;
+    }
+    if (Array.isArray(config.probeCallers) || config.probeCallers === null) {
+        this.probeCallers = config.probeCallers;
+    }
+    if (typeof config.probeEndpoint === 'string' || config.probeEndpoint === null) {
+        this.probeEndpoint = config.probeEndpoint;
+    }
+};
+
+// Quacks like a circuit for the in request, forwarding to whatever state the
+// circuit is in when the outcome arrives.
+function CircuitRequest(circuit, start) {
+    this.circuit = circuit;
+    this.start = start;
+    this.state = this;
 }
 
+CircuitRequest.prototype.onRequest = function onRequest(req) {
+    this.circuit.state.onRequest(req);
+};
+
+CircuitRequest.prototype.onRequestHealthy = function onRequestHealthy() {
+    this.circuit.state.onRequestLatency(this.elapsed());
+    this.circuit.state.onRequestHealthy();
+};
+
+CircuitRequest.prototype.onRequestUnhealthy = function onRequestUnhealthy() {
+    this.circuit.state.onRequestLatency(this.elapsed());
+    this.circuit.state.onRequestUnhealthy();
+};
+
+CircuitRequest.prototype.onRequestError = function onRequestError(err) {
+    this.circuit.state.onRequestError(err);
+};
+
+CircuitRequest.prototype.elapsed = function elapsed() {
+    return this.circuit.stateOptions.timers.now() - this.start;
+};
+
 function PeriodicState(options) {
     this.circuit = options.circuit;
     this.timers = options.timers;
     this.timeHeap = options.timeHeap;
     this.random = options.random;
 
-    this.period = options.period || 1000; // ms
+    this.period = 0;
     this.start = 0;
     this.timeout = 0;
     this.periodTimer = null;
 
+    this.configure(options);
     this.startNewPeriod(this.timers.now());
 }
 
+// Applies the options that may change while the state is active, see
+// Circuit#updateStateOptions; counts are kept.
+PeriodicState.prototype.configure = function configure(options) {
+    this.period = options.period || 1000; // ms
+};
+
 PeriodicState.prototype.onDeactivate = function onDeactivate() {
     if (this.periodTimer) {
         this.periodTimer.cancel();
@@ -349,6 +678,13 @@ PeriodicState.prototype.onRequestUnhealthy = function onRequestUnhealthy() {
 PeriodicState.prototype.onRequestError = function onRequestError() {
 };
 
+PeriodicState.prototype.onRequestLatency = function onRequestLatency(/* latency */) {
+};
+
+PeriodicState.prototype.getCounts = function getCounts() {
+    return {};
+};
+
 PeriodicState.prototype.close = function close(callback) {
     callback(null);
 };
@@ -408,16 +744,25 @@ PeriodicState.prototype.getRequestError = function getRequestError() {
 function HealthyState(options) {
     PeriodicState.call(this, options);
 
-    this.maxErrorRate = options.maxErrorRate || 0.5;
     this.healthyCount = 0;
     this.unhealthyCount = 0;
     this.totalRequests = 0;
-    this.minRequests = typeof options.minRequests === 'number' ?
-        options.minRequests : 5;
+    this.slowCount = 0;
 }
 
 inherits(HealthyState, PeriodicState);
 
+HealthyState.prototype.configure = function configure(options) {
+    PeriodicState.prototype.configure.call(this, options);
+
+    this.maxErrorRate = options.maxErrorRate || 0.5;
+    this.minRequests = typeof options.minRequests === 'number' ?
+        options.minRequests : 5;
+    this.latencyThreshold = options.latencyThreshold || 0;
+    this.maxSlowRate = typeof options.maxSlowRate === 'number' ?
+        options.maxSlowRate : 0.01;
+};
+
 HealthyState.prototype.type = 'tchannel.healthy';
 HealthyState.prototype.name = 'healthy';
 HealthyState.prototype.healthy = true;
@@ -447,21 +792,27 @@ HealthyState.prototype.onNewPeriod = function onNewPeriod(now) {
     // rates from periods and choose based on their differences (discrete
     // derivative)...
     var errorRate = this.unhealthyCount / totalCount;
+    var slowRate = this.slowCount / totalCount;
 
-    if (errorRate > this.maxErrorRate &&
+    if ((errorRate > this.maxErrorRate ||
+        (this.latencyThreshold && slowRate > this.maxSlowRate)) &&
         this.totalRequests > this.minRequests) {
         // Transition to unhealthy state if the healthy request rate dips below
-        // the acceptable threshold.
-        this.circuit.setState(this.circuit.shorted ? ShortedState : UnhealthyState);
+        // the acceptable threshold, or too many responses are slow.
         // TODO: useful to mark this dead somehow? for now we're just using "am
         // I still the current state" logic coupled to the consuming
         // circuit in .shouldRequest
-    } else {
-        // okay last period, reset counts for the new period
-        this.healthyCount = 0;
-        this.unhealthyCount = 0;
+        if (this.circuit.setState(this.circuit.shorted ? ShortedState : UnhealthyState)) {
+            return false;
+        }
     }
 
+    // okay last period, or the circuit is pinned healthy, reset counts for the
+    // new period so that a pin leaves no errors behind when it expires
+    this.healthyCount = 0;
+    this.unhealthyCount = 0;
+    this.slowCount = 0;
+
     return false;
 };
 
@@ -485,6 +836,24 @@ HealthyState.prototype.onRequestUnhealthy = function onRequestUnhealthy() {
     }
 };
 
+HealthyState.prototype.getCounts = function getCounts() {
+    var totalCount = this.healthyCount + this.unhealthyCount;
+    return {
+        healthyCount: this.healthyCount,
+        unhealthyCount: this.unhealthyCount,
+        slowCount: this.slowCount,
+        totalRequests: this.totalRequests,
+        errorRate: totalCount ? this.unhealthyCount / totalCount : 0
+    };
+};
+
+// Called before the response is counted as healthy or unhealthy
+HealthyState.prototype.onRequestLatency = function onRequestLatency(latency) {
+    if (this.latencyThreshold && latency > this.latencyThreshold) {
+        ++this.slowCount;
+    }
+};
+
 HealthyState.prototype.onRequestError = function onRequestError(err) {
     ++this.totalRequests;
     var codeString = errors.classify(err);
@@ -501,13 +870,26 @@ HealthyState.prototype.onRequestError = function onRequestError(err) {
 function UnhealthyState(options) {
     PeriodicState.call(this, options);
 
-    this.minResponseCount = options.probation || 5;
     this.healthyCount = 0;
     this.triedThisPeriod = true;
+    this.probesThisPeriod = Infinity;
+    this.slowResponse = false;
 }
 
 inherits(UnhealthyState, PeriodicState);
 
+UnhealthyState.prototype.configure = function configure(options) {
+    PeriodicState.prototype.configure.call(this, options);
+
+    this.minResponseCount = options.probation || 5;
+    this.latencyThreshold = options.latencyThreshold || 0;
+    this.probesPerPeriod = options.probesPerPeriod || 1;
+    this.callerMayProbe = !options.probeCallers ||
+        options.probeCallers.indexOf(this.circuit.callerName) !== -1;
+    this.probeEndpoint = options.probeEndpoint || null;
+    this.probeTimeout = options.probeTimeout || 1000;
+};
+
 UnhealthyState.prototype.type = 'tchannel.unhealthy';
 UnhealthyState.prototype.name = 'unhealthy';
 UnhealthyState.prototype.healthy = false;
@@ -520,6 +902,7 @@ UnhealthyState.prototype.onNewPeriod = function onNewPeriod(now) {
 
     var triedLastPeriod = this.triedThisPeriod;
     this.triedThisPeriod = false;
+    this.probesThisPeriod = 0;
 
     if (triedLastPeriod) {
         // score only changes if we had gone back to "closed" state, otherwise
@@ -527,9 +910,41 @@ UnhealthyState.prototype.onNewPeriod = function onNewPeriod(now) {
         this.invalidate();
     }
 
+    // synthetic probes need a timer, since callers may have stopped sending
+    if (this.probeEndpoint && this.circuit.root.sendProbe) {
+        this.sendProbe();
+        return true;
+    }
+
     return false;
 };
 
+// Not while the state is being entered, so the first period after tripping
+// goes without probes, as it does for callers.
+UnhealthyState.prototype.sendProbe = function sendProbe() {
+    var self = this;
+
+    if (self.circuit.state !== self || self.circuit.isPinned()) {
+        return;
+    }
+
+    self.circuit.root.probeService(
+        self.circuit, self.probeEndpoint, self.probeTimeout, self.period,
+        onProbed
+    );
+
+    function onProbed(ok) {
+        if (self.circuit.state !== self) {
+            return;
+        }
+        if (ok) {
+            self.onRequestHealthy();
+        } else {
+            self.onRequestUnhealthy();
+        }
+    }
+};
+
 UnhealthyState.prototype.toString = function healthyToString() {
     return format('[Unhealthy %s consecutive healthy requests]', this.healthyCount);
 };
@@ -544,18 +959,40 @@ UnhealthyState.prototype.shouldRequest = function shouldRequest() {
         return this.circuit.state.shouldRequest();
     }
 
-    // Allow one trial per period
-    return !this.triedThisPeriod;
+    if (this.circuit.isPinned() || !this.callerMayProbe) {
+        return false;
+    }
+
+    // Allow probesPerPeriod trials per period
+    return this.probesThisPeriod < this.probesPerPeriod;
 };
 
 UnhealthyState.prototype.onRequest = function onRequest(/* req */) {
     this.triedThisPeriod = true;
+    ++this.probesThisPeriod;
     if (!this.checkPeriod(this.timers.now())) {
         this.invalidate();
     }
 };
 
+UnhealthyState.prototype.getCounts = function getCounts() {
+    return {
+        healthyCount: this.healthyCount
+    };
+};
+
+// A slow probe does not count towards probation
+UnhealthyState.prototype.onRequestLatency = function onRequestLatency(latency) {
+    this.slowResponse = !!this.latencyThreshold && latency > this.latencyThreshold;
+};
+
 UnhealthyState.prototype.onRequestHealthy = function onRequestHealthy() {
+    if (this.slowResponse) {
+        this.slowResponse = false;
+        this.onRequestUnhealthy();
+        return;
+    }
+
     ++this.healthyCount;
     if (this.healthyCount > this.minResponseCount) {
         this.circuit.setState(HealthyState);
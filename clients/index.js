@@ -47,6 +47,7 @@ var HyperbahnEgressNodes = require('../egress-nodes.js');
 var HyperbahnHandler = require('../handler.js');
 var SocketInspector = require('./socket-inspector.js');
 var HyperbahnBatchStats = require('./batch-stats.js');
+var RuntimeState = require('./runtime-state.js');
 var TypedError = require('error/typed');
 
 var GET_HOST_FOR_TCHANNEL_ATTEMPT_LIMIT = 8;
@@ -63,7 +64,7 @@ var TChannelGetListenHostError = TypedError({
 module.exports = ApplicationClients;
 
 function ApplicationClients(options) {
-    /*eslint max-statements: [2, 52] */
+    /*eslint max-statements: [2, 55] */
     if (!(this instanceof ApplicationClients)) {
         return new ApplicationClients(options);
     }
@@ -219,6 +220,7 @@ function ApplicationClients(options) {
         defaultTotalKillSwitchBuffer: options.defaultTotalKillSwitchBuffer,
         rateLimiterBuckets: options.rateLimiterBuckets,
         circuitsConfig: circuitsConfig,
+        zone: config.get('hyperbahn.zone'),
         partialAffinityEnabled: false,
         minPeersPerRelay: options.minPeersPerRelay,
         minPeersPerWorker: options.minPeersPerWorker
@@ -227,6 +229,18 @@ function ApplicationClients(options) {
     self.serviceProxy = ServiceProxy(serviceProxyOpts);
     self.tchannel.handler = self.serviceProxy;
 
+    // Admin changes survive restarts; restored in restoreRuntimeState()
+    self.runtimeState = RuntimeState({
+        filePath: config.get('hyperbahn.runtimeState.file'),
+        maxAge: config.get('hyperbahn.runtimeState.maxAge'),
+        logger: self.logger,
+        timers: self.tchannel.timers
+    });
+    self.serviceProxy.killSwitchChangeEvent.on(onKillSwitchChange);
+    function onKillSwitchChange(state) {
+        self.runtimeState.set('killSwitches', 'state', state);
+    }
+
     self.heapDumper = HeapDumper({
         heapFolder: config.get('clients.heapsnapshot').folder,
         logger: self.logger
@@ -405,6 +419,105 @@ function bootstrap(cb) {
     }
 };
 
+// Reapplies the admin changes saved before a restart. Remote config is
+// applied first, so these overrides win until remote config changes again.
+ApplicationClients.prototype.restoreRuntimeState =
+function restoreRuntimeState() {
+    var self = this;
+
+    if (!self.runtimeState.loadSync()) {
+        return;
+    }
+
+    self.restoreKillSwitches(self.runtimeState.get('killSwitches'));
+    self.restoreRateLimits();
+    self.restoreKValues(self.runtimeState.get('kValues'));
+    self.restoreCircuits(self.runtimeState.get('circuits'));
+
+    self.logger.info('restored runtime state', {
+        filePath: self.runtimeState.filePath
+    });
+};
+
+ApplicationClients.prototype.restoreKillSwitches =
+function restoreKillSwitches(section) {
+    var self = this;
+    var state = section.state;
+    if (!state) {
+        return;
+    }
+
+    // kill switches that expired while this node was down are not merged,
+    // so they stay expired
+    self.serviceProxy.setKillSwitchState(state);
+};
+
+ApplicationClients.prototype.restoreRateLimits =
+function restoreRateLimits() {
+    var self = this;
+    var rateLimiter = self.serviceProxy.rateLimiter;
+
+    var rateLimiting = self.runtimeState.get('rateLimiting');
+    if (typeof rateLimiting.enabled === 'boolean') {
+        self.serviceProxy.rateLimiterEnabled = rateLimiting.enabled;
+    }
+    if (typeof rateLimiting.totalRpsLimit === 'number') {
+        rateLimiter.updateTotalLimit(rateLimiting.totalRpsLimit);
+    }
+    if (Array.isArray(rateLimiting.exemptServices)) {
+        rateLimiter.updateExemptServices(rateLimiting.exemptServices);
+    }
+
+    var serviceLimits = self.runtimeState.get('serviceRpsLimits');
+    var keys = Object.keys(serviceLimits);
+    var i;
+    for (i = 0; i < keys.length; i++) {
+        rateLimiter.updateServiceLimit(keys[i], serviceLimits[keys[i]].limit);
+        rateLimiter.updateServiceBurst(keys[i], serviceLimits[keys[i]].burst);
+    }
+
+    var edgeLimits = self.runtimeState.get('edgeRpsLimits');
+    keys = Object.keys(edgeLimits);
+    for (i = 0; i < keys.length; i++) {
+        rateLimiter.updateEdgeLimit(keys[i], edgeLimits[keys[i]]);
+    }
+};
+
+ApplicationClients.prototype.restoreKValues =
+function restoreKValues(kValues) {
+    var self = this;
+
+    var keys = Object.keys(kValues);
+    for (var i = 0; i < keys.length; i++) {
+        self.egressNodes.setKValueFor(keys[i], kValues[keys[i]]);
+    }
+
+    if (keys.length) {
+        self.serviceProxy.updateServiceChannels();
+    }
+};
+
+ApplicationClients.prototype.restoreCircuits =
+function restoreCircuits(overrides) {
+    var self = this;
+    var circuits = self.serviceProxy.circuits;
+    if (!circuits) {
+        return;
+    }
+
+    var now = self.tchannel.timers.now();
+    var keys = Object.keys(overrides);
+    for (var i = 0; i < keys.length; i++) {
+        var override = overrides[keys[i]];
+        var parts = keys[i].split('~~');
+        var ttl = override.pinnedUntil ? override.pinnedUntil - now : 0;
+        if (!override.pinnedUntil || ttl > 0) {
+            circuits.getCircuit(parts[0], parts[1], parts[2])
+                .force(override.type, ttl);
+        }
+    }
+};
+
 ApplicationClients.prototype.destroy = function destroy() {
     var self = this;
 
@@ -454,10 +567,18 @@ function onRemoteConfigUpdate(changedKeys, forceUpdate) {
     self.updateCircuitsEnabled(hasChanged, forceUpdate);
     self.updateCircuitShorts(hasChanged, forceUpdate);
     self.updateCircuitCodeNames(hasChanged, forceUpdate);
+    self.updateCircuitServicesConfig(hasChanged, forceUpdate);
     self.updateRateLimitingEnabled(hasChanged, forceUpdate);
     self.updateTotalRpsLimit(hasChanged, forceUpdate);
     self.updateExemptServices(hasChanged, forceUpdate);
+    self.updateRateLimitingShadowMode(hasChanged, forceUpdate);
+    self.updateRequestPriorities(hasChanged, forceUpdate);
     self.updateRpsLimitForServiceName(hasChanged, forceUpdate);
+    self.updateClusterRpsLimitForServiceName(hasChanged, forceUpdate);
+    self.updateBurstForServiceName(hasChanged, forceUpdate);
+    self.updateTotalBurst(hasChanged, forceUpdate);
+    self.updateRpsLimitForEdge(hasChanged, forceUpdate);
+    self.updateConcurrencyLimiting(hasChanged, forceUpdate);
     self.updateKValues(hasChanged, forceUpdate);
     self.updateKillSwitches(hasChanged, forceUpdate);
     self.updateServiceKillSwitchFactor(hasChanged, forceUpdate);
@@ -467,7 +588,16 @@ function onRemoteConfigUpdate(changedKeys, forceUpdate) {
     self.updateConnectPeersPeriod(hasChanged, forceUpdate);
     self.updatePartialAffinityEnabled(hasChanged, forceUpdate);
     self.setMaximumRelayTTL(hasChanged, forceUpdate);
+    self.updateRelayTTLLimits(hasChanged, forceUpdate);
     self.updatePeerHeapEnabled(hasChanged, forceUpdate);
+    self.updateTrafficSplits(hasChanged, forceUpdate);
+    self.updateZoneAffinity(hasChanged, forceUpdate);
+    self.updateShadowRules(hasChanged, forceUpdate);
+    self.updateRoutingRules(hasChanged, forceUpdate);
+    self.updateFaultInjection(hasChanged, forceUpdate);
+    self.updateHedging(hasChanged, forceUpdate);
+    self.updateRetryBudget(hasChanged, forceUpdate);
+    self.updateOutlierDetection(hasChanged, forceUpdate);
 };
 
 ApplicationClients.prototype.setSocketInspector =
@@ -579,6 +709,16 @@ function updateCircuitCodeNames(hasChanged, forceUpdate) {
     }
 };
 
+ApplicationClients.prototype.updateCircuitServicesConfig =
+function updateCircuitServicesConfig(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['circuits.config.services']) {
+        self.serviceProxy.updateCircuitServicesConfig(
+            self.remoteConfig.get('circuits.config.services', {})
+        );
+    }
+};
+
 ApplicationClients.prototype.updateRateLimitingEnabled = function updateRateLimitingEnabled(hasChanged, forceUpdate) {
     var self = this;
     if (forceUpdate || hasChanged['rateLimiting.enabled']) {
@@ -641,6 +781,32 @@ ApplicationClients.prototype.updateExemptServices = function updateExemptService
     }
 };
 
+ApplicationClients.prototype.updateRateLimitingShadowMode = function updateRateLimitingShadowMode(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.shadowMode']) {
+        var enabled = self.remoteConfig.get('rateLimiting.shadowMode', false);
+        self.serviceProxy.rateLimiter.updateShadowMode(enabled);
+    }
+    if (forceUpdate || hasChanged['rateLimiting.shadowServices']) {
+        var shadowServices = self.remoteConfig.get('rateLimiting.shadowServices', []);
+        self.serviceProxy.rateLimiter.updateShadowServices(shadowServices);
+    }
+};
+
+// Low priority traffic is shed first when the total or kill switch limits
+// are reached
+ApplicationClients.prototype.updateRequestPriorities = function updateRequestPriorities(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.priorityShares']) {
+        var priorityShares = self.remoteConfig.get('rateLimiting.priorityShares', {});
+        self.serviceProxy.rateLimiter.updatePriorityShares(priorityShares);
+    }
+    if (forceUpdate || hasChanged['rateLimiting.callerPriorities']) {
+        var callerPriorities = self.remoteConfig.get('rateLimiting.callerPriorities', {});
+        self.serviceProxy.setCallerPriorities(callerPriorities);
+    }
+};
+
 ApplicationClients.prototype.updateRpsLimitForServiceName = function updateRpsLimitForServiceName(hasChanged, forceUpdate) {
     var self = this;
     if (forceUpdate || hasChanged['rateLimiting.rpsLimitForServiceName']) {
@@ -649,6 +815,41 @@ ApplicationClients.prototype.updateRpsLimitForServiceName = function updateRpsLi
     }
 };
 
+// Cluster-wide limits, shared out between the exit nodes of each service
+ApplicationClients.prototype.updateClusterRpsLimitForServiceName = function updateClusterRpsLimitForServiceName(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.clusterRpsLimitForServiceName']) {
+        var clusterRpsLimitForServiceName = self.remoteConfig.get('rateLimiting.clusterRpsLimitForServiceName', {});
+        self.serviceProxy.rateLimiter.updateClusterRpsLimitForAllServices(clusterRpsLimitForServiceName);
+    }
+};
+
+ApplicationClients.prototype.updateRpsLimitForEdge = function updateRpsLimitForEdge(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.rpsLimitForEdge']) {
+        var rpsLimitForEdge = self.remoteConfig.get('rateLimiting.rpsLimitForEdge', {});
+        self.serviceProxy.rateLimiter.updateRpsLimitForAllEdges(rpsLimitForEdge);
+    }
+};
+
+// Services with a burst are rate limited with a token bucket
+ApplicationClients.prototype.updateBurstForServiceName = function updateBurstForServiceName(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.burstForServiceName']) {
+        var burstForServiceName = self.remoteConfig.get('rateLimiting.burstForServiceName', {});
+        self.serviceProxy.rateLimiter.updateBurstForAllServices(burstForServiceName);
+    }
+};
+
+ApplicationClients.prototype.updateTotalBurst = function updateTotalBurst(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['rateLimiting.totalBurst']) {
+        // -1 keeps the sliding window for the total limit
+        var burst = self.remoteConfig.get('rateLimiting.totalBurst', -1);
+        self.serviceProxy.rateLimiter.updateTotalBurst(burst >= 0 ? burst : null);
+    }
+};
+
 ApplicationClients.prototype.updateKValues = function updateKValues(hasChanged, forceUpdate) {
     var self = this;
 
@@ -676,6 +877,8 @@ ApplicationClients.prototype.updateKValues = function updateKValues(hasChanged,
     }
 };
 
+// Kill switches are either "cn~~serviceName[~~endpoint]", which drop all of
+// the traffic, or {edge: "cn~~serviceName[~~endpoint]", percent: N} to drop N%
 ApplicationClients.prototype.updateKillSwitches = function updateKillSwitches(hasChanged, forceUpdate) {
     var self = this;
 
@@ -688,9 +891,22 @@ ApplicationClients.prototype.updateKillSwitches = function updateKillSwitches(ha
 
     for (var i = 0; i < killSwitches.length; i++) {
         var value = killSwitches[i];
+        var percent = null;
+        if (value !== null && typeof value === 'object') {
+            percent = value.percent;
+            value = value.edge;
+        }
+        if (typeof value !== 'string') {
+            continue;
+        }
+
         var edge = value.split('~~');
-        if (edge.length === 2 && value !== '*~~*') {
-            self.serviceProxy.blockRemoteConfig(edge[0], edge[1]);
+        if ((edge.length === 2 && value !== '*~~*') ||
+            (edge.length === 3 && edge[1] !== '*' && edge[2])) {
+            self.serviceProxy.blockRemoteConfig(edge[0], edge[1], {
+                endpoint: edge[2],
+                percent: percent
+            });
         }
     }
 };
@@ -707,6 +923,21 @@ function updateServiceKillSwitchFactor(hasChanged, forceUpdate) {
         self.remoteConfig.get('serviceKillSwitchFactor', 0));
 };
 
+// Runs after setMaximumRelayTTL, which resets the maximum of every sub channel
+ApplicationClients.prototype.updateRelayTTLLimits =
+function updateRelayTTLLimits(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate ||
+        hasChanged['relay.maximum-ttl'] ||
+        hasChanged['relay.minimum-ttl'] ||
+        hasChanged['relay.service-ttl-limits']) {
+        self.serviceProxy.setRelayTTLLimits(
+            self.remoteConfig.get('relay.minimum-ttl', 0),
+            self.remoteConfig.get('relay.service-ttl-limits', {})
+        );
+    }
+};
+
 ApplicationClients.prototype.updatePeerHeapEnabled = function updatePeerHeapEnabled(hasChanged, forceUpdate) {
     var self = this;
     if (forceUpdate ||
@@ -717,3 +948,116 @@ ApplicationClients.prototype.updatePeerHeapEnabled = function updatePeerHeapEnab
         self.serviceProxy.setPeerHeapEnabled(peerHeapConfig, peerHeapGlobalConfig);
     }
 };
+
+ApplicationClients.prototype.updateTrafficSplits =
+function updateTrafficSplits(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['trafficSplit.services']) {
+        self.serviceProxy.setTrafficSplits(
+            self.remoteConfig.get('trafficSplit.services', {})
+        );
+    }
+};
+
+ApplicationClients.prototype.updateZoneAffinity =
+function updateZoneAffinity(hasChanged, forceUpdate) {
+    var self = this;
+    var zoneAffinity = self.serviceProxy.zoneAffinity;
+    if (forceUpdate || hasChanged['zoneAffinity.enabled']) {
+        zoneAffinity.setEnabled(
+            self.remoteConfig.get('zoneAffinity.enabled', false)
+        );
+    }
+    if (forceUpdate || hasChanged['zoneAffinity.zonesByHost']) {
+        zoneAffinity.setZonesByHost(
+            self.remoteConfig.get('zoneAffinity.zonesByHost', {})
+        );
+    }
+    if (forceUpdate || hasChanged['zoneAffinity.minLocalPeers']) {
+        zoneAffinity.setMinLocalPeers(
+            self.remoteConfig.get('zoneAffinity.minLocalPeers', 1)
+        );
+    }
+};
+
+ApplicationClients.prototype.updateShadowRules =
+function updateShadowRules(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['shadowing.services']) {
+        self.serviceProxy.setShadowRulesRemoteConfig(
+            self.remoteConfig.get('shadowing.services', {})
+        );
+    }
+};
+
+ApplicationClients.prototype.updateRoutingRules =
+function updateRoutingRules(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['routing.rules']) {
+        self.serviceProxy.setRoutingRules(
+            self.remoteConfig.get('routing.rules', [])
+        );
+    }
+};
+
+ApplicationClients.prototype.updateFaultInjection =
+function updateFaultInjection(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['faultInjection.faults']) {
+        self.serviceProxy.setFaultsRemoteConfig(
+            self.remoteConfig.get('faultInjection.faults', [])
+        );
+    }
+};
+
+ApplicationClients.prototype.updateHedging =
+function updateHedging(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['hedging.services']) {
+        self.serviceProxy.setHedgePolicies(
+            self.remoteConfig.get('hedging.services', {})
+        );
+    }
+};
+
+ApplicationClients.prototype.updateRetryBudget =
+function updateRetryBudget(hasChanged, forceUpdate) {
+    var self = this;
+    if (forceUpdate || hasChanged['retryBudget.services']) {
+        self.serviceProxy.setRetryBudgets(
+            self.remoteConfig.get('retryBudget.services', {})
+        );
+    }
+};
+
+ApplicationClients.prototype.updateConcurrencyLimiting =
+function updateConcurrencyLimiting(hasChanged, forceUpdate) {
+    var self = this;
+    var concurrencyLimiter = self.serviceProxy.concurrencyLimiter;
+    if (forceUpdate || hasChanged['concurrencyLimiting.config']) {
+        concurrencyLimiter.setConfig(
+            self.remoteConfig.get('concurrencyLimiting.config', {})
+        );
+    }
+    if (forceUpdate || hasChanged['concurrencyLimiting.enabled']) {
+        concurrencyLimiter.setEnabled(
+            self.remoteConfig.get('concurrencyLimiting.enabled', false)
+        );
+    }
+};
+
+ApplicationClients.prototype.updateOutlierDetection =
+function updateOutlierDetection(hasChanged, forceUpdate) {
+    var self = this;
+    var outlierDetector = self.serviceProxy.outlierDetector;
+    if (forceUpdate || hasChanged['outlierDetection.config']) {
+        outlierDetector.setConfig(
+            self.remoteConfig.get('outlierDetection.config', {})
+        );
+    }
+    if (forceUpdate || hasChanged['outlierDetection.enabled']) {
+        outlierDetector.setEnabled(
+            self.remoteConfig.get('outlierDetection.enabled', false)
+        );
+    }
+};
@@ -0,0 +1,147 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var path = require('path');
+
+module.exports = RuntimeState;
+
+/*  RuntimeState
+
+    Keeps the state set at runtime through the admin endpoints (kill
+    switches, rate limits, k values and circuit overrides) in a local file,
+    so that a restarted relay comes back with the same mitigations.
+
+    State is kept as sections of key/value pairs:
+
+     - set(section, key, value) / remove(section, key) update the state and
+        save it
+     - get(section) returns the key/value pairs of a section
+     - loadSync() reads the file back, unless it is older than maxAge
+
+    Without a filePath nothing is read or written.
+*/
+function RuntimeState(options) {
+    if (!(this instanceof RuntimeState)) {
+        return new RuntimeState(options);
+    }
+
+    var self = this;
+
+    assert(options && options.logger, 'options.logger required');
+    assert(options && options.timers, 'options.timers required');
+
+    self.filePath = options.filePath || null;
+    self.maxAge = options.maxAge || 0;
+    self.logger = options.logger;
+    self.timers = options.timers;
+
+    self.sections = Object.create(null);
+}
+
+RuntimeState.prototype.get = function get(section) {
+    var self = this;
+
+    return self.sections[section] || {};
+};
+
+RuntimeState.prototype.set = function set(section, key, value) {
+    var self = this;
+
+    self.sections[section] = self.sections[section] || {};
+    self.sections[section][key] = value;
+    self.save();
+};
+
+RuntimeState.prototype.remove = function remove(section, key) {
+    var self = this;
+
+    if (self.sections[section]) {
+        delete self.sections[section][key];
+    }
+    self.save();
+};
+
+// Admin changes are rare and small, so they are written straight away; a
+// relay killed right after a change still has it on disk.
+RuntimeState.prototype.save = function save() {
+    var self = this;
+
+    if (!self.filePath) {
+        return;
+    }
+
+    var contents = JSON.stringify({
+        savedAt: self.timers.now(),
+        sections: self.sections
+    });
+    var tmpPath = self.filePath + '.tmp';
+
+    try {
+        mkdirp.sync(path.dirname(self.filePath));
+        fs.writeFileSync(tmpPath, contents, 'utf8');
+        fs.renameSync(tmpPath, self.filePath);
+    } catch (err) {
+        self.logger.warn('could not save runtime state', {
+            error: err,
+            filePath: self.filePath
+        });
+    }
+};
+
+// Returns whether state was loaded
+RuntimeState.prototype.loadSync = function loadSync() {
+    var self = this;
+
+    if (!self.filePath) {
+        return false;
+    }
+
+    var state;
+    try {
+        state = JSON.parse(fs.readFileSync(self.filePath, 'utf8'));
+    } catch (err) {
+        // a relay that never saved any state has no file
+        if (err.code !== 'ENOENT') {
+            self.logger.warn('could not read runtime state', {
+                error: err,
+                filePath: self.filePath
+            });
+        }
+        return false;
+    }
+
+    var age = self.timers.now() - state.savedAt;
+    if (!(age <= self.maxAge)) {
+        self.logger.warn('ignoring stale runtime state', {
+            filePath: self.filePath,
+            savedAt: state.savedAt,
+            maxAge: self.maxAge
+        });
+        return false;
+    }
+
+    self.sections = state.sections || Object.create(null);
+    return true;
+};
@@ -0,0 +1,382 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var IntervalScan = require('./lib/interval-scan.js');
+var stat = require('./stat-tags.js');
+
+var DEFAULT_CONFIG = {
+    initialLimit: 20,
+    minLimit: 1,
+    maxLimit: 1000,
+    backoffRatio: 0.9,
+    latencyTolerance: 2
+};
+
+var STATS_INTERVAL = 1000;
+var EXPIRE_INTERVAL = 1000;
+// how long a request without a ttl may stay in flight
+var DEFAULT_REQUEST_TTL = 2 * 60 * 1000;
+// how fast the baseline latency follows latencies above it
+var BASELINE_DRIFT = 0.01;
+
+module.exports = ConcurrencyLimiter;
+
+/*  ConcurrencyLimiter caps the number of requests an exit node has in flight
+    to each service. The limit adapts to the service's latency (AIMD):
+
+    - a request that succeeds within latencyTolerance times the baseline
+      latency of the service adds 1 / limit to the limit, so it grows by
+      about one per round of limit requests, up to maxLimit
+    - a failed or slower request multiplies the limit by backoffRatio, at
+      most once per round trip, down to minLimit
+
+    The baseline is the lowest latency seen, drifting slowly towards higher
+    ones so that a lasting change of the service's latency is accepted.
+
+    A request whose outcome is never told, e.g. when the relay drops it
+    without calling its circuit, gives its slot back once its ttl is over.
+    Nothing is known of how it went, so the limit is left as it is.
+*/
+function ConcurrencyLimiter(options) {
+    var self = this;
+
+    self.batchStats = options.batchStats;
+    self.timers = options.timers;
+
+    self.enabled = false;
+    self.config = new ConcurrencyConfig(DEFAULT_CONFIG);
+
+    // Map<serviceName, ServiceConcurrency>
+    self.services = Object.create(null);
+
+    self.statsScan = new IntervalScan({
+        name: 'concurrency-stats',
+        timers: self.timers,
+        interval: STATS_INTERVAL,
+        each: function pushEachServiceStats(serviceName, service) {
+            self.pushStats(serviceName, service);
+        },
+        getCollection: function getServices() {
+            return self.services;
+        }
+    });
+
+    self.expireScan = new IntervalScan({
+        name: 'concurrency-expire',
+        timers: self.timers,
+        interval: EXPIRE_INTERVAL,
+        each: function expireEachServiceRequests(serviceName, service, now) {
+            self.expireRequests(service, now);
+        },
+        getCollection: function getServices() {
+            return self.services;
+        }
+    });
+    self.nextRequestId = 0;
+}
+
+ConcurrencyLimiter.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+ConcurrencyLimiter.prototype.setEnabled =
+function setEnabled(enabled) {
+    var self = this;
+
+    self.enabled = !!enabled;
+    if (self.enabled) {
+        self.statsScan.start();
+        self.expireScan.start();
+    } else {
+        self.statsScan.stop();
+        self.expireScan.stop();
+        self.services = Object.create(null);
+    }
+};
+
+// Fields missing from config keep their defaults
+ConcurrencyLimiter.prototype.setConfig =
+function setConfig(config) {
+    var self = this;
+
+    var merged = {};
+    var keys = Object.keys(DEFAULT_CONFIG);
+    for (var i = 0; i < keys.length; i++) {
+        var value = config[keys[i]];
+        merged[keys[i]] = typeof value === 'number' && value > 0 ?
+            value : DEFAULT_CONFIG[keys[i]];
+    }
+
+    self.config = new ConcurrencyConfig(merged);
+
+    var serviceNames = Object.keys(self.services);
+    for (i = 0; i < serviceNames.length; i++) {
+        self.services[serviceNames[i]].clampLimit(self.config);
+    }
+};
+
+ConcurrencyLimiter.prototype.destroy =
+function destroy() {
+    var self = this;
+
+    self.statsScan.stop();
+    self.expireScan.stop();
+};
+
+ConcurrencyLimiter.prototype.isExceeded =
+function isExceeded(serviceName) {
+    var self = this;
+
+    var service = self.enabled ? self.services[serviceName] : null;
+    if (!service || service.inflight < Math.floor(service.limit)) {
+        return false;
+    }
+
+    service.rejected += 1;
+    self.batchStats.pushStat(
+        'tchannel.rate-limiting.concurrency-busy',
+        'counter',
+        1,
+        new stat.RateLimiterServiceTags(serviceName)
+    );
+    return true;
+};
+
+ConcurrencyLimiter.prototype.getLimit =
+function getLimit(serviceName) {
+    var self = this;
+
+    var service = self.services[serviceName];
+    return service ? Math.floor(service.limit) : self.config.initialLimit;
+};
+
+// Wraps the circuit of the request so that it is counted as in flight until
+// its outcome is known, whether or not circuits are enabled.
+ConcurrencyLimiter.prototype.observe =
+function observe(req, serviceName) {
+    var self = this;
+
+    if (!self.enabled) {
+        return;
+    }
+
+    var service = self.services[serviceName];
+    if (!service) {
+        service = self.services[serviceName] =
+            new ServiceConcurrency(self.config.initialLimit);
+    }
+
+    var now = self.timers.now();
+    var outcome = new ConcurrencyOutcome(
+        self, service, req.circuit || null, now,
+        now + (req.timeout || DEFAULT_REQUEST_TTL)
+    );
+    service.inflight += 1;
+    service.outcomes[outcome.id] = outcome;
+    req.circuit = new LimitedCircuit(outcome);
+};
+
+// Releases the requests of the service whose ttl is over
+ConcurrencyLimiter.prototype.expireRequests =
+function expireRequests(service, now) {
+    var ids = Object.keys(service.outcomes);
+    for (var i = 0; i < ids.length; i++) {
+        var outcome = service.outcomes[ids[i]];
+        if (outcome.expiresAt <= now) {
+            outcome.expire();
+        }
+    }
+};
+
+ConcurrencyLimiter.prototype.onOutcome =
+function onOutcome(service, ok, latency) {
+    var self = this;
+
+    var config = self.config;
+    var now = self.timers.now();
+
+    service.inflight -= 1;
+
+    if (!ok || service.isSlow(latency, config)) {
+        if (now - service.lastDecrease >= latency) {
+            service.limit = Math.max(
+                config.minLimit, service.limit * config.backoffRatio
+            );
+            service.lastDecrease = now;
+        }
+    } else {
+        service.limit = Math.min(
+            config.maxLimit, service.limit + 1 / service.limit
+        );
+    }
+
+    if (ok) {
+        service.updateBaseline(latency);
+    }
+};
+
+ConcurrencyLimiter.prototype.removeService =
+function removeService(serviceName) {
+    var self = this;
+
+    delete self.services[serviceName];
+};
+
+// Map<serviceName, {limit, inflight, rejected, baselineLatency}>
+ConcurrencyLimiter.prototype.getInfo =
+function getInfo() {
+    var self = this;
+
+    var info = {};
+    var serviceNames = Object.keys(self.services);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var service = self.services[serviceNames[i]];
+        info[serviceNames[i]] = {
+            limit: Math.floor(service.limit),
+            inflight: service.inflight,
+            rejected: service.rejected,
+            baselineLatency: service.baselineLatency
+        };
+    }
+    return info;
+};
+
+ConcurrencyLimiter.prototype.pushStats =
+function pushStats(serviceName, service) {
+    var self = this;
+
+    self.batchStats.pushStat(
+        'tchannel.rate-limiting.concurrency-limit',
+        'gauge',
+        Math.floor(service.limit),
+        new stat.RateLimiterServiceTags(serviceName)
+    );
+    self.batchStats.pushStat(
+        'tchannel.rate-limiting.concurrency-inflight',
+        'gauge',
+        service.inflight,
+        new stat.RateLimiterServiceTags(serviceName)
+    );
+};
+
+function ConcurrencyConfig(config) {
+    this.initialLimit = config.initialLimit;
+    this.minLimit = config.minLimit;
+    this.maxLimit = config.maxLimit;
+    this.backoffRatio = config.backoffRatio;
+    this.latencyTolerance = config.latencyTolerance;
+}
+
+function ServiceConcurrency(limit) {
+    this.limit = limit;
+    this.inflight = 0;
+    this.rejected = 0;
+    this.baselineLatency = null;
+    this.lastDecrease = 0;
+    // Map<id, ConcurrencyOutcome> of the requests in flight
+    this.outcomes = Object.create(null);
+}
+
+ServiceConcurrency.prototype.clampLimit =
+function clampLimit(config) {
+    this.limit = Math.min(config.maxLimit, Math.max(config.minLimit, this.limit));
+};
+
+// Latencies under a millisecond do not make a meaningful baseline
+ServiceConcurrency.prototype.isSlow =
+function isSlow(latency, config) {
+    return this.baselineLatency !== null &&
+        latency > config.latencyTolerance * Math.max(this.baselineLatency, 1);
+};
+
+ServiceConcurrency.prototype.updateBaseline =
+function updateBaseline(latency) {
+    if (this.baselineLatency === null || latency < this.baselineLatency) {
+        this.baselineLatency = latency;
+    } else {
+        this.baselineLatency += (latency - this.baselineLatency) * BASELINE_DRIFT;
+    }
+};
+
+function LimitedCircuit(state) {
+    this.state = state;
+}
+
+function ConcurrencyOutcome(limiter, service, circuit, start, expiresAt) {
+    this.limiter = limiter;
+    this.service = service;
+    this.circuit = circuit;
+    this.id = limiter.nextRequestId++;
+    this.start = start;
+    this.expiresAt = expiresAt;
+    this.released = false;
+}
+
+ConcurrencyOutcome.prototype.onRequest =
+function onRequest(req) {
+    if (this.circuit) {
+        this.circuit.state.onRequest(req);
+    }
+};
+
+ConcurrencyOutcome.prototype.onRequestHealthy =
+function onRequestHealthy() {
+    this.releaseOnce(true);
+    if (this.circuit) {
+        this.circuit.state.onRequestHealthy();
+    }
+};
+
+ConcurrencyOutcome.prototype.onRequestUnhealthy =
+function onRequestUnhealthy() {
+    this.releaseOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestUnhealthy();
+    }
+};
+
+ConcurrencyOutcome.prototype.onRequestError =
+function onRequestError(err) {
+    this.releaseOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestError(err);
+    }
+};
+
+// An error can be reported by both halves of a relay, and an outcome can
+// come after the request expired
+ConcurrencyOutcome.prototype.releaseOnce =
+function releaseOnce(ok) {
+    if (this.released) {
+        return;
+    }
+    this.released = true;
+    delete this.service.outcomes[this.id];
+
+    var latency = this.limiter.timers.now() - this.start;
+    this.limiter.onOutcome(this.service, ok, latency);
+};
+
+ConcurrencyOutcome.prototype.expire =
+function expire() {
+    this.released = true;
+    delete this.service.outcomes[this.id];
+    this.service.inflight -= 1;
+};
@@ -24,6 +24,7 @@ module.exports = channelsEndpoint;
 
 function channelsEndpoint(opts, req, head, body, cb) {
     var tchannel = opts.clients.tchannel;
+    var serviceProxy = opts.clients.serviceProxy;
 
     var channels = {};
     Object.keys(tchannel.subChannels)
@@ -32,7 +33,8 @@ function channelsEndpoint(opts, req, head, body, cb) {
         channels[serviceName] = {
             serviceName: serviceName,
             handlerType: channel.handler.type,
-            mode: channel.options && channel.options.autobahnMode
+            mode: channel.options && channel.options.autobahnMode,
+            retryBudget: serviceProxy.getRetryBudgetInfo(channel)
         };
     });
 
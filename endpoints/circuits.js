@@ -20,30 +20,118 @@
 
 'use strict';
 
+var TypedError = require('error/typed');
+
+var InvalidBodyType = TypedError({
+    type: 'autobahn.circuits.invalid-body-type',
+    message: 'Invalid body type',
+    bodyType: null
+});
+
+var InvalidRequest = TypedError({
+    type: 'autobahn.circuits.invalid-request',
+    message: 'cn, serviceName and endpointName should be provided',
+    cn: null,
+    serviceName: null,
+    endpointName: null
+});
+
+var CircuitsDisabled = TypedError({
+    type: 'autobahn.circuits.disabled',
+    message: 'Circuits are not enabled'
+});
+
 module.exports = circuitsEndpoint;
 
+// Without a body, or with type "query", lists the circuits, with their recent
+// state transitions if body.history is true. The types
+// "healthy" and "unhealthy" force a circuit into that state, pinning it for
+// body.ttl ms if given; "reset" unpins it and clears its counters.
 function circuitsEndpoint(opts, req, head, body, cb) {
     var circuits = opts.clients.serviceProxy.circuits;
 
-    var response = [];
+    if (!body || body.type === 'query') {
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: describeCircuits(circuits, !!(body && body.history))
+        });
+    }
 
-    var circuitTuples = circuits ? circuits.getCircuitTuples() : [];
-    for (var index = 0; index < circuitTuples.length; index++) {
-        var circuitTuple = circuitTuples[index];
-        var circuit = circuits.getCircuit.apply(circuits, circuitTuple);
-        var state = circuit.state;
-        response.push({
-            cn: circuit.callerName,
-            sn: circuit.serviceName,
-            en: circuit.endpointName,
-            healthy: state.healthy,
-            shorted: state.type === 'tchannel.shorted'
+    if (body.type !== 'healthy' && body.type !== 'unhealthy' &&
+        body.type !== 'reset') {
+        return sendError(InvalidBodyType({
+            bodyType: body.type
+        }));
+    }
+
+    if (!body.cn || !body.serviceName || !body.endpointName) {
+        return sendError(InvalidRequest({
+            cn: body.cn,
+            serviceName: body.serviceName,
+            endpointName: body.endpointName
+        }));
+    }
+
+    if (!circuits) {
+        return sendError(CircuitsDisabled());
+    }
+
+    var circuit = circuits.getCircuit(
+        body.cn, body.serviceName, body.endpointName
+    );
+    var key = [body.cn, body.serviceName, body.endpointName].join('~~');
+    if (body.type === 'reset') {
+        circuit.reset();
+        opts.clients.runtimeState.remove('circuits', key);
+    } else {
+        circuit.force(body.type, body.ttl);
+        opts.clients.runtimeState.set('circuits', key, {
+            type: body.type,
+            pinnedUntil: circuit.pinnedUntil || null
         });
     }
 
     cb(null, {
         ok: true,
         head: null,
-        body: response
+        body: describeCircuit(circuit, false)
     });
+
+    function sendError(err) {
+        cb(null, {
+            ok: false,
+            head: null,
+            body: err
+        });
+    }
+}
+
+function describeCircuits(circuits, withHistory) {
+    var response = [];
+
+    var circuitTuples = circuits ? circuits.getCircuitTuples() : [];
+    for (var index = 0; index < circuitTuples.length; index++) {
+        var circuitTuple = circuitTuples[index];
+        var circuit = circuits.getCircuit.apply(circuits, circuitTuple);
+        response.push(describeCircuit(circuit, withHistory));
+    }
+
+    return response;
+}
+
+function describeCircuit(circuit, withHistory) {
+    var state = circuit.state;
+    var info = {
+        cn: circuit.callerName,
+        sn: circuit.serviceName,
+        en: circuit.endpointName,
+        healthy: state.healthy,
+        shorted: state.type === 'tchannel.shorted',
+        pinnedUntil: circuit.isPinned() ? circuit.pinnedUntil : null
+    };
+    if (withHistory) {
+        info.history = circuit.history.toArray();
+    }
+    return info;
 }
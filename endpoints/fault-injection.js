@@ -0,0 +1,102 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var TypedError = require('error/typed');
+
+var InvalidBodyType = TypedError({
+    type: 'autobahn.fault-injection.invalid-body-type',
+    message: 'Invalid body type',
+    bodyType: null
+});
+
+var InvalidFault = TypedError({
+    type: 'autobahn.fault-injection.invalid-fault',
+    message: 'Invalid fault: {reason}',
+    reason: null
+});
+
+var FaultNameRequired = TypedError({
+    type: 'autobahn.fault-injection.name-required',
+    message: 'name should be provided'
+});
+
+module.exports = faultInjection;
+
+// The type "add" injects body.fault for body.fault.ttl ms, "remove" removes
+// the fault named body.name and "clear" removes every fault added here; the
+// faults of remote config stay. Every type answers with the active faults.
+function faultInjection(opts, req, head, body, cb) {
+    var serviceProxy = opts.clients.serviceProxy;
+    var faultInjector = serviceProxy.faultInjector;
+    var now = serviceProxy.channel.timers.now();
+
+    if (!body) {
+        return sendError(InvalidBodyType({
+            bodyType: null
+        }));
+    }
+
+    if (body.type === 'add') {
+        var result = faultInjector.addFault(body.fault, now);
+        if (result.reason) {
+            return sendError(InvalidFault({
+                reason: result.reason
+            }));
+        }
+        opts.clients.logger.info('fault injection added', {
+            faultName: result.fault.name,
+            expiresAt: result.fault.expiresAt
+        });
+    } else if (body.type === 'remove') {
+        if (!body.name) {
+            return sendError(FaultNameRequired());
+        }
+        faultInjector.removeFault(body.name);
+        opts.clients.logger.info('fault injection removed', {
+            faultName: body.name
+        });
+    } else if (body.type === 'clear') {
+        faultInjector.clearFaults();
+        opts.clients.logger.info('fault injection cleared', {});
+    } else if (body.type !== 'query') {
+        return sendError(InvalidBodyType({
+            bodyType: body.type
+        }));
+    }
+
+    cb(null, {
+        ok: true,
+        head: null,
+        body: {
+            faults: faultInjector.getFaults(now),
+            invalid: faultInjector.invalid
+        }
+    });
+
+    function sendError(err) {
+        cb(null, {
+            ok: false,
+            head: null,
+            body: err
+        });
+    }
+}
@@ -81,9 +81,23 @@ function serviceHostsEndpoint(opts, req, head, body, cb) {
 
     // This prints [localNode] for non-existant services
 
+    if (body.withMetadata !== true) {
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: serviceHosts
+        });
+    }
+
+    // Advertisement metadata is only stored on exit nodes, so peers is
+    // empty unless this node is one of the exits for the service.
+    var serviceProxy = opts.clients.serviceProxy;
     cb(null, {
         ok: true,
         head: null,
-        body: serviceHosts
+        body: {
+            exitNodes: serviceHosts,
+            peers: serviceProxy.getServiceMetadata(serviceName)
+        }
     });
 }
@@ -41,19 +41,26 @@ function setupEndpoints(clients, services) {
         ['exit_connections_v1', require('./exit_connections')],
         ['channels_v1', require('./channels')],
         ['circuits_v1', require('./circuits')],
+        ['routing_rules_v1', require('./routing-rules')],
+        ['fault_injection_v1', require('./fault-injection')],
 
         ['kill_switch_v1', require('./kill-switch')],
+        ['shadowing_v1', require('./shadowing')],
         ['rate_limiter_query_v1', require('./rate-limiter').queryHandler],
         ['rate_limiter_exempt_v1', require('./rate-limiter').exemptHandler],
         ['rate_limiter_limit_v1', require('./rate-limiter').limitHandler],
         ['rate_limiter_enable_v1', require('./rate-limiter').enableHandler],
         ['rate_limiter_total_limit_v1', require('./rate-limiter').totalLimitHandler],
+        ['rate_limiter_edge_limit_v1', require('./rate-limiter').edgeLimitHandler],
 
         // Public entry interface
         ['set_k_v1', require('./entry_set_k')],
 
         // Internal exit interface
-        ['exit_set_k_v1', require('./exit_set_k')]
+        ['exit_set_k_v1', require('./exit_set_k')],
+
+        // Internal kill switch interface
+        ['kill_switch_sync_v1', require('./kill-switch-sync')]
     ];
 
     endpoints.forEach(function each(pair) {
@@ -0,0 +1,66 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var TypedError = require('error/typed');
+
+var InvalidBody = TypedError({
+    type: 'autobahn.kill-switch-sync.invalid-body',
+    message: 'Invalid kill switch sync body',
+    bodyType: null
+});
+
+module.exports = killSwitchSync;
+
+// Internal interface through which nodes share the kill switches set with
+// kill_switch_v1
+function killSwitchSync(opts, req, head, body, cb) {
+    var serviceProxy = opts.clients.serviceProxy;
+
+    if (body && body.type === 'push' && body.state &&
+        typeof body.state.version === 'number') {
+        var adopted = serviceProxy.setKillSwitchState(body.state);
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: {
+                adopted: adopted,
+                state: serviceProxy.getKillSwitchState()
+            }
+        });
+    }
+
+    if (body && body.type === 'query') {
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: serviceProxy.getKillSwitchState()
+        });
+    }
+
+    return cb(null, {
+        ok: false,
+        head: null,
+        body: InvalidBody({
+            bodyType: body && body.type
+        })
+    });
+}
@@ -35,6 +35,18 @@ var InvalidRequest = TypedError({
     serviceName: null
 });
 
+var InvalidTTL = TypedError({
+    type: 'autobahn.kill-switch.invalid-ttl',
+    message: 'ttl should be a positive number of milliseconds',
+    ttl: null
+});
+
+var InvalidPercent = TypedError({
+    type: 'autobahn.kill-switch.invalid-percent',
+    message: 'percent should be a number in (0, 100]',
+    percent: null
+});
+
 module.exports = killSwitch;
 
 function killSwitch(opts, req, head, body, cb) {
@@ -54,11 +66,23 @@ function killSwitch(opts, req, head, body, cb) {
         return cb(null, {
             ok: true,
             head: null,
-            body: {blockingTable: serviceProxy.blockingTable}
+            body: describeKillSwitches(serviceProxy)
         });
     }
 
-    if (!body.cn || !body.serviceName) {
+    if (body.type === 'consistency') {
+        return opts.services.entryNode.checkKillSwitches({
+            inreq: req
+        }, onChecked);
+    }
+
+    // pushes the kill switches of this node again, e.g. to nodes which
+    // consistency reports as disagreeing
+    if (body.type === 'sync') {
+        return propagate(opts, req, cb);
+    }
+
+    if (!isValidEdge(body)) {
         return cb(null, {
             ok: false,
             head: null,
@@ -70,9 +94,24 @@ function killSwitch(opts, req, head, body, cb) {
     }
 
     if (body.type === 'block') {
-        serviceProxy.block(body.cn, body.serviceName);
+        var blockError = validateBlock(body);
+        if (blockError) {
+            return cb(null, {
+                ok: false,
+                head: null,
+                body: blockError
+            });
+        }
+
+        serviceProxy.block(body.cn, body.serviceName, {
+            endpoint: body.endpoint,
+            percent: body.percent,
+            ttl: body.ttl,
+            reason: body.reason,
+            operator: body.operator
+        });
     } else if (body.type === 'unblock') {
-        serviceProxy.unblock(body.cn, body.serviceName);
+        serviceProxy.unblock(body.cn, body.serviceName, body.endpoint);
     } else {
         return cb(null, {
             ok: false,
@@ -83,9 +122,80 @@ function killSwitch(opts, req, head, body, cb) {
         });
     }
 
-    return cb(null, {
-        ok: true,
-        head: null,
-        body: {blockingTable: serviceProxy.blockingTable}
-    });
+    if (body.local) {
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: describeKillSwitches(serviceProxy)
+        });
+    }
+
+    return propagate(opts, req, cb);
+
+    function onChecked(err, result) {
+        if (err) {
+            return cb(err);
+        }
+
+        cb(null, {
+            ok: true,
+            head: null,
+            body: result
+        });
+    }
+}
+
+// endpoint kill switches need a service
+function isValidEdge(body) {
+    return !!body.cn && !!body.serviceName &&
+        !(body.endpoint && body.serviceName === '*');
+}
+
+function validateBlock(body) {
+    if (body.ttl !== undefined && body.ttl !== null &&
+        !(typeof body.ttl === 'number' && body.ttl > 0)) {
+        return InvalidTTL({
+            ttl: body.ttl
+        });
+    }
+
+    if (body.percent !== undefined && body.percent !== null &&
+        !(typeof body.percent === 'number' &&
+            body.percent > 0 && body.percent <= 100)) {
+        return InvalidPercent({
+            percent: body.percent
+        });
+    }
+
+    return null;
+}
+
+// Kill switches set on one node are pushed to every other node
+function propagate(opts, req, cb) {
+    var serviceProxy = opts.clients.serviceProxy;
+
+    opts.services.entryNode.fanoutKillSwitches({
+        inreq: req
+    }, onPropagated);
+
+    function onPropagated(err, propagationErrors) {
+        if (err) {
+            return cb(err);
+        }
+
+        var body = describeKillSwitches(serviceProxy);
+        body.propagationErrors = propagationErrors;
+        cb(null, {
+            ok: true,
+            head: null,
+            body: body
+        });
+    }
+}
+
+function describeKillSwitches(serviceProxy) {
+    return {
+        blockingTable: serviceProxy.blockingTable,
+        version: serviceProxy.killSwitchVersion
+    };
 }
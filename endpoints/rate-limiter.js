@@ -39,6 +39,7 @@ module.exports.exemptHandler = exemptHandler;
 module.exports.limitHandler = limitHandler;
 module.exports.enableHandler = enableHandler;
 module.exports.totalLimitHandler = totalLimitHandler;
+module.exports.edgeLimitHandler = edgeLimitHandler;
 
 function queryHandler(opts, req, head, body, cb) {
     var serviceProxy = opts.clients.serviceProxy;
@@ -51,8 +52,17 @@ function queryHandler(opts, req, head, body, cb) {
             enabled: serviceProxy.rateLimiterEnabled,
             totalRpsLimit: rateLimiter.totalRpsLimit,
             exemptServices: rateLimiter.exemptServices,
+            shadowMode: rateLimiter.shadowMode,
+            shadowServices: rateLimiter.shadowServices,
             rpsLimitForServiceName: rateLimiter.rpsLimitForServiceName,
+            clusterRpsLimitForServiceName: rateLimiter.clusterRpsLimitForServiceName,
+            localRpsLimitForServiceName: rateLimiter.getLocalRpsLimits(),
+            burstForServiceName: rateLimiter.burstForServiceName,
+            rpsLimitForEdge: rateLimiter.rpsLimitForEdge,
+            totalBurst: rateLimiter.totalBurst,
             totalRequestCounter: rateLimiter.totalRequestCounter,
+            concurrencyLimitingEnabled: serviceProxy.concurrencyLimiter.enabled,
+            concurrencyForServiceName: serviceProxy.concurrencyLimiter.getInfo(),
             serviceCounters: rateLimiter.counters
         }
     });
@@ -90,6 +100,10 @@ function exemptHandler(opts, req, head, body, cb) {
         });
     }
 
+    opts.clients.runtimeState.set(
+        'rateLimiting', 'exemptServices', rateLimiter.exemptServices.slice()
+    );
+
     return cb(null, {
         ok: true,
         head: null,
@@ -112,11 +126,8 @@ function limitHandler(opts, req, head, body, cb) {
         });
     }
 
-    if (typeof body.serviceName === 'string' && typeof body.limit === 'number') {
-        rateLimiter.updateServiceLimit(body.serviceName, body.limit);
-    } else if (typeof body.serviceName === 'string') {
-        rateLimiter.updateServiceLimit(body.serviceName, rateLimiter.defaultServiceRpsLimit);
-    } else {
+    if (typeof body.serviceName !== 'string' ||
+        (body.mode !== undefined && body.mode !== 'token-bucket' && body.mode !== 'sliding-window')) {
         return cb(null, {
             ok: false,
             head: null,
@@ -126,6 +137,25 @@ function limitHandler(opts, req, head, body, cb) {
         });
     }
 
+    if (typeof body.limit === 'number') {
+        rateLimiter.updateServiceLimit(body.serviceName, body.limit);
+    } else {
+        rateLimiter.updateServiceLimit(body.serviceName, rateLimiter.defaultServiceRpsLimit);
+    }
+
+    // token-bucket mode takes an optional burst, which defaults to the limit
+    if (body.mode === 'token-bucket') {
+        rateLimiter.updateServiceBurst(body.serviceName,
+            typeof body.burst === 'number' ? body.burst : 0);
+    } else if (body.mode === 'sliding-window') {
+        rateLimiter.updateServiceBurst(body.serviceName, null);
+    }
+
+    opts.clients.runtimeState.set('serviceRpsLimits', body.serviceName, {
+        limit: rateLimiter.rpsLimitForServiceName[body.serviceName],
+        burst: rateLimiter.burstForServiceName[body.serviceName]
+    });
+
     return cb(null, {
         ok: true,
         head: null,
@@ -161,6 +191,10 @@ function enableHandler(opts, req, head, body, cb) {
         });
     }
 
+    opts.clients.runtimeState.set(
+        'rateLimiting', 'enabled', serviceProxy.rateLimiterEnabled
+    );
+
     return cb(null, {
         ok: true,
         head: null,
@@ -179,6 +213,47 @@ function totalLimitHandler(opts, req, head, body, cb) {
         rateLimiter.updateTotalLimit(rateLimiter.defaultTotalRpsLimit);
     }
 
+    opts.clients.runtimeState.set(
+        'rateLimiting', 'totalRpsLimit', rateLimiter.totalRpsLimit
+    );
+
+    return cb(null, {
+        ok: true,
+        head: null,
+        body: null
+    });
+}
+
+// Without a limit, the edge limit of cn to serviceName is removed
+function edgeLimitHandler(opts, req, head, body, cb) {
+    var serviceProxy = opts.clients.serviceProxy;
+    var rateLimiter = serviceProxy.rateLimiter;
+
+    if (!body) {
+        return cb(null, {
+            ok: false,
+            head: null,
+            body: InvalidBodyType({
+                bodyType: null
+            })
+        });
+    }
+
+    if (typeof body.cn !== 'string' || typeof body.serviceName !== 'string') {
+        return cb(null, {
+            ok: false,
+            head: null,
+            body: InvalidRequest({
+                requestType: 'edge RPS limit'
+            })
+        });
+    }
+
+    var edge = body.cn + '~~' + body.serviceName;
+    var limit = typeof body.limit === 'number' ? body.limit : 'default';
+    rateLimiter.updateEdgeLimit(edge, limit);
+    opts.clients.runtimeState.set('edgeRpsLimits', edge, limit);
+
     return cb(null, {
         ok: true,
         head: null,
@@ -0,0 +1,115 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var TypedError = require('error/typed');
+
+var InvalidBodyType = TypedError({
+    type: 'autobahn.shadowing.invalid-body-type',
+    message: 'Invalid body type',
+    bodyType: null
+});
+
+var ServiceNameRequired = TypedError({
+    type: 'autobahn.shadowing.service-name-required',
+    message: 'serviceName should be provided'
+});
+
+var InvalidShadowRule = TypedError({
+    type: 'autobahn.shadowing.invalid-rule',
+    message: 'Invalid shadow rule for {serviceName}: {reason}',
+    serviceName: null,
+    reason: null
+});
+
+module.exports = shadowing;
+
+function shadowing(opts, req, head, body, cb) {
+    var serviceProxy = opts.clients.serviceProxy;
+
+    if (!body) {
+        return cb(null, {
+            ok: false,
+            head: null,
+            body: InvalidBodyType({
+                bodyType: null
+            })
+        });
+    }
+
+    if (body.type === 'query') {
+        return cb(null, {
+            ok: true,
+            head: null,
+            body: shadowTables(serviceProxy)
+        });
+    }
+
+    if (!body.serviceName) {
+        return cb(null, {
+            ok: false,
+            head: null,
+            body: ServiceNameRequired()
+        });
+    }
+
+    if (body.type === 'set') {
+        var reason = serviceProxy.setShadowRule(body.serviceName, {
+            shadowService: body.shadowService,
+            percentage: body.percentage,
+            callerNames: body.callerNames,
+            endpoints: body.endpoints
+        });
+        if (reason) {
+            return cb(null, {
+                ok: false,
+                head: null,
+                body: InvalidShadowRule({
+                    serviceName: body.serviceName,
+                    reason: reason
+                })
+            });
+        }
+    } else if (body.type === 'remove') {
+        serviceProxy.removeShadowRule(body.serviceName);
+    } else {
+        return cb(null, {
+            ok: false,
+            head: null,
+            body: InvalidBodyType({
+                bodyType: body.type
+            })
+        });
+    }
+
+    return cb(null, {
+        ok: true,
+        head: null,
+        body: shadowTables(serviceProxy)
+    });
+}
+
+function shadowTables(serviceProxy) {
+    return {
+        shadowRules: serviceProxy.shadowRules,
+        shadowRulesRemoteConfig: serviceProxy.shadowRulesRemoteConfig
+    };
+}
@@ -59,6 +59,8 @@ var EntryNodeCouldNotFindExitNodesError = TypedError({
     nameAsThrift: 'couldNotFindExitNodes'
 });
 
+var KILL_SWITCH_PULL_SIZE = 3;
+
 module.exports = EntryNode;
 
 function EntryNode(clients) {
@@ -168,6 +170,8 @@ EntryNode.prototype.setK = function setK(serviceName, k) {
         k: k
     });
     self.egressNodes.setKValueFor(serviceName, k);
+    self._clients.serviceProxy.updateServiceChannels();
+    self._clients.runtimeState.set('kValues', serviceName, k);
 };
 
 EntryNode.prototype.fanoutSetK = function fanoutSetK(opts, cb) {
@@ -225,3 +229,252 @@ EntryNode.prototype.fanoutSetK = function fanoutSetK(opts, cb) {
         cb(null, results);
     }
 };
+
+// Pushes the kill switches of this node to every other alive member
+EntryNode.prototype.fanoutKillSwitches =
+function fanoutKillSwitches(opts, cb) {
+    var self = this;
+    var hosts = self.getOtherMembers();
+    var state = self.serviceProxy.getKillSwitchState();
+
+    collectParallel(hosts, pushKillSwitches, onAllPushed);
+
+    function pushKillSwitches(host, key, callback) {
+        self.sendKillSwitchSync(host, opts.inreq, {
+            type: 'push',
+            state: state
+        }, callback);
+    }
+
+    function onAllPushed(err, collection) {
+        if (err) {
+            self._clients.logger.error('unexpected kill switch fanout error', {
+                error: err,
+                killSwitchVersion: state.version
+            });
+            return cb(err);
+        }
+
+        var results = {};
+        collection.forEach(function buildResult(pushResult, index) {
+            if (pushResult.err) {
+                results[hosts[index]] = pushResult.err;
+            } else if (!pushResult.value.ok) {
+                results[hosts[index]] = pushResult.value.body;
+            }
+        });
+
+        cb(null, results);
+    }
+};
+
+// Merges the kill switches of a few other members, so that a node which
+// joins or restarts catches up with the cluster
+EntryNode.prototype.pullKillSwitches =
+function pullKillSwitches(cb) {
+    var self = this;
+    var hosts = self.getOtherMembers();
+    var sample = [];
+    while (hosts.length && sample.length < KILL_SWITCH_PULL_SIZE) {
+        var pick = Math.floor(Math.random() * hosts.length);
+        sample.push(hosts.splice(pick, 1)[0]);
+    }
+
+    collectParallel(sample, queryKillSwitches, onAllQueried);
+
+    function queryKillSwitches(host, key, callback) {
+        self.sendKillSwitchSync(host, null, {
+            type: 'query'
+        }, callback);
+    }
+
+    function onAllQueried(err, collection) {
+        if (err) {
+            return cb(err);
+        }
+
+        collection.forEach(function adoptResult(queryResult, index) {
+            if (queryResult.err || !queryResult.value.ok) {
+                self._clients.logger.info('could not pull kill switches', {
+                    host: sample[index],
+                    error: queryResult.err || queryResult.value.body
+                });
+                return;
+            }
+            self.serviceProxy.setKillSwitchState(queryResult.value.body);
+        });
+
+        cb(null);
+    }
+};
+
+// Reports the kill switches of every member, and the members which are
+// missing the newest change to some of them
+EntryNode.prototype.checkKillSwitches =
+function checkKillSwitches(opts, cb) {
+    var self = this;
+    var hosts = self.getOtherMembers();
+    var whoami = self._clients.ringpop.whoami();
+
+    collectParallel(hosts, queryKillSwitches, onAllQueried);
+
+    function queryKillSwitches(host, key, callback) {
+        self.sendKillSwitchSync(host, opts.inreq, {
+            type: 'query'
+        }, callback);
+    }
+
+    function onAllQueried(err, collection) {
+        if (err) {
+            return cb(err);
+        }
+
+        var nodes = {};
+        nodes[whoami] = describeKillSwitchState(
+            self.serviceProxy.getKillSwitchState()
+        );
+        collection.forEach(function buildResult(queryResult, index) {
+            if (queryResult.err) {
+                nodes[hosts[index]] = {err: queryResult.err};
+            } else if (!queryResult.value.ok) {
+                nodes[hosts[index]] = {err: queryResult.value.body};
+            } else {
+                nodes[hosts[index]] = describeKillSwitchState(
+                    queryResult.value.body
+                );
+            }
+        });
+
+        cb(null, compareKillSwitchStates(nodes));
+    }
+};
+
+EntryNode.prototype.getOtherMembers =
+function getOtherMembers() {
+    var self = this;
+    var ringpop = self._clients.ringpop;
+    var whoami = ringpop.whoami();
+
+    var hosts = [];
+    var members = ringpop.membership.members;
+    for (var i = 0; i < members.length; i++) {
+        if (members[i].status === 'alive' &&
+            members[i].address !== whoami) {
+            hosts.push(members[i].address);
+        }
+    }
+    return hosts;
+};
+
+EntryNode.prototype.sendKillSwitchSync =
+function sendKillSwitchSync(host, inreq, body, callback) {
+    var self = this;
+    var autobahnChannel = self._clients.autobahnChannel;
+    var tchannelJSON = self._clients.tchannelJSON;
+
+    autobahnChannel.waitForIdentified({
+        host: host
+    }, onIdentified);
+
+    function onIdentified(err) {
+        if (err) {
+            return callback(err);
+        }
+
+        tchannelJSON.send(autobahnChannel.request({
+            host: host,
+            parent: inreq,
+            timeout: 2000,
+            serviceName: 'autobahn',
+            headers: {
+                cn: 'autobahn'
+            }
+        }), 'kill_switch_sync_v1', null, body, callback);
+    }
+};
+
+function describeKillSwitchState(state) {
+    var changes = {};
+    addKillSwitchChanges(changes, state.blockingTable);
+    addKillSwitchChanges(changes, state.unblocked);
+
+    return {
+        version: state.version,
+        killSwitches: Object.keys(state.blockingTable || {}),
+        changes: changes
+    };
+}
+
+function addKillSwitchChanges(changes, table) {
+    var keys = Object.keys(table || {});
+    for (var i = 0; i < keys.length; i++) {
+        changes[keys[i]] = {
+            version: table[keys[i]].version || 0,
+            origin: table[keys[i]].origin || null
+        };
+    }
+}
+
+// A node disagrees when it is missing the newest change to a kill switch
+// that some other node has
+function compareKillSwitchStates(nodes) {
+    var hosts = Object.keys(nodes);
+    var newest = newestKillSwitchChanges(nodes);
+    var version = 0;
+
+    var disagreeing = [];
+    for (var i = 0; i < hosts.length; i++) {
+        var node = nodes[hosts[i]];
+        if (node.err) {
+            disagreeing.push(hosts[i]);
+            continue;
+        }
+
+        version = Math.max(version, node.version);
+        node.behind = findMissingChanges(node.changes, newest);
+        delete node.changes;
+        if (node.behind.length) {
+            disagreeing.push(hosts[i]);
+        }
+    }
+
+    return {
+        version: version,
+        nodes: nodes,
+        disagreeing: disagreeing
+    };
+}
+
+function newestKillSwitchChanges(nodes) {
+    var hosts = Object.keys(nodes);
+    var newest = {};
+    for (var i = 0; i < hosts.length; i++) {
+        var changes = nodes[hosts[i]].changes || {};
+        var keys = Object.keys(changes);
+        for (var j = 0; j < keys.length; j++) {
+            if (!newest[keys[j]] ||
+                isNewerChange(changes[keys[j]], newest[keys[j]])) {
+                newest[keys[j]] = changes[keys[j]];
+            }
+        }
+    }
+    return newest;
+}
+
+function findMissingChanges(changes, newest) {
+    var missing = [];
+    var keys = Object.keys(newest);
+    for (var i = 0; i < keys.length; i++) {
+        var change = changes[keys[i]];
+        if (!change || isNewerChange(newest[keys[i]], change)) {
+            missing.push(keys[i]);
+        }
+    }
+    return missing;
+}
+
+function isNewerChange(change, other) {
+    return change.version > other.version ||
+        (change.version === other.version &&
+            String(change.origin) > String(other.origin));
+}
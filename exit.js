@@ -35,13 +35,19 @@ function ExitNode(clients) {
 ExitNode.prototype.getServiceConnections =
 function getServiceConnections(serviceName) {
     var self = this;
-    var svcchan = self.tchannel.handler.getServiceChannel(serviceName);
+    var handler = self.tchannel.handler;
+    var svcchan = handler.getServiceChannel(serviceName);
     var connectedHostPorts = {};
     if (svcchan) {
         svcchan.peers.entries().forEach(function each(ent) {
             var hostPort = ent[0];
             var peer = ent[1];
-            connectedHostPorts[hostPort] = getPeerInfo(peer);
+            var info = getPeerInfo(peer);
+            info.metadata = handler.getPeerMetadata(serviceName, hostPort);
+            info.ejection = handler.outlierDetector.getEjectionInfo(
+                serviceName, hostPort
+            );
+            connectedHostPorts[hostPort] = info;
         });
     }
     return connectedHostPorts;
@@ -0,0 +1,327 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var ERROR_CODE_NAMES = ['Busy', 'Declined', 'UnexpectedError', 'Timeout'];
+
+module.exports = FaultInjector;
+
+/*  FaultInjector holds the faults the exit node of a service injects into
+    matching requests, for callers to test their retries and timeouts against:
+
+    fault :: {
+        name      :: ?String,
+        match     :: ?{
+            callerName  :: ?String,
+            serviceName :: ?String,
+            endpoint    :: ?String                  // arg1
+        },
+        percent   :: ?Number,                       // defaults to 100
+        delay     :: ?Number,                       // ms added before handling
+        error     :: ?{
+            codeName :: String,                     // one of ERROR_CODE_NAMES
+            message  :: ?String
+        },
+        drop      :: ?Boolean,                      // never answer
+        expiresAt :: Number                         // ms since epoch
+    }
+
+    An omitted match field matches anything. Every fault expires: faults from
+    remote config have an expiresAt, faults added through fault_injection_v1 a
+    ttl instead. The first matching fault that is not expired wins. Only the
+    exit node injects, so a fault added through fault_injection_v1 must be
+    added on the exit nodes of its service.
+*/
+function FaultInjector() {
+    this.remoteConfigFaults = [];
+    this.faults = [];
+    this.invalid = [];
+    this.nextFaultId = 0;
+}
+
+FaultInjector.Fault = Fault;
+FaultInjector.ERROR_CODE_NAMES = ERROR_CODE_NAMES;
+
+// Replaces the faults of remote config, returns the invalid ones
+FaultInjector.prototype.setRemoteConfigFaults =
+function setRemoteConfigFaults(rawFaults) {
+    this.remoteConfigFaults = [];
+    this.invalid = [];
+
+    for (var i = 0; i < rawFaults.length; i++) {
+        var reason = Fault.validate(rawFaults[i]) ||
+            validateExpiresAt(rawFaults[i].expiresAt);
+        if (reason) {
+            this.invalid.push({
+                index: i,
+                reason: reason
+            });
+        } else {
+            this.remoteConfigFaults.push(new Fault(
+                rawFaults[i], 'remote-config-' + i, rawFaults[i].expiresAt
+            ));
+        }
+    }
+
+    return this.invalid;
+};
+
+// Adds a fault for ttl ms, replacing any fault of the same name. Returns the
+// fault, or the reason it is invalid.
+FaultInjector.prototype.addFault =
+function addFault(raw, now) {
+    var reason = Fault.validate(raw) || validateTTL(raw && raw.ttl);
+    if (reason) {
+        return {
+            fault: null,
+            reason: reason
+        };
+    }
+
+    var fault = new Fault(raw, 'fault-' + this.nextFaultId, now + raw.ttl);
+    this.nextFaultId += 1;
+    this.removeFault(fault.name);
+    this.faults.push(fault);
+    return {
+        fault: fault,
+        reason: null
+    };
+};
+
+// Returns whether there was a fault of that name
+FaultInjector.prototype.removeFault =
+function removeFault(name) {
+    for (var i = 0; i < this.faults.length; i++) {
+        if (this.faults[i].name === name) {
+            this.faults.splice(i, 1);
+            return true;
+        }
+    }
+    return false;
+};
+
+FaultInjector.prototype.clearFaults =
+function clearFaults() {
+    this.faults = [];
+};
+
+// Drops the expired faults of fault_injection_v1 and lists the rest
+FaultInjector.prototype.getFaults =
+function getFaults(now) {
+    this.faults = this.faults.filter(function isActive(fault) {
+        return !fault.isExpired(now);
+    });
+
+    return this.remoteConfigFaults.filter(function isActive(fault) {
+        return !fault.isExpired(now);
+    }).concat(this.faults);
+};
+
+// Whether any fault could match before the endpoint is read
+FaultInjector.prototype.mayMatch =
+function mayMatch(callerName, serviceName, now) {
+    return mayMatchAny(this.faults, callerName, serviceName, now) ||
+        mayMatchAny(this.remoteConfigFaults, callerName, serviceName, now);
+};
+
+// Returns the fault to inject into the request, if any; random is the
+// handler's, so that tests can decide which requests a percentage takes
+FaultInjector.prototype.match =
+function match(callerName, serviceName, endpoint, now, random) {
+    var fault = matchAny(
+        this.faults, callerName, serviceName, endpoint, now
+    ) || matchAny(
+        this.remoteConfigFaults, callerName, serviceName, endpoint, now
+    );
+    return fault && fault.isInjected(random) ? fault : null;
+};
+
+function mayMatchAny(faults, callerName, serviceName, now) {
+    for (var i = 0; i < faults.length; i++) {
+        if (!faults[i].isExpired(now) &&
+            faults[i].mayMatch(callerName, serviceName)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+function matchAny(faults, callerName, serviceName, endpoint, now) {
+    for (var i = 0; i < faults.length; i++) {
+        if (!faults[i].isExpired(now) &&
+            faults[i].matches(callerName, serviceName, endpoint)) {
+            return faults[i];
+        }
+    }
+    return null;
+}
+
+function Fault(raw, defaultName, expiresAt) {
+    var match = raw.match || {};
+
+    this.name = raw.name || defaultName;
+    this.callerName = match.callerName || null;
+    this.serviceName = match.serviceName || null;
+    this.endpoint = match.endpoint || null;
+    this.percent = typeof raw.percent === 'number' ? raw.percent : 100;
+    this.delay = raw.delay || 0;
+    this.error = raw.error ? new FaultError(raw.error, this.name) : null;
+    this.drop = !!raw.drop;
+    this.expiresAt = expiresAt;
+}
+
+function FaultError(error, faultName) {
+    this.codeName = error.codeName;
+    this.message = error.message ||
+        'error injected by fault ' + faultName;
+}
+
+// Returns the reason the fault is invalid, or null
+Fault.validate = function validate(raw) {
+    if (!isObject(raw)) {
+        return 'expected an object';
+    }
+
+    if (raw.name !== undefined && !isString(raw.name)) {
+        return 'name must be a string';
+    }
+
+    if (raw.percent !== undefined && !(typeof raw.percent === 'number' &&
+        raw.percent > 0 && raw.percent <= 100)) {
+        return 'percent must be a number above 0 and at most 100';
+    }
+
+    return validateMatch(raw.match) || validateAction(raw);
+};
+
+// The kind of fault, for stats
+Fault.prototype.getKind =
+function getKind() {
+    if (this.drop) {
+        return 'drop';
+    } else if (this.error) {
+        return 'error';
+    }
+    return 'delay';
+};
+
+Fault.prototype.isExpired =
+function isExpired(now) {
+    return this.expiresAt <= now;
+};
+
+Fault.prototype.isInjected =
+function isInjected(random) {
+    return this.percent >= 100 || random() * 100 < this.percent;
+};
+
+Fault.prototype.mayMatch =
+function mayMatch(callerName, serviceName) {
+    return (this.callerName === null || this.callerName === callerName) &&
+        (this.serviceName === null || this.serviceName === serviceName);
+};
+
+Fault.prototype.matches =
+function matches(callerName, serviceName, endpoint) {
+    return this.mayMatch(callerName, serviceName) &&
+        (this.endpoint === null || this.endpoint === endpoint);
+};
+
+function validateMatch(match) {
+    if (match === undefined) {
+        return null;
+    }
+
+    if (!isObject(match)) {
+        return 'match must be an object';
+    }
+
+    var fields = ['callerName', 'serviceName', 'endpoint'];
+    for (var i = 0; i < fields.length; i++) {
+        if (match[fields[i]] !== undefined && !isString(match[fields[i]])) {
+            return 'match.' + fields[i] + ' must be a string';
+        }
+    }
+
+    return null;
+}
+
+function validateAction(raw) {
+    if (raw.delay === undefined && raw.error === undefined && !raw.drop) {
+        return 'expected one of delay, error or drop';
+    }
+
+    if (raw.delay !== undefined &&
+        !(typeof raw.delay === 'number' && raw.delay > 0)) {
+        return 'delay must be a positive number';
+    }
+
+    if (raw.drop !== undefined && typeof raw.drop !== 'boolean') {
+        return 'drop must be a boolean';
+    }
+
+    if (raw.error !== undefined) {
+        if (raw.drop) {
+            return 'a dropping fault cannot return an error';
+        }
+        return validateError(raw.error);
+    }
+
+    return null;
+}
+
+function validateError(error) {
+    if (!isObject(error)) {
+        return 'error must be an object';
+    }
+
+    if (ERROR_CODE_NAMES.indexOf(error.codeName) === -1) {
+        return 'error.codeName must be one of ' + ERROR_CODE_NAMES.join(', ');
+    }
+
+    if (error.message !== undefined && !isString(error.message)) {
+        return 'error.message must be a string';
+    }
+
+    return null;
+}
+
+function validateExpiresAt(expiresAt) {
+    if (typeof expiresAt !== 'number') {
+        return 'expiresAt is required';
+    }
+    return null;
+}
+
+function validateTTL(ttl) {
+    if (!(typeof ttl === 'number' && ttl > 0)) {
+        return 'ttl is required and must be a positive number';
+    }
+    return null;
+}
+
+function isObject(obj) {
+    return typeof obj === 'object' && obj !== null && !Array.isArray(obj);
+}
+
+function isString(str) {
+    return typeof str === 'string' && str.length > 0;
+}
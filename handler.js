@@ -33,6 +33,8 @@ var TChannelJSON = require('tchannel/as/json');
 var TChannelThrift = require('tchannel/as/thrift');
 var TChannelEndpointHandler = require('tchannel/endpoint-handler');
 
+var PeerMetadata = require('./peer-metadata.js');
+
 HyperbahnHandler.MAX_RELAY_AD_ATTEMPTS = 2;
 HyperbahnHandler.RELAY_AD_RETRY_TIME = 1 * 1000;
 HyperbahnHandler.RELAY_AD_TIMEOUT = 500;
@@ -125,7 +127,8 @@ HyperbahnHandler.prototype.type = 'hyperbahn.advertisement-handler';
 /*  req: {
         services: Array<{
             serviceName: String,
-            cost: Number
+            cost: Number,
+            metadata?: PeerMetadata
         }>
     }
 
@@ -247,7 +250,8 @@ function sendAdvertise(services, options, callback) {
         services: Array<{
             serviceName: String,
             hostPort: String,
-            cost: Number
+            cost: Number,
+            metadata?: PeerMetadata
         }>
     }
 
@@ -373,7 +377,18 @@ function logError(err, opts, response) {
 HyperbahnHandler.prototype.advertise =
 function advertise(service) {
     var self = this;
-    self.channel.topChannel.handler.refreshServicePeer(service.serviceName, service.hostPort);
+
+    var result = PeerMetadata.parse(service.metadata);
+    if (result.error) {
+        self.channel.logger.warn('ignoring invalid advertisement metadata', {
+            serviceName: service.serviceName,
+            hostPort: service.hostPort,
+            error: result.error
+        });
+    }
+
+    self.channel.topChannel.handler.refreshServicePeer(
+        service.serviceName, service.hostPort, result.metadata);
 };
 
 HyperbahnHandler.prototype.unadvertise =
@@ -382,7 +397,7 @@ function unadvertise(service) {
     self.channel.topChannel.handler.removeServicePeer(service.serviceName, service.hostPort);
 };
 
-function convertHosts(hosts) {
+function convertHosts(hosts, metadataByHostPort) {
     var res = [];
     for (var i = 0; i < hosts.length; i++) {
         var strs = hosts[i].split(':');
@@ -395,6 +410,11 @@ function convertHosts(hosts) {
                 (parseInt(strs[1], 10) << 16) + (parseInt(strs[0], 10) << 24)
         };
 
+        var metadata = metadataByHostPort && metadataByHostPort[hosts[i]];
+        if (metadata) {
+            obj.metadata = metadata;
+        }
+
         res.push(obj);
     }
 
@@ -487,9 +507,11 @@ function _getDiscoverHosts(serviceName, cb) {
     var self = this;
 
     var hosts = [];
-    var svcchan = self.channel.topChannel.subChannels[serviceName];
+    var topChannel = self.channel.topChannel;
+    var svcchan = topChannel.subChannels[serviceName];
     if (svcchan) {
-        hosts = convertHosts(svcchan.peers.keys());
+        hosts = convertHosts(svcchan.peers.keys(),
+            topChannel.handler.getServiceMetadata(serviceName));
     }
 
     if (hosts.length === 0) {
@@ -0,0 +1,374 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var errors = require('tchannel/errors');
+
+var DEFAULT_PERCENTILE = 95;
+var DEFAULT_MIN_DELAY = 1;
+var WINDOW_SIZE = 100;
+var MIN_SAMPLES = 10;
+var RECOMPUTE_EVERY = 10;
+
+var NO_RETRY = {
+    never: true,
+    onConnectionError: false,
+    onTimeout: false
+};
+
+HedgePolicy.HedgedRequest = HedgedRequest;
+HedgePolicy.OtherPeerFilter = OtherPeerFilter;
+
+module.exports = HedgePolicy;
+
+/*  HedgePolicy marks the endpoints of a service as idempotent, so that an
+    exit node may send a second copy of a request to another peer when the
+    first peer has not answered within the hedge delay:
+
+    options :: {
+        endpoints  :: ?Array<String>,   // defaults to every endpoint
+        percentile :: ?Number,          // of recent latencies, defaults to 95
+        minDelay   :: ?Number           // ms, defaults to 1
+    }
+
+    The hedge delay is the percentile of the latencies of the last requests
+    sent to the first peer, hedged or not; there is no hedging until enough
+    of them are known.
+*/
+function HedgePolicy(serviceName, options) {
+    this.serviceName = serviceName;
+    this.endpoints = options.endpoints || null;
+    this.percentile = options.percentile || DEFAULT_PERCENTILE;
+    this.minDelay = options.minDelay || DEFAULT_MIN_DELAY;
+
+    this.latencies = [];
+    this.nextLatency = 0;
+    this.samplesSinceDelay = 0;
+    this.delay = null;
+}
+
+// Returns the reason the options are invalid, or null
+HedgePolicy.validate = function validate(options) {
+    if (typeof options !== 'object' || options === null ||
+        Array.isArray(options)) {
+        return 'expected an object';
+    }
+
+    if (options.endpoints !== undefined && !(Array.isArray(options.endpoints) &&
+        options.endpoints.every(isString))) {
+        return 'endpoints must be an array of strings';
+    }
+
+    if (options.percentile !== undefined &&
+        !(typeof options.percentile === 'number' &&
+            options.percentile > 0 && options.percentile < 100)) {
+        return 'percentile must be a number between 0 and 100';
+    }
+
+    if (options.minDelay !== undefined &&
+        !(typeof options.minDelay === 'number' && options.minDelay > 0)) {
+        return 'minDelay must be a positive number';
+    }
+
+    return null;
+};
+
+HedgePolicy.prototype.covers =
+function covers(endpoint) {
+    return this.endpoints === null || this.endpoints.indexOf(endpoint) !== -1;
+};
+
+// Returns the hedge delay for a request to endpoint, or null to not hedge it
+HedgePolicy.prototype.getDelay =
+function getDelay(endpoint) {
+    if (!this.covers(endpoint)) {
+        return null;
+    }
+    return this.delay;
+};
+
+// Wraps the circuit of a request that is relayed without hedging, so that
+// its latency is observed once it succeeds
+HedgePolicy.prototype.observeRequest =
+function observeRequest(req, timers) {
+    req.circuit = new LatencyCircuit(new LatencyOutcome(
+        this, req.circuit || null, timers
+    ));
+};
+
+HedgePolicy.prototype.observe =
+function observe(latency) {
+    this.latencies[this.nextLatency] = latency;
+    this.nextLatency = (this.nextLatency + 1) % WINDOW_SIZE;
+
+    // sorting the window on every request would be wasteful
+    this.samplesSinceDelay += 1;
+    if (this.latencies.length >= MIN_SAMPLES &&
+        this.samplesSinceDelay >= RECOMPUTE_EVERY) {
+        this.samplesSinceDelay = 0;
+        this.delay = Math.max(this.minDelay, this.getPercentile());
+    }
+};
+
+HedgePolicy.prototype.getPercentile =
+function getPercentile() {
+    var sorted = this.latencies.slice().sort(byNumber);
+    var index = Math.ceil(sorted.length * this.percentile / 100) - 1;
+    return sorted[Math.max(0, index)];
+};
+
+/*  HedgedRequest forwards an eager in request itself rather than through a
+    RelayRequest, so that it can have two out requests. The first answer
+    wins; an error only wins when no other request is left to answer.
+
+    The losing request is not cancelled: tchannel cannot cancel a request
+    on the wire, so the loser keeps its peer busy until it answers or times
+    out, and its answer is dropped. Each out request is charged to the peer
+    it went to, so a losing peer still counts for outlier detection and
+    concurrency limits.
+
+    A hedge is only sent while the in request has time left and no answer,
+    and while the retry budget of the service allows it.
+*/
+function HedgedRequest(serviceChannel, serviceProxy, policy, req, buildRes) {
+    this.serviceChannel = serviceChannel;
+    this.serviceProxy = serviceProxy;
+    this.policy = policy;
+    this.req = req;
+    this.buildRes = buildRes;
+    this.timers = serviceChannel.timers;
+
+    this.start = this.timers.now();
+    this.firstPeer = null;
+    this.hedgeTimer = null;
+    this.pending = 0;
+    this.done = false;
+}
+
+HedgedRequest.prototype.send =
+function send(peer, delay) {
+    var self = this;
+
+    self.firstPeer = peer;
+    self.sendTo(peer, false);
+    self.hedgeTimer = self.timers.setTimeout(onDelay, delay);
+
+    function onDelay() {
+        self.hedgeTimer = null;
+        self.hedge();
+    }
+};
+
+HedgedRequest.prototype.hedge =
+function hedge() {
+    var self = this;
+
+    // checked before the retry budget is charged for a hedge that cannot
+    // be answered; the in request may have been answered by its timeout
+    if (self.done || self.req.res || self.getTimeout() <= 0) {
+        return;
+    }
+
+    var peer = self.serviceProxy.chooseHedgePeer(
+        self.serviceChannel, self.req, self.firstPeer
+    );
+    if (!peer || !self.serviceProxy.allowRetry(self.policy.serviceName)) {
+        return;
+    }
+
+    self.serviceProxy.pushHedgingStat('sent', self.policy.serviceName);
+    self.sendTo(peer, true);
+};
+
+HedgedRequest.prototype.sendTo =
+function sendTo(peer, isHedge) {
+    var self = this;
+
+    var req = self.req;
+    var timeout = self.getTimeout();
+    var maximumTTL = self.serviceChannel.maximumRelayTTL;
+    if (maximumTTL && timeout > maximumTTL) {
+        timeout = maximumTTL;
+    }
+
+    var outreq = self.serviceChannel.request({
+        peer: peer,
+        timeout: timeout,
+        parent: req,
+        tracing: req.tracing,
+        checksum: req.checksum,
+        forwardTrace: true,
+        serviceName: req.serviceName,
+        headers: req.headers,
+        retryFlags: NO_RETRY
+    });
+
+    var observed = {timeout: timeout, circuit: null};
+    self.serviceProxy.observePeerRequest(self.serviceChannel, observed, peer);
+
+    self.pending++;
+    outreq.send(req.arg1, req.arg2, req.arg3, onResponse);
+
+    function onResponse(err, res) {
+        reportOutcome(observed, err);
+        self.onResponse(err, res, isHedge);
+    }
+};
+
+// What is left of the timeout of the in request
+HedgedRequest.prototype.getTimeout =
+function getTimeout() {
+    return this.req.timeout - (this.timers.now() - this.start);
+};
+
+HedgedRequest.prototype.onResponse =
+function onResponse(err, res, isHedge) {
+    var self = this;
+
+    self.pending--;
+
+    // the first peer keeps telling the delay, even when it lost
+    if (!isHedge && !err) {
+        self.policy.observe(self.timers.now() - self.start);
+    }
+
+    if (self.done || (err && self.pending > 0)) {
+        return;
+    }
+
+    self.done = true;
+    if (self.hedgeTimer) {
+        self.timers.clearTimeout(self.hedgeTimer);
+        self.hedgeTimer = null;
+    }
+
+    if (isHedge && !err) {
+        self.serviceProxy.pushHedgingStat('won', self.policy.serviceName);
+    }
+
+    // the in request may have timed out already, as in RelayRequest
+    if (self.req.res && self.req.res.codeString === 'Timeout') {
+        return;
+    }
+
+    if (err) {
+        self.buildRes().sendError(
+            errors.classify(err) || 'UnexpectedError', err.message
+        );
+        return;
+    }
+
+    var outres = self.buildRes({
+        streamed: false,
+        headers: res.headers,
+        code: res.code
+    });
+    outres.send(res.arg2, res.arg3);
+};
+
+// Quacks like a circuit for the in request, see HedgePolicy#observeRequest
+function LatencyCircuit(state) {
+    this.state = state;
+}
+
+function LatencyOutcome(policy, circuit, timers) {
+    this.policy = policy;
+    this.circuit = circuit;
+    this.timers = timers;
+    this.start = timers.now();
+    this.observed = false;
+}
+
+LatencyOutcome.prototype.onRequest =
+function onRequest(req) {
+    if (this.circuit) {
+        this.circuit.state.onRequest(req);
+    }
+};
+
+LatencyOutcome.prototype.onRequestHealthy =
+function onRequestHealthy() {
+    this.observeOnce(true);
+    if (this.circuit) {
+        this.circuit.state.onRequestHealthy();
+    }
+};
+
+LatencyOutcome.prototype.onRequestUnhealthy =
+function onRequestUnhealthy() {
+    this.observeOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestUnhealthy();
+    }
+};
+
+LatencyOutcome.prototype.onRequestError =
+function onRequestError(err) {
+    this.observeOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestError(err);
+    }
+};
+
+// An error can be reported by both halves of a relay; only successes tell
+// the delay, as in HedgedRequest
+LatencyOutcome.prototype.observeOnce =
+function observeOnce(ok) {
+    if (this.observed) {
+        return;
+    }
+    this.observed = true;
+
+    if (ok) {
+        this.policy.observe(this.timers.now() - this.start);
+    }
+};
+
+// Tells the outcome of an out request to the circuit it was observed with,
+// see ServiceDispatchHandler#observePeerRequest
+function reportOutcome(observed, err) {
+    if (!observed.circuit) {
+        return;
+    }
+    if (err) {
+        observed.circuit.state.onRequestError(err);
+    } else {
+        observed.circuit.state.onRequestHealthy();
+    }
+}
+
+// Accepts every peer but the one the request was first sent to
+function OtherPeerFilter(hostPort) {
+    this.hostPort = hostPort;
+}
+
+OtherPeerFilter.prototype.accept =
+function accept(hostPort) {
+    return hostPort !== this.hostPort;
+};
+
+function byNumber(a, b) {
+    return a - b;
+}
+
+function isString(str) {
+    return typeof str === 'string' && str.length > 0;
+}
@@ -16,9 +16,17 @@ union IpAddress {
   1: i32 ipv4
 }
 
+struct PeerMetadata {
+  1: optional string version
+  2: optional string zone
+  3: optional double weight
+  4: optional map<string, string> tags
+}
+
 struct ServicePeer {
   1: required IpAddress ip
   2: required i32 port
+  3: optional PeerMetadata metadata
 }
 
 struct DiscoveryResult {
@@ -0,0 +1,71 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+module.exports = chooseMatchingPeer;
+
+// Like TChannelSubPeers#chooseLinearPeer but only considers the peers that
+// every filter.accept(hostPort, peer) returns true for; returns null when
+// none qualify.
+//
+// This scores every peer of the service, where the peer heap would not, so
+// it costs O(peers) per request for a service with many exit peers. Without
+// filters it leaves the choice to peers.choosePeer.
+function chooseMatchingPeer(peers, req, filters) {
+    if (!filters.length) {
+        return peers.choosePeer(req);
+    }
+
+    var threshold = peers.peerScoreThreshold;
+    var hostPorts = peers.keys();
+
+    var selectedPeer = null;
+    var selectedScore = 0;
+    for (var i = 0; i < hostPorts.length; i++) {
+        var hostPort = hostPorts[i];
+        if (req && req.triedRemoteAddrs && req.triedRemoteAddrs[hostPort]) {
+            continue;
+        }
+
+        var peer = peers.get(hostPort);
+        if (!acceptsAll(filters, hostPort, peer)) {
+            continue;
+        }
+
+        var score = peer.getScore();
+        if (score > threshold &&
+            (selectedPeer === null || score > selectedScore)) {
+            selectedPeer = peer;
+            selectedScore = score;
+        }
+    }
+
+    return selectedPeer;
+}
+
+function acceptsAll(filters, hostPort, peer) {
+    for (var i = 0; i < filters.length; i++) {
+        if (!filters[i].accept(hostPort, peer)) {
+            return false;
+        }
+    }
+    return true;
+}
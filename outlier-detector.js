@@ -0,0 +1,413 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var IntervalScan = require('./lib/interval-scan.js');
+var hyperbahnStat = require('./stat-tags.js');
+
+var DEFAULT_CONFIG = {
+    interval: 10 * 1000,
+    minRequests: 20,
+    maxErrorRate: 0.5,
+    latencyFactor: 0, // 0 disables latency outliers
+    baseEjectionTime: 30 * 1000,
+    maxEjectionTime: 5 * 60 * 1000,
+    maxEjectionPercent: 10
+};
+
+module.exports = OutlierDetector;
+
+/*  OutlierDetector tracks the outcome of relayed requests per exit peer and
+    ejects the peers that stand out from the rest of their service:
+
+    - a peer whose error rate over an interval exceeds maxErrorRate
+    - a peer whose mean latency over an interval exceeds latencyFactor times
+      the median of the mean latencies of the service's peers
+
+    Only peers with at least minRequests in the interval are judged. The n-th
+    consecutive ejection lasts baseEjectionTime * 2^(n - 1), capped at
+    maxEjectionTime; every interval a peer is not an outlier takes one off n.
+    At most maxEjectionPercent of a service's peers (but at least one, and
+    never all of them) are ejected at once.
+*/
+function OutlierDetector(options) {
+    var self = this;
+
+    self.logger = options.logger;
+    self.batchStats = options.batchStats;
+    self.timers = options.timers;
+    self.getPeerCount = options.getPeerCount;
+
+    self.enabled = false;
+    self.config = new OutlierConfig(DEFAULT_CONFIG);
+
+    // Map<serviceName, ServiceOutliers>
+    self.services = Object.create(null);
+
+    self.scan = new IntervalScan({
+        name: 'outlier-detect',
+        timers: self.timers,
+        interval: self.config.interval,
+        each: function evaluateEachService(serviceName, service, now) {
+            self.evaluateService(serviceName, service, now);
+        },
+        getCollection: function getServices() {
+            return self.services;
+        }
+    });
+}
+
+OutlierDetector.DEFAULT_CONFIG = DEFAULT_CONFIG;
+
+OutlierDetector.prototype.setEnabled =
+function setEnabled(enabled) {
+    var self = this;
+
+    self.enabled = !!enabled;
+    if (self.enabled) {
+        self.scan.start();
+    } else {
+        self.scan.stop();
+        self.services = Object.create(null);
+    }
+};
+
+// Fields missing from config keep their defaults
+OutlierDetector.prototype.setConfig =
+function setConfig(config) {
+    var self = this;
+
+    var merged = {};
+    var keys = Object.keys(DEFAULT_CONFIG);
+    for (var i = 0; i < keys.length; i++) {
+        var value = config[keys[i]];
+        merged[keys[i]] = typeof value === 'number' && value >= 0 ?
+            value : DEFAULT_CONFIG[keys[i]];
+    }
+
+    self.config = new OutlierConfig(merged);
+    self.scan.setInterval(self.config.interval);
+};
+
+OutlierDetector.prototype.destroy =
+function destroy() {
+    var self = this;
+
+    self.scan.stop();
+};
+
+// Wraps the circuit of the request so that its outcome is recorded against
+// the peer it was relayed to, whether or not circuits are enabled.
+OutlierDetector.prototype.observe =
+function observe(req, serviceName, hostPort) {
+    var self = this;
+
+    if (!self.enabled) {
+        return;
+    }
+
+    req.circuit = new ObservedCircuit(new PeerOutcome(
+        self, req.circuit || null, serviceName, hostPort,
+        self.timers.now()
+    ));
+};
+
+OutlierDetector.prototype.record =
+function record(serviceName, hostPort, ok, latency) {
+    var self = this;
+
+    if (!self.enabled) {
+        return;
+    }
+
+    var service = self.services[serviceName];
+    if (!service) {
+        service = self.services[serviceName] = new ServiceOutliers();
+    }
+
+    var peer = service.peers[hostPort];
+    if (!peer) {
+        peer = service.peers[hostPort] = new PeerOutliers();
+    }
+
+    peer.requests++;
+    peer.totalLatency += latency;
+    if (!ok) {
+        peer.errors++;
+    }
+};
+
+// Returns the ServiceOutliers of the service if any peer is ejected
+OutlierDetector.prototype.getEjections =
+function getEjections(serviceName) {
+    var self = this;
+
+    var service = self.services[serviceName];
+    if (!service || service.numEjected === 0) {
+        return null;
+    }
+    return service;
+};
+
+OutlierDetector.prototype.createFilter =
+function createFilter(service) {
+    var self = this;
+
+    return new NotEjectedFilter(service, self.timers.now());
+};
+
+OutlierDetector.prototype.getEjectionInfo =
+function getEjectionInfo(serviceName, hostPort) {
+    var self = this;
+
+    var service = self.services[serviceName];
+    var peer = service && service.peers[hostPort];
+    if (!peer || peer.ejectedUntil <= self.timers.now()) {
+        return null;
+    }
+
+    return {
+        ejectedUntil: peer.ejectedUntil,
+        ejectionCount: peer.ejectionCount
+    };
+};
+
+OutlierDetector.prototype.removePeer =
+function removePeer(serviceName, hostPort) {
+    var self = this;
+
+    var service = self.services[serviceName];
+    if (service) {
+        delete service.peers[hostPort];
+    }
+};
+
+OutlierDetector.prototype.removeService =
+function removeService(serviceName) {
+    var self = this;
+
+    delete self.services[serviceName];
+};
+
+OutlierDetector.prototype.evaluateService =
+function evaluateService(serviceName, service, now) {
+    /*eslint max-statements: [2, 35]*/
+    var self = this;
+
+    var config = self.config;
+    var hostPorts = Object.keys(service.peers);
+    var outliers = [];
+    var latencies = [];
+    var i;
+    var peer;
+
+    service.numEjected = 0;
+    for (i = 0; i < hostPorts.length; i++) {
+        peer = service.peers[hostPorts[i]];
+        if (peer.ejectedUntil > now) {
+            service.numEjected++;
+        } else if (peer.requests >= config.minRequests) {
+            latencies.push(peer.totalLatency / peer.requests);
+        }
+    }
+
+    var latencyLimit = config.latencyFactor > 0 && latencies.length ?
+        config.latencyFactor * median(latencies) : Infinity;
+
+    for (i = 0; i < hostPorts.length; i++) {
+        peer = service.peers[hostPorts[i]];
+        if (peer.ejectedUntil > now) {
+            continue;
+        }
+        if (peer.isOutlier(config, latencyLimit)) {
+            outliers.push(hostPorts[i]);
+        } else if (peer.ejectionCount > 0 && peer.requests > 0) {
+            peer.ejectionCount--;
+        }
+    }
+
+    var numPeers = Math.max(self.getPeerCount(serviceName), hostPorts.length);
+    var maxEjected = Math.min(
+        Math.max(1, Math.floor(numPeers * config.maxEjectionPercent / 100)),
+        numPeers - 1
+    );
+    for (i = 0; i < outliers.length && service.numEjected < maxEjected; i++) {
+        self.eject(serviceName, outliers[i], service.peers[outliers[i]], now);
+        service.numEjected++;
+    }
+
+    for (i = 0; i < hostPorts.length; i++) {
+        service.peers[hostPorts[i]].resetInterval();
+    }
+
+    self.batchStats.pushStat(
+        'hyperbahn.outlier.ejected-peers',
+        'gauge',
+        service.numEjected,
+        new hyperbahnStat.ServiceTags(serviceName)
+    );
+};
+
+OutlierDetector.prototype.eject =
+function eject(serviceName, hostPort, peer, now) {
+    var self = this;
+
+    var config = self.config;
+    var ejectionTime = Math.min(
+        config.baseEjectionTime * Math.pow(2, peer.ejectionCount),
+        config.maxEjectionTime
+    );
+    peer.ejectionCount++;
+    peer.ejectedUntil = now + ejectionTime;
+
+    self.logger.info('ejecting outlier peer', {
+        serviceName: serviceName,
+        hostPort: hostPort,
+        requests: peer.requests,
+        errors: peer.errors,
+        meanLatency: peer.totalLatency / peer.requests,
+        ejectionTime: ejectionTime,
+        ejectionCount: peer.ejectionCount
+    });
+
+    self.batchStats.pushStat(
+        'hyperbahn.outlier.ejections',
+        'counter',
+        1,
+        new hyperbahnStat.ServiceTags(serviceName)
+    );
+};
+
+function OutlierConfig(config) {
+    this.interval = config.interval;
+    this.minRequests = config.minRequests;
+    this.maxErrorRate = config.maxErrorRate;
+    this.latencyFactor = config.latencyFactor;
+    this.baseEjectionTime = config.baseEjectionTime;
+    this.maxEjectionTime = config.maxEjectionTime;
+    this.maxEjectionPercent = config.maxEjectionPercent;
+}
+
+function ServiceOutliers() {
+    this.peers = Object.create(null);
+    this.numEjected = 0;
+}
+
+function PeerOutliers() {
+    this.requests = 0;
+    this.errors = 0;
+    this.totalLatency = 0;
+    this.ejectedUntil = 0;
+    this.ejectionCount = 0;
+}
+
+PeerOutliers.prototype.isOutlier =
+function isOutlier(config, latencyLimit) {
+    if (this.requests < config.minRequests || this.requests === 0) {
+        return false;
+    }
+    return this.errors / this.requests > config.maxErrorRate ||
+        this.totalLatency / this.requests > latencyLimit;
+};
+
+PeerOutliers.prototype.resetInterval =
+function resetInterval() {
+    this.requests = 0;
+    this.errors = 0;
+    this.totalLatency = 0;
+};
+
+function NotEjectedFilter(service, now) {
+    this.service = service;
+    this.now = now;
+}
+
+NotEjectedFilter.prototype.accept =
+function accept(hostPort) {
+    var peer = this.service.peers[hostPort];
+    return !peer || peer.ejectedUntil <= this.now;
+};
+
+// Quacks like a circuit for the in request, see OutlierDetector#observe
+function ObservedCircuit(state) {
+    this.state = state;
+}
+
+function PeerOutcome(detector, circuit, serviceName, hostPort, start) {
+    this.detector = detector;
+    this.circuit = circuit;
+    this.serviceName = serviceName;
+    this.hostPort = hostPort;
+    this.start = start;
+    this.recorded = false;
+}
+
+PeerOutcome.prototype.onRequest =
+function onRequest(req) {
+    if (this.circuit) {
+        this.circuit.state.onRequest(req);
+    }
+};
+
+PeerOutcome.prototype.onRequestHealthy =
+function onRequestHealthy() {
+    this.recordOnce(true);
+    if (this.circuit) {
+        this.circuit.state.onRequestHealthy();
+    }
+};
+
+PeerOutcome.prototype.onRequestUnhealthy =
+function onRequestUnhealthy() {
+    this.recordOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestUnhealthy();
+    }
+};
+
+PeerOutcome.prototype.onRequestError =
+function onRequestError(err) {
+    this.recordOnce(false);
+    if (this.circuit) {
+        this.circuit.state.onRequestError(err);
+    }
+};
+
+// An error can be reported by both halves of a relay
+PeerOutcome.prototype.recordOnce =
+function recordOnce(ok) {
+    if (this.recorded) {
+        return;
+    }
+    this.recorded = true;
+
+    var latency = this.detector.timers.now() - this.start;
+    this.detector.record(this.serviceName, this.hostPort, ok, latency);
+};
+
+function median(values) {
+    values.sort(function compare(a, b) {
+        return a - b;
+    });
+    var mid = Math.floor(values.length / 2);
+    return values.length % 2 ? values[mid] :
+        (values[mid - 1] + values[mid]) / 2;
+}
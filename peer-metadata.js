@@ -0,0 +1,134 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var TypedError = require('error/typed');
+
+var MAX_STRING_LENGTH = 256;
+var MAX_TAGS = 32;
+
+var InvalidMetadata = TypedError({
+    type: 'hyperbahn.invalid-advertisement-metadata',
+    message: 'invalid advertisement metadata: {reason}',
+    reason: null
+});
+
+module.exports = PeerMetadata;
+
+/*  PeerMetadata is the optional, structured part of a service advertisement
+    that describes a single advertised instance (serviceName, hostPort):
+
+    metadata: {
+        version :: ?String,             // build version, e.g. "v42"
+        zone    :: ?String,             // locality, e.g. "dca1"
+        weight  :: ?Number,             // relative weight, >= 0
+        tags    :: ?Map<String, String> // free form key/value pairs
+    }
+
+    Every field is optional; an advertisement without metadata is stored as
+    no metadata at all.
+*/
+function PeerMetadata(version, zone, weight, tags) {
+    this.version = version;
+    this.zone = zone;
+    this.weight = weight;
+    this.tags = tags;
+}
+
+// Returns {error: ?Error, metadata: ?PeerMetadata}
+PeerMetadata.parse = function parse(raw) {
+    /*eslint complexity: [2, 15]*/
+    if (raw === null || raw === undefined) {
+        return new ParseResult(null, null);
+    }
+
+    if (!isPlainObject(raw)) {
+        return invalid('expected an object');
+    }
+
+    var version = raw.version === undefined ? null : raw.version;
+    if (version !== null && !isValidString(version)) {
+        return invalid('version must be a non-empty string');
+    }
+
+    var zone = raw.zone === undefined ? null : raw.zone;
+    if (zone !== null && !isValidString(zone)) {
+        return invalid('zone must be a non-empty string');
+    }
+
+    var weight = raw.weight === undefined ? null : raw.weight;
+    if (weight !== null && !isValidWeight(weight)) {
+        return invalid('weight must be a non-negative number');
+    }
+
+    var tags = raw.tags === undefined ? null : raw.tags;
+    var tagsReason = raw.tags === undefined ? null : checkTags(tags);
+    if (tagsReason) {
+        return invalid(tagsReason);
+    }
+
+    return new ParseResult(null, new PeerMetadata(version, zone, weight, tags));
+};
+
+// Returns the reason the tags are invalid, or null
+function checkTags(tags) {
+    if (!isPlainObject(tags)) {
+        return 'tags must be an object';
+    }
+
+    var keys = Object.keys(tags);
+    if (keys.length > MAX_TAGS) {
+        return 'too many tags';
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        if (!isValidString(keys[i]) || !isValidString(tags[keys[i]])) {
+            return 'tags must map strings to strings';
+        }
+    }
+
+    return null;
+}
+
+function ParseResult(error, metadata) {
+    this.error = error;
+    this.metadata = metadata;
+}
+
+function invalid(reason) {
+    return new ParseResult(InvalidMetadata({
+        reason: reason
+    }), null);
+}
+
+function isPlainObject(obj) {
+    return typeof obj === 'object' && obj !== null && !Array.isArray(obj);
+}
+
+function isValidWeight(weight) {
+    return typeof weight === 'number' && isFinite(weight) && weight >= 0;
+}
+
+function isValidString(str) {
+    return typeof str === 'string' &&
+        str.length > 0 &&
+        str.length <= MAX_STRING_LENGTH;
+}
@@ -22,6 +22,7 @@
 
 /* eslint max-statements: [2, 40] */
 var assert = require('assert');
+var inherits = require('util').inherits;
 
 var stat = require('./stat-tags.js');
 
@@ -33,6 +34,9 @@ var DEFAULT_TOTAL_KILL_SWITCH_BUFFER = 200;
 var DEFAULT_SERVICE_KILL_SWITCH_FACTOR = 2;
 var MIN_SERVICE_KILL_SWITCH_FACTOR = 1;
 
+var PRIORITIES = ['high', 'normal', 'low'];
+var DEFAULT_PRIORITY = 'normal';
+
 function RateLimiterCounter(options) {
     if (!(this instanceof RateLimiterCounter)) {
         return new RateLimiterCounter(options);
@@ -50,6 +54,21 @@ function RateLimiterCounter(options) {
     self.rpsLimit = options.rpsLimit;
 }
 
+RateLimiterCounter.prototype.mode = 'sliding-window';
+
+RateLimiterCounter.prototype.isExceeded =
+function isExceeded() {
+    var self = this;
+    return self.rpsLimit > 0 && self.rps > self.rpsLimit;
+};
+
+// Whether the counter is past share (0, 1] of its limit
+RateLimiterCounter.prototype.isExceededAt =
+function isExceededAt(share) {
+    var self = this;
+    return self.rpsLimit > 0 && self.rps > self.rpsLimit * share;
+};
+
 RateLimiterCounter.prototype.refresh =
 function refresh() {
     var self = this;
@@ -73,6 +92,63 @@ function increment() {
     self.rps += 1;
 };
 
+// A counter that lets bursts through: tokens refill at rpsLimit per second, up
+// to burst tokens (rpsLimit if burst is 0), and each request takes one. rps is
+// still counted over the sliding window, for stats.
+function TokenBucketCounter(options) {
+    if (!(this instanceof TokenBucketCounter)) {
+        return new TokenBucketCounter(options);
+    }
+
+    var self = this;
+    RateLimiterCounter.call(self, options);
+
+    self.burst = options.burst || 0;
+    self.tokens = self.getCapacity();
+}
+
+inherits(TokenBucketCounter, RateLimiterCounter);
+
+TokenBucketCounter.prototype.mode = 'token-bucket';
+
+TokenBucketCounter.prototype.getCapacity =
+function getCapacity() {
+    var self = this;
+    return self.burst || self.rpsLimit;
+};
+
+TokenBucketCounter.prototype.isExceeded =
+function isExceeded() {
+    var self = this;
+    return self.rpsLimit > 0 && self.tokens < 1;
+};
+
+// Whether fewer than share (0, 1] of the tokens are left
+TokenBucketCounter.prototype.isExceededAt =
+function isExceededAt(share) {
+    var self = this;
+    return self.rpsLimit > 0 &&
+        self.tokens < 1 + self.getCapacity() * (1 - share);
+};
+
+// called numOfBuckets times a second
+TokenBucketCounter.prototype.refresh =
+function refresh() {
+    var self = this;
+    RateLimiterCounter.prototype.refresh.call(self);
+    self.tokens = Math.min(
+        self.getCapacity(),
+        self.tokens + self.rpsLimit / self.numOfBuckets
+    );
+};
+
+TokenBucketCounter.prototype.increment =
+function increment() {
+    var self = this;
+    RateLimiterCounter.prototype.increment.call(self);
+    self.tokens -= 1;
+};
+
 function RateLimiter(options) {
     if (!(this instanceof RateLimiter)) {
         return new RateLimiter(options);
@@ -100,14 +176,33 @@ function RateLimiter(options) {
         self.totalRpsLimit = self.defaultTotalRpsLimit;
     }
     self.rpsLimitForServiceName = options.rpsLimitForServiceName || Object.create(null);
+    // cluster-wide service limits, which each exit node divides by the
+    // current number of exit nodes for the service
+    self.clusterRpsLimitForServiceName = Object.create(null);
+    self.getExitCount = options.getExitCount;
+    assert(typeof self.getExitCount === 'function', 'RateLimiter requires getExitCount');
+    // services in token bucket mode, with their burst
+    self.burstForServiceName = options.burstForServiceName || Object.create(null);
+    // the total counter is in token bucket mode if this is a number
+    self.totalBurst = null;
+    // the share of the total and kill switch limits at which the traffic of
+    // each priority is shed, so that low priority traffic goes first;
+    // priorities without a share get the whole limit
+    self.priorityShares = Object.create(null);
     self.exemptServices = options.exemptServices || [];
+    // in shadow mode, globally or for these services, limiting decisions are
+    // only logged and counted as "would-have-limited"
+    self.shadowMode = false;
+    self.shadowServices = [];
     self.serviceCounters = Object.create(null);
+    // counts all "cn~~serviceName" traffic, for stats
     self.edgeCounters = Object.create(null);
+    // limits by "cn~~serviceName", and counters of the traffic let through
+    // for the edges with a limit
+    self.rpsLimitForEdge = options.rpsLimitForEdge || Object.create(null);
+    self.edgeLimitCounters = Object.create(null);
     self.ksCounters = Object.create(null);
-    self.totalRequestCounter = RateLimiterCounter({
-        numOfBuckets: self.numOfBuckets,
-        rpsLimit: self.totalRpsLimit
-    });
+    self.totalRequestCounter = self.createCounter(self.totalRpsLimit, self.totalBurst);
     self.totalKsCounter = RateLimiterCounter({
         numOfBuckets: self.numOfBuckets,
         rpsLimit: self.totalRpsLimit + self.defaultTotalKillSwitchBuffer
@@ -119,8 +214,30 @@ function RateLimiter(options) {
     self.destroyed = false;
 }
 
+RateLimiter.PRIORITIES = PRIORITIES;
+RateLimiter.DEFAULT_PRIORITY = DEFAULT_PRIORITY;
+
 RateLimiter.prototype.type = 'tchannel.rate-limiting';
 
+// A token bucket counter if burst is a number, a sliding window one otherwise
+RateLimiter.prototype.createCounter =
+function createCounter(rpsLimit, burst) {
+    var self = this;
+
+    if (typeof burst === 'number') {
+        return TokenBucketCounter({
+            numOfBuckets: self.numOfBuckets,
+            rpsLimit: rpsLimit,
+            burst: burst
+        });
+    }
+
+    return RateLimiterCounter({
+        numOfBuckets: self.numOfBuckets,
+        rpsLimit: rpsLimit
+    });
+};
+
 RateLimiter.prototype.refreshCounter =
 function refreshCounter(counter, rpsStatsName, rpsLimitStatsName, createStatsTag, tagName) {
     var self = this;
@@ -205,6 +322,12 @@ function refresh() {
         true
     );
 
+    self.refreshEachCounter(self.edgeLimitCounters,
+        'tchannel.rate-limiting.edge-rps',
+        'tchannel.rate-limiting.edge-rps-limit',
+        createEdgeTag
+    );
+
     self.cycle--;
     if (self.cycle <= 0) {
         self.cycle = self.numOfBuckets;
@@ -244,9 +367,87 @@ function updateExemptServices(exemptServices) {
     self.exemptServices = exemptServices;
 };
 
+RateLimiter.prototype.updateShadowMode =
+function updateShadowMode(enabled) {
+    var self = this;
+    self.shadowMode = !!enabled;
+};
+
+RateLimiter.prototype.updateShadowServices =
+function updateShadowServices(shadowServices) {
+    var self = this;
+    self.shadowServices = shadowServices;
+};
+
+RateLimiter.prototype.isShadowMode =
+function isShadowMode(serviceName) {
+    var self = this;
+    return self.shadowMode ||
+        self.shadowServices.indexOf(serviceName) !== -1;
+};
+
+RateLimiter.prototype.pushWouldHaveLimited =
+function pushWouldHaveLimited(serviceName, reason) {
+    var self = this;
+    self.batchStats.pushStat(
+        'tchannel.rate-limiting.would-have-limited',
+        'counter',
+        1,
+        new stat.RateLimiterShadowTags(serviceName, reason)
+    );
+};
+
+// shares :: Map<priority, Number>, each share in (0, 1]
+RateLimiter.prototype.updatePriorityShares =
+function updatePriorityShares(shares) {
+    var self = this;
+
+    self.priorityShares = Object.create(null);
+    for (var i = 0; i < PRIORITIES.length; i++) {
+        var share = shares[PRIORITIES[i]];
+        if (typeof share === 'number' && share > 0 && share <= 1) {
+            self.priorityShares[PRIORITIES[i]] = share;
+        }
+    }
+};
+
+RateLimiter.prototype.hasPriorityShares =
+function hasPriorityShares() {
+    var self = this;
+    return Object.keys(self.priorityShares).length > 0;
+};
+
+RateLimiter.prototype.getPriorityShare =
+function getPriorityShare(priority) {
+    var self = this;
+    var share = self.priorityShares[priority || DEFAULT_PRIORITY];
+    return typeof share === 'number' ? share : 1;
+};
+
+// Counts the requests that are only shed for their priority, i.e. that the
+// counter would have let through at its whole limit
+RateLimiter.prototype.pushPriorityShed =
+function pushPriorityShed(counter, serviceName, priority) {
+    var self = this;
+    if (counter.isExceeded()) {
+        return;
+    }
+    self.batchStats.pushStat(
+        'tchannel.rate-limiting.priority-shed',
+        'counter',
+        1,
+        new stat.RateLimiterPriorityTags(serviceName, priority || DEFAULT_PRIORITY)
+    );
+};
+
 RateLimiter.prototype.getRpsLimitForService =
 function getRpsLimitForService(serviceName) {
     var self = this;
+    var clusterLimit = self.clusterRpsLimitForServiceName[serviceName];
+    if (typeof clusterLimit === 'number') {
+        return self.getLocalShare(serviceName, clusterLimit);
+    }
+
     var limit = self.rpsLimitForServiceName[serviceName];
     if (typeof limit !== 'number') {
         limit = self.defaultServiceRpsLimit;
@@ -255,6 +456,77 @@ function getRpsLimitForService(serviceName) {
     return limit;
 };
 
+// Rounds up so that a positive limit never becomes 0, i.e. no limit
+RateLimiter.prototype.getLocalShare =
+function getLocalShare(serviceName, clusterLimit) {
+    var self = this;
+    var exitCount = Math.max(1, self.getExitCount(serviceName));
+    return Math.ceil(clusterLimit / exitCount);
+};
+
+RateLimiter.prototype.getLocalRpsLimits =
+function getLocalRpsLimits() {
+    var self = this;
+    var limits = {};
+    var keys = Object.keys(self.clusterRpsLimitForServiceName);
+    for (var i = 0; i < keys.length; i++) {
+        limits[keys[i]] = self.getRpsLimitForService(keys[i]);
+    }
+    return limits;
+};
+
+RateLimiter.prototype.updateClusterRpsLimitForAllServices =
+function updateClusterRpsLimitForAllServices(clusterRpsLimitForServiceName) {
+    var self = this;
+
+    var oldLimits = self.clusterRpsLimitForServiceName;
+    self.clusterRpsLimitForServiceName = Object.create(null);
+
+    var keys = Object.keys(clusterRpsLimitForServiceName);
+    for (var i = 0; i < keys.length; i++) {
+        var limit = clusterRpsLimitForServiceName[keys[i]];
+        if (typeof limit === 'number') {
+            self.clusterRpsLimitForServiceName[keys[i]] = limit;
+        }
+    }
+
+    // for removed services, which go back to their per node limit
+    keys = Object.keys(oldLimits);
+    for (i = 0; i < keys.length; i++) {
+        self.refreshServiceLimit(keys[i]);
+    }
+
+    self.refreshClusterLimits();
+};
+
+// The local share of a cluster limit changes with the exit nodes, so this is
+// called whenever k or the ring changes
+RateLimiter.prototype.refreshClusterLimits =
+function refreshClusterLimits() {
+    var self = this;
+    var keys = Object.keys(self.clusterRpsLimitForServiceName);
+    for (var i = 0; i < keys.length; i++) {
+        self.refreshServiceLimit(keys[i]);
+    }
+};
+
+RateLimiter.prototype.refreshServiceLimit =
+function refreshServiceLimit(serviceName) {
+    var self = this;
+
+    // update counter
+    var counter = self.serviceCounters[serviceName];
+    if (counter) {
+        counter.rpsLimit = self.getRpsLimitForService(serviceName);
+    }
+
+    // update ks counter
+    counter = self.ksCounters[serviceName];
+    if (counter) {
+        counter.rpsLimit = self.killSwitchLimitForService(serviceName);
+    }
+};
+
 RateLimiter.prototype.updateRpsLimitForAllServices =
 function updateRpsLimitForAllServices(rpsLimitForServiceName) {
     var self = this;
@@ -292,22 +564,122 @@ function updateServiceLimit(serviceName, limit) {
 
     if (limit === 'default') {
         delete self.rpsLimitForServiceName[serviceName];
-        limit = self.defaultServiceRpsLimit;
     } else {
         self.rpsLimitForServiceName[serviceName] = limit;
     }
 
-    // update counter
-    var counter = self.serviceCounters[serviceName];
+    self.refreshServiceLimit(serviceName);
+};
+
+RateLimiter.prototype.getRpsLimitForEdge =
+function getRpsLimitForEdge(edge) {
+    var self = this;
+    var limit = self.rpsLimitForEdge[edge];
+    return typeof limit === 'number' ? limit : 0;
+};
+
+RateLimiter.prototype.updateRpsLimitForAllEdges =
+function updateRpsLimitForAllEdges(rpsLimitForEdge) {
+    var self = this;
+
+    var keys = Object.keys(self.rpsLimitForEdge);
+    for (var i = 0; i < keys.length; i++) {
+        if (typeof rpsLimitForEdge[keys[i]] !== 'number') {
+            self.updateEdgeLimit(keys[i], 'default');
+        }
+    }
+
+    keys = Object.keys(rpsLimitForEdge);
+    for (i = 0; i < keys.length; i++) {
+        if (typeof rpsLimitForEdge[keys[i]] === 'number') {
+            self.updateEdgeLimit(keys[i], rpsLimitForEdge[keys[i]]);
+        }
+    }
+};
+
+// edge is "cn~~serviceName"; a limit of 'default' removes the edge limit
+RateLimiter.prototype.updateEdgeLimit =
+function updateEdgeLimit(edge, limit) {
+    var self = this;
+
+    if (limit === 'default') {
+        delete self.rpsLimitForEdge[edge];
+        delete self.edgeLimitCounters[edge];
+        return;
+    }
+
+    self.rpsLimitForEdge[edge] = limit;
+    var counter = self.edgeLimitCounters[edge];
     if (counter) {
         counter.rpsLimit = limit;
     }
+};
+
+RateLimiter.prototype.updateBurstForAllServices =
+function updateBurstForAllServices(burstForServiceName) {
+    var self = this;
+
+    var keys = Object.keys(self.burstForServiceName);
+    for (var i = 0; i < keys.length; i++) {
+        if (typeof burstForServiceName[keys[i]] !== 'number') {
+            self.updateServiceBurst(keys[i], null);
+        }
+    }
 
-    // update ks counter
-    counter = self.ksCounters[serviceName];
+    keys = Object.keys(burstForServiceName);
+    for (i = 0; i < keys.length; i++) {
+        if (typeof burstForServiceName[keys[i]] === 'number') {
+            self.updateServiceBurst(keys[i], burstForServiceName[keys[i]]);
+        }
+    }
+};
+
+// A number burst puts the service in token bucket mode, null takes it back
+// to the sliding window.
+RateLimiter.prototype.updateServiceBurst =
+function updateServiceBurst(serviceName, burst) {
+    var self = this;
+
+    if (typeof burst === 'number') {
+        self.burstForServiceName[serviceName] = burst;
+    } else {
+        delete self.burstForServiceName[serviceName];
+        burst = null;
+    }
+
+    var counter = self.serviceCounters[serviceName];
     if (counter) {
-        counter.rpsLimit = self.killSwitchLimitForService(serviceName);
+        self.serviceCounters[serviceName] = self.updateCounterMode(counter, burst);
+    }
+};
+
+RateLimiter.prototype.updateTotalBurst =
+function updateTotalBurst(burst) {
+    var self = this;
+
+    self.totalBurst = typeof burst === 'number' ? burst : null;
+    self.totalRequestCounter = self.updateCounterMode(
+        self.totalRequestCounter, self.totalBurst
+    );
+};
+
+// Returns counter if it is in the right mode, a replacement otherwise
+RateLimiter.prototype.updateCounterMode =
+function updateCounterMode(counter, burst) {
+    var self = this;
+
+    var mode = typeof burst === 'number' ?
+        TokenBucketCounter.prototype.mode :
+        RateLimiterCounter.prototype.mode;
+    if (counter.mode !== mode) {
+        return self.createCounter(counter.rpsLimit, burst);
     }
+
+    if (mode === TokenBucketCounter.prototype.mode) {
+        counter.burst = burst;
+        counter.tokens = Math.min(counter.tokens, counter.getCapacity());
+    }
+    return counter;
 };
 
 RateLimiter.prototype.updateTotalLimit =
@@ -335,14 +707,10 @@ function createServiceCounter(serviceName) {
     counter = self.serviceCounters[serviceName];
     // creating a new service counter
     if (!counter) {
-        var limit = self.rpsLimitForServiceName[serviceName];
-        if (typeof limit !== 'number') {
-            limit = self.defaultServiceRpsLimit;
-        }
-        counter = RateLimiterCounter({
-            numOfBuckets: self.numOfBuckets,
-            rpsLimit: limit
-        });
+        counter = self.createCounter(
+            self.getRpsLimitForService(serviceName),
+            self.burstForServiceName[serviceName]
+        );
         self.serviceCounters[serviceName] = counter;
     }
 
@@ -404,6 +772,24 @@ function incrementEdgeCounter(name) {
     counter.increment();
 };
 
+RateLimiter.prototype.incrementEdgeLimitCounter =
+function incrementEdgeLimitCounter(edge) {
+    var self = this;
+    var counter = self.edgeLimitCounters[edge];
+    if (!counter) {
+        if (typeof self.rpsLimitForEdge[edge] !== 'number') {
+            return;
+        }
+        counter = RateLimiterCounter({
+            numOfBuckets: self.numOfBuckets,
+            rpsLimit: self.rpsLimitForEdge[edge]
+        });
+        self.edgeLimitCounters[edge] = counter;
+    }
+
+    counter.increment();
+};
+
 RateLimiter.prototype.incrementKillSwitchServiceCounter =
 function incrementKillSwitchServiceCounter(name) {
     var self = this;
@@ -441,7 +827,7 @@ function shouldRateLimitService(serviceName) {
     }
     var counter = self.serviceCounters[serviceName];
     assert(counter, 'cannot find counter for ' + serviceName);
-    var result = counter.rpsLimit > 0 && counter.rps > counter.rpsLimit;
+    var result = counter.isExceeded();
     if (result) {
         self.batchStats.pushStat(
             'tchannel.rate-limiting.service-busy',
@@ -453,15 +839,34 @@ function shouldRateLimitService(serviceName) {
     return result;
 };
 
+RateLimiter.prototype.shouldRateLimitEdge =
+function shouldRateLimitEdge(edge, serviceName) {
+    var self = this;
+    if (self.exemptServices.indexOf(serviceName) !== -1) {
+        return false;
+    }
+    var counter = self.edgeLimitCounters[edge];
+    var result = !!counter && counter.isExceeded();
+    if (result) {
+        self.batchStats.pushStat(
+            'tchannel.rate-limiting.edge-busy',
+            'counter',
+            1,
+            new stat.RateLimiterEdgeTags(edge)
+        );
+    }
+    return result;
+};
+
 RateLimiter.prototype.shouldKillSwitchService =
-function shouldKillSwitchService(serviceName) {
+function shouldKillSwitchService(serviceName, priority) {
     var self = this;
     if (self.exemptServices.indexOf(serviceName) !== -1) {
         return false;
     }
     var counter = self.ksCounters[serviceName];
     assert(counter, 'cannot find kill-switch counter for ' + serviceName);
-    var result = counter.rpsLimit > 0 && counter.rps > counter.rpsLimit;
+    var result = counter.isExceededAt(self.getPriorityShare(priority));
     if (result) {
         self.batchStats.pushStat(
             'tchannel.rate-limiting.service-kill-switched',
@@ -469,18 +874,19 @@ function shouldKillSwitchService(serviceName) {
             1,
             new stat.RateLimiterServiceTags(serviceName)
         );
+        self.pushPriorityShed(counter, serviceName, priority);
     }
     return result;
 };
 
 RateLimiter.prototype.shouldRateLimitTotalRequest =
-function shouldRateLimitTotalRequest(serviceName) {
+function shouldRateLimitTotalRequest(serviceName, priority) {
     var self = this;
     var result;
     if (!serviceName || self.exemptServices.indexOf(serviceName) === -1) {
-        result =
-            self.totalRequestCounter.rpsLimit > 0 &&
-            self.totalRequestCounter.rps > self.totalRequestCounter.rpsLimit;
+        result = self.totalRequestCounter.isExceededAt(
+            self.getPriorityShare(priority)
+        );
     } else {
         result = false;
     }
@@ -492,19 +898,20 @@ function shouldRateLimitTotalRequest(serviceName) {
             1,
             new stat.RateLimiterServiceTags(serviceName)
         );
+        self.pushPriorityShed(self.totalRequestCounter, serviceName, priority);
     }
 
     return result;
 };
 
 RateLimiter.prototype.shouldKillSwitchTotalRequest =
-function shouldKillSwitchTotalRequest(serviceName) {
+function shouldKillSwitchTotalRequest(serviceName, priority) {
     var self = this;
     var result;
     if (!serviceName || self.exemptServices.indexOf(serviceName) === -1) {
-        result =
-            self.totalKsCounter.rpsLimit > 0 &&
-            self.totalKsCounter.rps > self.totalKsCounter.rpsLimit;
+        result = self.totalKsCounter.isExceededAt(
+            self.getPriorityShare(priority)
+        );
     } else {
         result = false;
     }
@@ -516,6 +923,7 @@ function shouldKillSwitchTotalRequest(serviceName) {
             1,
             new stat.RateLimiterServiceTags(serviceName)
         );
+        self.pushPriorityShed(self.totalKsCounter, serviceName, priority);
     }
 
     return result;
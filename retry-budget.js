@@ -0,0 +1,149 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var DEFAULT_WINDOW = 10 * 1000;
+var DEFAULT_NUM_OF_BUCKETS = 10;
+var DEFAULT_MIN_REQUESTS = 20;
+
+module.exports = RetryBudget;
+
+/*  RetryBudget caps the extra attempts an exit node makes for a service at a
+    ratio of its primary requests over a sliding window:
+
+    options :: {
+        maxRetryRatio :: Number,        // retries per primary request
+        window        :: ?Number,       // ms, defaults to 10s
+        numOfBuckets  :: ?Number,       // defaults to 10
+        minRequests   :: ?Number        // defaults to 20
+    }
+
+    The budget is only enforced once the window has seen minRequests primary
+    requests. The buckets are rotated on access, so it needs no timers.
+*/
+function RetryBudget(serviceName, options) {
+    this.serviceName = serviceName;
+    this.timers = options.timers;
+    this.maxRetryRatio = options.maxRetryRatio;
+    this.window = options.window || DEFAULT_WINDOW;
+    this.numOfBuckets = options.numOfBuckets || DEFAULT_NUM_OF_BUCKETS;
+    this.minRequests = options.minRequests || DEFAULT_MIN_REQUESTS;
+    this.bucketSize = this.window / this.numOfBuckets;
+
+    this.requestBuckets = [];
+    this.retryBuckets = [];
+    for (var i = 0; i < this.numOfBuckets; i++) {
+        this.requestBuckets.push(0);
+        this.retryBuckets.push(0);
+    }
+    this.requests = 0;
+    this.retries = 0;
+    this.index = 0;
+    this.bucketStart = this.timers.now();
+}
+
+// Returns the reason the options are invalid, or null
+RetryBudget.validate = function validate(options) {
+    if (typeof options !== 'object' || options === null ||
+        Array.isArray(options)) {
+        return 'expected an object';
+    }
+
+    if (!isNonNegative(options.maxRetryRatio)) {
+        return 'maxRetryRatio must be a non-negative number';
+    }
+
+    var names = ['window', 'numOfBuckets', 'minRequests'];
+    for (var i = 0; i < names.length; i++) {
+        if (options[names[i]] !== undefined &&
+            !(isNonNegative(options[names[i]]) && options[names[i]] > 0)) {
+            return names[i] + ' must be a positive number';
+        }
+    }
+
+    return null;
+};
+
+RetryBudget.prototype.rotate = function rotate() {
+    var now = this.timers.now();
+    var elapsed = Math.floor((now - this.bucketStart) / this.bucketSize);
+    if (elapsed <= 0) {
+        return;
+    }
+
+    var count = Math.min(elapsed, this.numOfBuckets);
+    for (var i = 0; i < count; i++) {
+        this.index = (this.index + 1) % this.numOfBuckets;
+        this.requests -= this.requestBuckets[this.index];
+        this.retries -= this.retryBuckets[this.index];
+        this.requestBuckets[this.index] = 0;
+        this.retryBuckets[this.index] = 0;
+    }
+    this.bucketStart += elapsed * this.bucketSize;
+};
+
+// Called for every relayed request and every extra attempt let through
+RetryBudget.prototype.incrementRequest = function incrementRequest(isRetry) {
+    this.rotate();
+    if (isRetry) {
+        this.retryBuckets[this.index] += 1;
+        this.retries += 1;
+    } else {
+        this.requestBuckets[this.index] += 1;
+        this.requests += 1;
+    }
+};
+
+RetryBudget.prototype.isWarmedUp = function isWarmedUp() {
+    this.rotate();
+    return this.requests >= this.minRequests;
+};
+
+RetryBudget.prototype.currentRetryRatio = function currentRetryRatio() {
+    this.rotate();
+    if (this.requests === 0) {
+        return 0;
+    }
+    return this.retries / this.requests;
+};
+
+// Whether an extra attempt must be turned down now
+RetryBudget.prototype.isExhausted = function isExhausted() {
+    return this.isWarmedUp() &&
+        this.currentRetryRatio() >= this.maxRetryRatio;
+};
+
+RetryBudget.prototype.getInfo = function getInfo() {
+    this.rotate();
+    return {
+        maxRetryRatio: this.maxRetryRatio,
+        window: this.window,
+        minRequests: this.minRequests,
+        requests: this.requests,
+        retries: this.retries,
+        retryRatio: this.currentRetryRatio(),
+        exhausted: this.isExhausted()
+    };
+};
+
+function isNonNegative(value) {
+    return typeof value === 'number' && isFinite(value) && value >= 0;
+}
@@ -0,0 +1,251 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var REJECT_CODE_NAMES = ['BadRequest', 'Busy', 'Declined', 'Unexpected'];
+
+module.exports = RoutingRules;
+
+/*  RoutingRules is an ordered list of rules, the first matching rule wins:
+
+    rule :: {
+        name        :: ?String,
+        match       :: {
+            callerName  :: ?String,
+            serviceName :: ?String,
+            endpoint    :: ?String,                 // arg1
+            headers     :: ?Map<String, String>     // transport headers
+        },
+        serviceName :: ?String,                     // rewrite the target
+        headers     :: ?Map<String, String>,        // add headers
+        reject      :: ?{
+            codeName :: ?String,                    // defaults to Declined
+            message  :: ?String
+        }
+    }
+
+    An omitted match field matches anything. A rule either rejects the request
+    or rewrites its target service and/or adds headers.
+*/
+function RoutingRules(rawRules) {
+    this.rules = [];
+    this.invalid = [];
+
+    for (var i = 0; i < rawRules.length; i++) {
+        var reason = RoutingRule.validate(rawRules[i]);
+        if (reason) {
+            this.invalid.push({
+                index: i,
+                reason: reason
+            });
+        } else {
+            this.rules.push(new RoutingRule(rawRules[i], i));
+        }
+    }
+}
+
+RoutingRules.RoutingRule = RoutingRule;
+
+// Whether any rule could match before the endpoint and headers are read
+RoutingRules.prototype.mayMatch =
+function mayMatch(callerName, serviceName) {
+    for (var i = 0; i < this.rules.length; i++) {
+        if (this.rules[i].mayMatch(callerName, serviceName)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+RoutingRules.prototype.match =
+function match(callerName, serviceName, endpoint, headers) {
+    for (var i = 0; i < this.rules.length; i++) {
+        if (this.rules[i].matches(callerName, serviceName, endpoint, headers)) {
+            return this.rules[i];
+        }
+    }
+    return null;
+};
+
+function RoutingRule(raw, index) {
+    var match = raw.match || {};
+
+    this.name = raw.name || 'rule-' + index;
+    this.callerName = match.callerName || null;
+    this.matchServiceName = match.serviceName || null;
+    this.endpoint = match.endpoint || null;
+    this.matchHeaders = match.headers || null;
+
+    this.serviceName = raw.serviceName || null;
+    this.headers = raw.headers || null;
+    this.reject = raw.reject ? new RoutingReject(raw.reject, this.name) : null;
+}
+
+function RoutingReject(reject, ruleName) {
+    this.codeName = reject.codeName || 'Declined';
+    this.message = reject.message ||
+        'request rejected by routing rule ' + ruleName;
+}
+
+// Returns the reason the rule is invalid, or null
+RoutingRule.validate = function validate(raw) {
+    if (!isObject(raw)) {
+        return 'expected an object';
+    }
+
+    if (raw.name !== undefined && !isString(raw.name)) {
+        return 'name must be a string';
+    }
+
+    return validateMatch(raw.match) || validateAction(raw);
+};
+
+function validateAction(raw) {
+    if (raw.reject !== undefined) {
+        if (raw.serviceName !== undefined || raw.headers !== undefined) {
+            return 'a rejecting rule cannot rewrite';
+        }
+        return validateReject(raw.reject);
+    }
+
+    if (raw.serviceName === undefined && raw.headers === undefined) {
+        return 'expected one of serviceName, headers or reject';
+    }
+
+    if (raw.serviceName !== undefined && !isString(raw.serviceName)) {
+        return 'serviceName must be a string';
+    }
+
+    if (raw.headers !== undefined) {
+        if (!isStringMap(raw.headers)) {
+            return 'headers must map strings to strings';
+        }
+        if (raw.headers.cn !== undefined || raw.headers.rd !== undefined) {
+            return 'cannot set the cn or rd headers';
+        }
+    }
+
+    return null;
+}
+
+RoutingRule.prototype.mayMatch =
+function mayMatch(callerName, serviceName) {
+    return (this.callerName === null || this.callerName === callerName) &&
+        (this.matchServiceName === null ||
+            this.matchServiceName === serviceName);
+};
+
+RoutingRule.prototype.matches =
+function matches(callerName, serviceName, endpoint, headers) {
+    if (!this.mayMatch(callerName, serviceName) ||
+        (this.endpoint !== null && this.endpoint !== endpoint)) {
+        return false;
+    }
+
+    if (this.matchHeaders !== null) {
+        var keys = Object.keys(this.matchHeaders);
+        for (var i = 0; i < keys.length; i++) {
+            if (!headers || headers[keys[i]] !== this.matchHeaders[keys[i]]) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+};
+
+// Rewrites the request in place, the relay forwards serviceName and headers
+// of the in request as they are.
+RoutingRule.prototype.apply =
+function apply(req) {
+    if (this.serviceName !== null) {
+        req.serviceName = this.serviceName;
+    }
+
+    if (this.headers !== null) {
+        var keys = Object.keys(this.headers);
+        for (var i = 0; i < keys.length; i++) {
+            req.headers[keys[i]] = this.headers[keys[i]];
+        }
+    }
+};
+
+function validateMatch(match) {
+    if (match === undefined) {
+        return null;
+    }
+
+    if (!isObject(match)) {
+        return 'match must be an object';
+    }
+
+    var fields = ['callerName', 'serviceName', 'endpoint'];
+    for (var i = 0; i < fields.length; i++) {
+        if (match[fields[i]] !== undefined && !isString(match[fields[i]])) {
+            return 'match.' + fields[i] + ' must be a string';
+        }
+    }
+
+    if (match.headers !== undefined && !isStringMap(match.headers)) {
+        return 'match.headers must map strings to strings';
+    }
+
+    return null;
+}
+
+function validateReject(reject) {
+    if (!isObject(reject)) {
+        return 'reject must be an object';
+    }
+
+    if (reject.codeName !== undefined &&
+        REJECT_CODE_NAMES.indexOf(reject.codeName) === -1) {
+        return 'reject.codeName must be one of ' + REJECT_CODE_NAMES.join(', ');
+    }
+
+    if (reject.message !== undefined && !isString(reject.message)) {
+        return 'reject.message must be a string';
+    }
+
+    return null;
+}
+
+function isObject(obj) {
+    return typeof obj === 'object' && obj !== null && !Array.isArray(obj);
+}
+
+function isString(str) {
+    return typeof str === 'string' && str.length > 0;
+}
+
+function isStringMap(obj) {
+    if (!isObject(obj)) {
+        return false;
+    }
+
+    var keys = Object.keys(obj);
+    for (var i = 0; i < keys.length; i++) {
+        if (typeof obj[keys[i]] !== 'string') {
+            return false;
+        }
+    }
+    return true;
+}
@@ -23,17 +23,30 @@
 /* eslint-disable max-statements */
 
 var assert = require('assert');
-var RelayHandler = require('tchannel/relay_handler');
+var Buffer = require('buffer').Buffer;
 var EventEmitter = require('tchannel/lib/event_emitter');
 var clean = require('tchannel/lib/statsd').clean;
 var util = require('util');
 var setImmediate = require('timers').setImmediate;
 var stat = require('tchannel/stat-tags.js');
+var States = require('tchannel/reqres_states');
 
 var IntervalScan = require('./lib/interval-scan.js');
+var chooseMatchingPeer = require('./lib/choose-matching-peer.js');
 var RateLimiter = require('./rate_limiter.js');
+var ConcurrencyLimiter = require('./concurrency-limiter.js');
 var PartialRange = require('./partial_range.js');
 var Circuits = require('./circuits.js');
+var ServiceRelayHandler = require('./service-relay-handler.js');
+var ShadowRule = require('./shadow-rule.js');
+var RoutingRules = require('./routing-rules.js');
+var FaultInjector = require('./fault-injection.js');
+var OutlierDetector = require('./outlier-detector.js');
+var TrafficSplit = require('./traffic-split.js');
+var HedgePolicy = require('./hedging.js');
+var RetryBudget = require('./retry-budget.js');
+var ZoneAffinity = require('./zone-affinity.js');
+var hyperbahnStat = require('./stat-tags.js');
 
 var MAX_AFFINITY_AUDIT_ROUNDS = 3;
 
@@ -48,10 +61,18 @@ var DEFAULT_CONNECT_PEERS_PERIOD = 100; // every 100 ms
 
 // our call SLA is 30 seconds currently
 var DEFAULT_DRAIN_TIMEOUT = 30 * 1000;
+var KILL_SWITCH_EXPIRE_PERIOD = 1000; // every second
+var KILL_SWITCH_TOMBSTONE_TTL = 7 * 24 * 60 * 60 * 1000; // a week
 
 var RATE_LIMIT_TOTAL = 'total';
 var RATE_LIMIT_SERVICE = 'service';
 var RATE_LIMIT_KILLSWITCH = 'killswitch';
+var RATE_LIMIT_EDGE = 'edge';
+var RATE_LIMIT_CONCURRENCY = 'concurrency';
+
+// the transport header a caller marks the priority of a request with
+var PRIORITY_HEADER = 'priority';
+var PRIORITY_HEADER_BUFFER = new Buffer(PRIORITY_HEADER);
 
 function ServiceDispatchHandler(options) {
     if (!(this instanceof ServiceDispatchHandler)) {
@@ -61,6 +82,8 @@ function ServiceDispatchHandler(options) {
 
     EventEmitter.call(self);
     self.roleTransitionEvent = self.defineEvent('roleTransition');
+    // emitted whenever the shared kill switches get a new version
+    self.killSwitchChangeEvent = self.defineEvent('killSwitchChange');
 
     assert(options, 'service dispatch handler options not actually optional');
     self.channel = options.channel;
@@ -73,6 +96,39 @@ function ServiceDispatchHandler(options) {
         DEFAULT_LOG_GRACE_PERIOD;
     self.permissionsCache = options.permissionsCache;
     self.serviceReqDefaults = options.serviceReqDefaults || {};
+    self.random = options.random || Math.random;
+
+    // Populated by remote-config
+    self.trafficSplits = Object.create(null);
+    self.hedgePolicies = Object.create(null);
+    self.retryBudgets = Object.create(null);
+    self.minimumRelayTTL = 0;
+    // Map<serviceName, {maximum: ?Number, minimum: ?Number}>
+    self.relayTTLLimits = Object.create(null);
+    // Map<callerName, priority>, takes precedence over the priority header
+    self.callerPriorities = Object.create(null);
+    self.zoneAffinity = new ZoneAffinity(options.zone);
+
+    // Shadow rules set through the admin endpoint take precedence over the
+    // ones from remote config
+    self.shadowRules = Object.create(null);
+    self.shadowRulesRemoteConfig = Object.create(null);
+
+    self.routingRules = new RoutingRules([]);
+    self.faultInjector = new FaultInjector();
+    // Map<id, timer> of the requests delayed by a fault
+    self.faultDelays = Object.create(null);
+    self.nextFaultDelayId = 0;
+
+    self.outlierDetector = new OutlierDetector({
+        logger: self.logger,
+        batchStats: self.batchStats,
+        timers: self.channel.timers,
+        getPeerCount: function getPeerCount(serviceName) {
+            var serviceChannel = self.channel.subChannels[serviceName];
+            return serviceChannel ? serviceChannel.peers.keys().length : 0;
+        }
+    });
 
     self.circuitsEnabled = false;
     self.circuitsConfig = options.circuitsConfig;
@@ -81,6 +137,7 @@ function ServiceDispatchHandler(options) {
         '*~hyperbahn~relay-ad': true
     };
     self.circuitsCodeNames = {};
+    self.circuitsServicesConfig = {};
     self.circuits = null;
 
     self.rateLimiter = new RateLimiter({
@@ -91,9 +148,21 @@ function ServiceDispatchHandler(options) {
         totalRpsLimit: options.totalRpsLimit,
         defaultServiceRpsLimit: options.defaultServiceRpsLimit,
         defaultTotalKillSwitchBuffer: options.defaultTotalKillSwitchBuffer,
-        numOfBuckets: options.rateLimiterBuckets
+        numOfBuckets: options.rateLimiterBuckets,
+        getExitCount: function getExitCount(serviceName) {
+            return Object.keys(self.egressNodes.exitsFor(serviceName)).length;
+        }
     });
     self.rateLimiterEnabled = options.rateLimiterEnabled;
+    // whether a kill switch is keyed by cn~~serviceName~~endpoint
+    self.blockingEndpoints = false;
+    self.killSwitchVersion = 0;
+    // the kill switches unblocked through kill_switch_v1, by key
+    self.killSwitchTombstones = {};
+    self.concurrencyLimiter = new ConcurrencyLimiter({
+        batchStats: self.batchStats,
+        timers: self.channel.timers
+    });
 
     self.partialAffinityEnabled = !!options.partialAffinityEnabled;
     self.minPeersPerWorker = options.minPeersPerWorker || DEFAULT_MIN_PEERS_PER_WORKER;
@@ -112,6 +181,7 @@ function ServiceDispatchHandler(options) {
      * knownPeers            :: Map<hostPort, lastRefresh>
      * connectedServicePeers :: Map<serviceName, Map<hostPort, lastRefresh>>
      * connectedPeerServices :: Map<hostPort, Map<serviceName, lastRefresh>>
+     * peerMetadata          :: Map<serviceName, Map<hostPort, PeerMetadata>>
      *
      * PartialRange    :: {
      *   relayHostPort :: hostPort,        // the host port of this relay
@@ -128,7 +198,8 @@ function ServiceDispatchHandler(options) {
      * connectedServicePeers and connectedPeerServices are updated by
      * connection events, maybe subject to partial affinity.
      *
-     * On every advertise knownPeers is updated.
+     * On every advertise knownPeers is updated, as is peerMetadata: each
+     * advertisement replaces whatever metadata the peer advertised before.
      *
      * However every reap period, knownPeers gets rolled over into peersToReap
      * and emptied, so it represents the "peers seen this reap round"
@@ -142,6 +213,7 @@ function ServiceDispatchHandler(options) {
     self.knownPeers = Object.create(null);
     self.peersToPrune = Object.create(null);
     self.peersToConnect = Object.create(null);
+    self.peerMetadata = Object.create(null);
 
     self.peerPruner = new IntervalScan({
         name: 'peer-prune',
@@ -237,12 +309,15 @@ function ServiceDispatchHandler(options) {
             var now = self.channel.timers.now();
             if (now - lastRefresh > self.servicePurgePeriod) {
                 delete self.exitServices[serviceName];
+                delete self.peerMetadata[serviceName];
+                self.outlierDetector.removeService(serviceName);
                 var serviceChannel = self.channel.subChannels[serviceName];
                 if (serviceChannel) {
                     serviceChannel.close();
                     delete self.channel.subChannels[serviceName];
                     self.rateLimiter.removeServiceCounter(serviceName);
                     self.rateLimiter.removeKillSwitchCounter(serviceName);
+                    self.concurrencyLimiter.removeService(serviceName);
                 }
             }
         },
@@ -252,6 +327,21 @@ function ServiceDispatchHandler(options) {
     });
     self.servicePurger.start();
 
+    self.killSwitchExpirer = new IntervalScan({
+        name: 'kill-switch-expire',
+        timers: self.channel.timers,
+        interval: KILL_SWITCH_EXPIRE_PERIOD,
+        each: function maybeExpireEachKillSwitch(key, entry, now) {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                self.expireKillSwitch(key, entry);
+            }
+        },
+        getCollection: function getBlockingTable() {
+            return self.blockingTable;
+        }
+    });
+    self.killSwitchExpirer.start();
+
     self.statEmitter = new IntervalScan({
         name: 'channel-stat-emit',
         timers: self.channel.timers,
@@ -355,7 +445,17 @@ function handleLazily(conn, reqFrame) {
         return true;
     }
 
-    if (self.isBlocked(callerName, serviceName)) {
+    if (self.needsEagerPath(callerName, serviceName, nextService)) {
+        return false;
+    }
+
+    var blockedEndpoint = self.readKillSwitchEndpoint(reqFrame);
+    if (blockedEndpoint === null) {
+        // let the eager path read arg1
+        return false;
+    }
+
+    if (self.isBlocked(callerName, serviceName, blockedEndpoint)) {
         conn.ops.popInReq(reqFrame.id);
         return null;
     }
@@ -366,12 +466,13 @@ function handleLazily(conn, reqFrame) {
         serviceChannel = self.createServiceChannel(nextService);
     }
 
-    if (!serviceChannel.handler.handleLazily) {
+    if (self.exitNeedsEagerPath(serviceChannel, callerName)) {
         return false;
     }
 
     if (self.rateLimiterEnabled) {
-        var rateLimitReason = self.rateLimit(callerName, nextService);
+        var priority = self.readLazyPriority(callerName, reqFrame);
+        var rateLimitReason = self.rateLimit(callerName, nextService, priority);
 
         if (rateLimitReason === RATE_LIMIT_KILLSWITCH) {
             conn.ops.popInReq(reqFrame.id);
@@ -382,6 +483,7 @@ function handleLazily(conn, reqFrame) {
                 'hyperbahn node is rate-limited by the total rps limit',
                 self.extendLogInfo(conn.extendLogInfo({
                     rpsLimit: totalLimit,
+                    priority: priority,
                     'serviceCounters_noindex': self.rateLimiter.serviceCounters,
                     'edgeCounters_noindex': self.rateLimiter.edgeCounters
                 }))
@@ -404,9 +506,40 @@ function handleLazily(conn, reqFrame) {
                 self.rejectRequestFrame(conn, reqFrame, 'Busy', serviceName + ' is rate-limited by the service rps of ' + serviceLimit);
             }
             return true;
+        } else if (rateLimitReason === RATE_LIMIT_EDGE) {
+            var edgeLimit = self.rateLimiter.getRpsLimitForEdge(callerName + '~~' + nextService);
+            self.logger.info(
+                'hyperbahn edge is rate-limited by the edge rps limit',
+                self.extendLogInfo(conn.extendLogInfo({
+                    rpsLimit: edgeLimit,
+                    callerName: callerName,
+                    serviceName: nextService
+                }))
+            );
+            self.rejectRequestFrame(conn, reqFrame, 'Busy', callerName + ' is rate-limited by the edge rps of ' + edgeLimit + ' to ' + nextService);
+            return true;
+        } else if (rateLimitReason === RATE_LIMIT_CONCURRENCY) {
+            var concurrencyLimit = self.concurrencyLimiter.getLimit(nextService);
+            self.logger.info(
+                'hyperbahn service is rate-limited by the concurrency limit',
+                self.extendLogInfo(conn.extendLogInfo({
+                    concurrencyLimit: concurrencyLimit,
+                    serviceName: nextService
+                }))
+            );
+            self.rejectRequestFrame(conn, reqFrame, 'Busy', nextService + ' is rate-limited by the concurrency limit of ' + concurrencyLimit);
+            return true;
         }
     }
 
+    var ttlError = self.checkRelayTTL(
+        serviceChannel, reqFrame.bodyRW.lazy.readTTL(reqFrame)
+    );
+    if (ttlError) {
+        self.rejectRequestFrame(conn, reqFrame, 'Timeout', ttlError);
+        return true;
+    }
+
     if (serviceChannel.handler.circuits) {
         var endpoint = reqFrame.bodyRW.lazy.readArg1Str(reqFrame);
         if (endpoint === null) {
@@ -432,7 +565,7 @@ function handleLazily(conn, reqFrame) {
             return true;
         }
 
-        reqFrame.circuit = circuit;
+        reqFrame.circuit = circuit.trackRequest();
         circuit.state.onRequest();
     }
 
@@ -453,16 +586,26 @@ function handleRequest(req, buildRes) {
         return;
     }
 
+    // a delayed request comes back here once its delay is over
+    if (!req.faultInjected && self.injectFault(req, buildRes)) {
+        return;
+    }
+
+    if (!self.applyRoutingRules(req, buildRes)) {
+        return;
+    }
+
     var routingDelegate = req.headers && req.headers.rd;
     var nextService = routingDelegate || req.serviceName;
 
-    if (self.isBlocked(req.headers && req.headers.cn, nextService)) {
+    if (self.isBlocked(req.headers && req.headers.cn, nextService, req.endpoint)) {
         req.operations.popInReq(req.id);
         return;
     }
 
     if (self.rateLimiterEnabled) {
-        var rateLimitReason = self.rateLimit(req.headers && req.headers.cn, nextService);
+        var priority = self.getRequestPriority(req);
+        var rateLimitReason = self.rateLimit(req.headers && req.headers.cn, nextService, priority);
         if (rateLimitReason === RATE_LIMIT_KILLSWITCH) {
             if (req.connection &&
                 req.connection.ops) {
@@ -484,6 +627,7 @@ function handleRequest(req, buildRes) {
                 'hyperbahn node is rate-limited by the total rps limit',
                 self.extendLogInfo(req.extendLogInfo({
                     rpsLimit: totalLimit,
+                    priority: priority,
                     'serviceCounters_noindex': self.rateLimiter.serviceCounters,
                     'edgeCounters_noindex': self.rateLimiter.edgeCounters
                 }))
@@ -506,6 +650,30 @@ function handleRequest(req, buildRes) {
                 buildRes().sendError('Busy', req.serviceName + ' is rate-limited by the service rps of ' + serviceLimit);
             }
             return;
+        } else if (rateLimitReason === RATE_LIMIT_EDGE) {
+            var callerName = req.headers && req.headers.cn;
+            var edgeLimit = self.rateLimiter.getRpsLimitForEdge(callerName + '~~' + nextService);
+            self.logger.info(
+                'hyperbahn edge is rate-limited by the edge rps limit',
+                self.extendLogInfo(req.extendLogInfo({
+                    rpsLimit: edgeLimit,
+                    callerName: callerName,
+                    serviceName: nextService
+                }))
+            );
+            buildRes().sendError('Busy', callerName + ' is rate-limited by the edge rps of ' + edgeLimit + ' to ' + nextService);
+            return;
+        } else if (rateLimitReason === RATE_LIMIT_CONCURRENCY) {
+            var concurrencyLimit = self.concurrencyLimiter.getLimit(nextService);
+            self.logger.info(
+                'hyperbahn service is rate-limited by the concurrency limit',
+                self.extendLogInfo(req.extendLogInfo({
+                    concurrencyLimit: concurrencyLimit,
+                    serviceName: nextService
+                }))
+            );
+            buildRes().sendError('Busy', nextService + ' is rate-limited by the concurrency limit of ' + concurrencyLimit);
+            return;
         }
     }
 
@@ -514,6 +682,14 @@ function handleRequest(req, buildRes) {
         serviceChannel = self.createServiceChannel(nextService);
     }
 
+    var ttlError = self.checkRelayTTL(
+        serviceChannel, req.timeout - (self.channel.timers.now() - req.start)
+    );
+    if (ttlError) {
+        buildRes().sendError('Timeout', ttlError);
+        return;
+    }
+
     if (serviceChannel.handler.circuits) {
         var circuit = serviceChannel.handler.circuits.getCircuit(
             req.headers.cn || 'no-cn', req.serviceName, req.endpoint
@@ -524,19 +700,366 @@ function handleRequest(req, buildRes) {
             return;
         }
 
-        req.circuit = circuit;
+        req.circuit = circuit.trackRequest();
         circuit.state.onRequest(req);
     }
 
+    if (serviceChannel.serviceProxyMode === 'exit') {
+        self.maybeShadowRequest(req, nextService);
+    }
+
     serviceChannel.handler.handleRequest(req, buildRes);
 };
 
+// routing rules rewrite the request and faults delay or fail it, so both
+// need the eager path
+// faults are only injected by the exit node, so a request that passes
+// through more than one relay is only delayed or failed once
+ServiceDispatchHandler.prototype.needsEagerPath =
+function needsEagerPath(callerName, serviceName, nextService) {
+    var self = this;
+
+    if (self.routingRules.mayMatch(callerName, serviceName)) {
+        return true;
+    }
+
+    return self.isExitFor(nextService) && self.faultInjector.mayMatch(
+        callerName, serviceName, self.channel.timers.now()
+    );
+};
+
+// shadowing and hedging need the whole request so they take the eager path,
+// as does a sub channel whose handler cannot relay lazily
+ServiceDispatchHandler.prototype.exitNeedsEagerPath =
+function exitNeedsEagerPath(serviceChannel, callerName) {
+    var self = this;
+
+    if (!serviceChannel.handler.handleLazily) {
+        return true;
+    }
+
+    var serviceName = serviceChannel.serviceName;
+    return serviceChannel.serviceProxyMode === 'exit' &&
+        (!!self.getShadowRule(serviceName, callerName) ||
+            self.canHedge(serviceName));
+};
+
+// Returns true when a fault was injected, and so the request is handled
+ServiceDispatchHandler.prototype.injectFault =
+function injectFault(req, buildRes) {
+    var self = this;
+
+    var nextService = (req.headers && req.headers.rd) || req.serviceName;
+    if (!self.isExitFor(nextService)) {
+        return false;
+    }
+
+    var fault = self.faultInjector.match(
+        req.headers && req.headers.cn, req.serviceName, req.endpoint,
+        self.channel.timers.now(), self.random
+    );
+    if (!fault) {
+        return false;
+    }
+
+    self.batchStats.pushStat(
+        'hyperbahn.fault-injection.injected',
+        'counter',
+        1,
+        new hyperbahnStat.FaultInjectionTags(fault.name, fault.getKind())
+    );
+
+    req.faultInjected = true;
+    if (fault.delay) {
+        self.delayRequest(fault, req, buildRes);
+    } else {
+        self.failRequest(fault, req, buildRes);
+    }
+    return true;
+};
+
+// The timer is kept until it fires so that destroy can clear it
+ServiceDispatchHandler.prototype.delayRequest =
+function delayRequest(fault, req, buildRes) {
+    var self = this;
+
+    var id = self.nextFaultDelayId++;
+    self.faultDelays[id] = self.channel.timers.setTimeout(
+        onDelayed, fault.delay
+    );
+
+    function onDelayed() {
+        delete self.faultDelays[id];
+
+        // the in request may have timed out while it was delayed
+        if (req.res && req.res.state !== States.Initial) {
+            return;
+        }
+
+        if (fault.drop || fault.error) {
+            self.failRequest(fault, req, buildRes);
+        } else {
+            self.handleRequest(req, buildRes);
+        }
+    }
+};
+
+ServiceDispatchHandler.prototype.failRequest =
+function failRequest(fault, req, buildRes) {
+    if (fault.drop) {
+        req.operations.popInReq(req.id);
+    } else {
+        buildRes().sendError(fault.error.codeName, fault.error.message);
+    }
+};
+
+ServiceDispatchHandler.prototype.setFaultsRemoteConfig =
+function setFaultsRemoteConfig(rawFaults) {
+    var self = this;
+
+    var invalid = self.faultInjector.setRemoteConfigFaults(rawFaults);
+    for (var i = 0; i < invalid.length; i++) {
+        self.logger.warn(
+            'ignoring invalid fault',
+            self.extendLogInfo({
+                index: invalid[i].index,
+                reason: invalid[i].reason
+            })
+        );
+    }
+};
+
+// Returns false when a routing rule rejected the request
+ServiceDispatchHandler.prototype.applyRoutingRules =
+function applyRoutingRules(req, buildRes) {
+    var self = this;
+
+    var rule = self.routingRules.match(
+        req.headers && req.headers.cn, req.serviceName,
+        req.endpoint, req.headers
+    );
+    if (!rule) {
+        return true;
+    }
+
+    self.batchStats.pushStat(
+        'hyperbahn.routing-rules.matched',
+        'counter',
+        1,
+        new hyperbahnStat.RoutingRuleTags(rule.name)
+    );
+
+    if (rule.reject) {
+        buildRes().sendError(rule.reject.codeName, rule.reject.message);
+        return false;
+    }
+
+    rule.apply(req);
+    return true;
+};
+
+ServiceDispatchHandler.prototype.setRoutingRules =
+function setRoutingRules(rawRules) {
+    var self = this;
+
+    var routingRules = new RoutingRules(rawRules);
+    for (var i = 0; i < routingRules.invalid.length; i++) {
+        self.logger.warn(
+            'ignoring invalid routing rule',
+            self.extendLogInfo({
+                index: routingRules.invalid[i].index,
+                reason: routingRules.invalid[i].reason
+            })
+        );
+    }
+
+    self.routingRules = routingRules;
+};
+
+// Returns the shadow rule for the service if the caller may be shadowed
+ServiceDispatchHandler.prototype.getShadowRule =
+function getShadowRule(serviceName, callerName) {
+    var self = this;
+
+    var rule = self.shadowRules[serviceName] ||
+        self.shadowRulesRemoteConfig[serviceName];
+    if (!rule || !rule.matchesCaller(callerName)) {
+        return null;
+    }
+    return rule;
+};
+
+ServiceDispatchHandler.prototype.maybeShadowRequest =
+function maybeShadowRequest(req, serviceName) {
+    var self = this;
+
+    var callerName = req.headers && req.headers.cn;
+    var rule = self.getShadowRule(serviceName, callerName);
+    if (!rule ||
+        req.streamed ||
+        !rule.matches(callerName, req.endpoint) ||
+        self.random() * 100 >= rule.percentage) {
+        return;
+    }
+
+    var headers = {};
+    var keys = Object.keys(req.headers);
+    for (var i = 0; i < keys.length; i++) {
+        if (keys[i] !== 'rd') {
+            headers[keys[i]] = req.headers[keys[i]];
+        }
+    }
+
+    var shadowChannel = self.getOrCreateServiceChannel(rule.shadowService);
+    var shadowReq = shadowChannel.request({
+        serviceName: rule.shadowService,
+        timeout: req.timeout,
+        headers: headers,
+        hasNoParent: true,
+        trace: false,
+        retryFlags: {
+            never: true,
+            onConnectionError: false,
+            onTimeout: false
+        }
+    });
+
+    self.pushShadowStat('sent', rule);
+    shadowReq.send(req.arg1, req.arg2, req.arg3, onShadowResponse);
+
+    // the shadow response is discarded, only its outcome is recorded
+    function onShadowResponse(err, res) {
+        self.pushShadowStat(err || !res.ok ? 'failure' : 'success', rule);
+    }
+};
+
+ServiceDispatchHandler.prototype.pushShadowStat =
+function pushShadowStat(name, rule) {
+    var self = this;
+
+    self.batchStats.pushStat(
+        'hyperbahn.shadow.' + name,
+        'counter',
+        1,
+        new hyperbahnStat.ShadowTags(rule.serviceName, rule.shadowService)
+    );
+};
+
+// Returns the reason the rule is invalid, or null
+ServiceDispatchHandler.prototype.setShadowRule =
+function setShadowRule(serviceName, options) {
+    var self = this;
+
+    var reason = ShadowRule.validate(serviceName, options);
+    if (!reason) {
+        self.shadowRules[serviceName] = new ShadowRule(serviceName, options);
+    }
+    return reason;
+};
+
+ServiceDispatchHandler.prototype.removeShadowRule =
+function removeShadowRule(serviceName) {
+    var self = this;
+
+    delete self.shadowRules[serviceName];
+};
+
+// rules :: Map<serviceName, ShadowRule options>
+ServiceDispatchHandler.prototype.setShadowRulesRemoteConfig =
+function setShadowRulesRemoteConfig(rules) {
+    var self = this;
+
+    self.shadowRulesRemoteConfig = Object.create(null);
+
+    var serviceNames = Object.keys(rules);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var serviceName = serviceNames[i];
+        var reason = ShadowRule.validate(serviceName, rules[serviceName]);
+        if (reason) {
+            self.logger.warn(
+                'ignoring invalid shadow rule',
+                self.extendLogInfo({
+                    serviceName: serviceName,
+                    reason: reason
+                })
+            );
+            continue;
+        }
+
+        self.shadowRulesRemoteConfig[serviceName] = new ShadowRule(
+            serviceName, rules[serviceName]
+        );
+    }
+};
+
+// callerPriorities :: Map<callerName, priority>
+ServiceDispatchHandler.prototype.setCallerPriorities =
+function setCallerPriorities(callerPriorities) {
+    var self = this;
+
+    self.callerPriorities = Object.create(null);
+    var callerNames = Object.keys(callerPriorities);
+    for (var i = 0; i < callerNames.length; i++) {
+        var priority = callerPriorities[callerNames[i]];
+        if (RateLimiter.PRIORITIES.indexOf(priority) === -1) {
+            self.logger.warn(
+                'ignoring invalid caller priority',
+                self.extendLogInfo({
+                    callerName: callerNames[i],
+                    priority: priority
+                })
+            );
+            continue;
+        }
+        self.callerPriorities[callerNames[i]] = priority;
+    }
+};
+
+// A priority from remote config beats the one the caller marked the request
+// with; anything else is of the default priority
+ServiceDispatchHandler.prototype.getPriority =
+function getPriority(callerName, headerPriority) {
+    var self = this;
+
+    var priority = self.callerPriorities[callerName] || headerPriority;
+    if (RateLimiter.PRIORITIES.indexOf(priority) === -1) {
+        return RateLimiter.DEFAULT_PRIORITY;
+    }
+    return priority;
+};
+
+ServiceDispatchHandler.prototype.getRequestPriority =
+function getRequestPriority(req) {
+    var self = this;
+
+    if (!req.headers) {
+        return RateLimiter.DEFAULT_PRIORITY;
+    }
+    return self.getPriority(req.headers.cn, req.headers[PRIORITY_HEADER]);
+};
+
+// Only reads the headers when priorities matter
+ServiceDispatchHandler.prototype.readLazyPriority =
+function readLazyPriority(callerName, reqFrame) {
+    var self = this;
+
+    if (!self.rateLimiter.hasPriorityShares() ||
+        self.callerPriorities[callerName]) {
+        return self.getPriority(callerName, null);
+    }
+
+    var res = reqFrame.bodyRW.lazy.readHeaders(reqFrame);
+    var value = !res.err && res.value.getValue(PRIORITY_HEADER_BUFFER);
+    return self.getPriority(callerName, value ? value.toString() : null);
+};
+
 ServiceDispatchHandler.prototype.rateLimit =
-function rateLimit(cn, serviceName) {
+function rateLimit(cn, serviceName, priority) {
     var self = this;
 
     // stats edge traffic
-    self.rateLimiter.incrementEdgeCounter(cn + '~~' + serviceName);
+    var edge = cn + '~~' + serviceName;
+    self.rateLimiter.incrementEdgeCounter(edge);
 
     var isExitNode = self.isExitFor(serviceName);
     if (isExitNode) {
@@ -545,8 +1068,9 @@ function rateLimit(cn, serviceName) {
     }
 
     // apply kill switch safe guard first
-    if (self.rateLimiter.shouldKillSwitchTotalRequest(serviceName) ||
-        (isExitNode && self.rateLimiter.shouldKillSwitchService(serviceName))) {
+    if ((self.rateLimiter.shouldKillSwitchTotalRequest(serviceName, priority) ||
+        (isExitNode && self.rateLimiter.shouldKillSwitchService(serviceName, priority))) &&
+        !self.isShadowRateLimited(cn, serviceName, RATE_LIMIT_KILLSWITCH)) {
         return RATE_LIMIT_KILLSWITCH;
     }
 
@@ -556,113 +1080,593 @@ function rateLimit(cn, serviceName) {
     }
 
     // apply rate limiter
-    if (self.rateLimiter.shouldRateLimitTotalRequest(serviceName)) {
-        return RATE_LIMIT_TOTAL;
+    var reason = '';
+    // low priority traffic is shed before the total limit is reached
+    if (self.rateLimiter.shouldRateLimitTotalRequest(serviceName, priority)) {
+        reason = RATE_LIMIT_TOTAL;
+    // check RPS for the caller's limit before the service limit, so that a
+    // noisy caller does not use up the service limit
+    } else if (isExitNode && self.rateLimiter.shouldRateLimitEdge(edge, serviceName)) {
+        reason = RATE_LIMIT_EDGE;
+    // check RPS for service limit
+    } else if (isExitNode && self.rateLimiter.shouldRateLimitService(serviceName)) {
+        reason = RATE_LIMIT_SERVICE;
+    // a backend whose latency spiked gets fewer requests in flight, even
+    // within its RPS limit
+    } else if (isExitNode && self.concurrencyLimiter.isExceeded(serviceName)) {
+        reason = RATE_LIMIT_CONCURRENCY;
     }
 
-    // check RPS for service limit
-    if (isExitNode && self.rateLimiter.shouldRateLimitService(serviceName)) {
-        return RATE_LIMIT_SERVICE;
+    if (reason && !self.isShadowRateLimited(cn, serviceName, reason)) {
+        return reason;
+    }
+
+    // increment the counters
+    self.rateLimiter.incrementTotalCounter(serviceName);
+    if (isExitNode) {
+        self.rateLimiter.incrementServiceCounter(serviceName);
+        self.rateLimiter.incrementEdgeLimitCounter(edge);
+    }
+
+    return '';
+};
+
+// In shadow mode a request that should be rate limited is let through and
+// only reported, so that new limits can be tried on production traffic
+ServiceDispatchHandler.prototype.isShadowRateLimited =
+function isShadowRateLimited(cn, serviceName, reason) {
+    var self = this;
+    if (!self.rateLimiter.isShadowMode(serviceName)) {
+        return false;
+    }
+
+    self.rateLimiter.pushWouldHaveLimited(serviceName, reason);
+    self.logger.info(
+        'hyperbahn would have rate-limited in shadow mode',
+        self.extendLogInfo({
+            callerName: cn,
+            serviceName: serviceName,
+            rateLimitReason: reason
+        })
+    );
+    return true;
+};
+
+ServiceDispatchHandler.prototype.getOrCreateServiceChannel =
+function getOrCreateServiceChannel(serviceName) {
+    var self = this;
+    return self.getServiceChannel(serviceName, true);
+};
+
+ServiceDispatchHandler.prototype.getServiceChannel =
+function getServiceChannel(serviceName, create) {
+    var self = this;
+    var serviceChannel = self.channel.subChannels[serviceName];
+    if (!serviceChannel && create) {
+        serviceChannel = self.createServiceChannel(serviceName);
+    }
+    return serviceChannel;
+};
+
+ServiceDispatchHandler.prototype.getOrCreateServicePeer =
+function getOrCreateServicePeer(serviceChannel, hostPort) {
+    var peer = serviceChannel.peers.get(hostPort);
+    if (!peer) {
+        peer = serviceChannel.peers.add(hostPort);
+    }
+    if (!peer.serviceProxyServices) {
+        peer.serviceProxyServices = {};
+    }
+    peer.serviceProxyServices[serviceChannel.serviceName] = true;
+    return peer;
+};
+
+ServiceDispatchHandler.prototype.createServiceChannel =
+function createServiceChannel(serviceName) {
+    var self = this;
+
+    var now = self.channel.timers.now();
+    if (now >= self.createdAt + self.logGracePeriod) {
+        self.logger.info(
+            'Creating new sub channel',
+            self.extendLogInfo({
+                serviceName: serviceName
+            })
+        );
+    }
+
+    var exitNames = self.relaysFor[serviceName];
+    if (!exitNames) {
+        var exitNodes = self.egressNodes.exitsFor(serviceName);
+        exitNames = Object.keys(exitNodes).sort();
+        self.relaysFor[serviceName] = exitNames;
+    }
+
+    var isExit = self.egressNodes.isExitFor(serviceName);
+    var mode = isExit ? 'exit' : 'forward';
+
+    var choosePeerWithHeap = self.peerHeapEnabledGlobal;
+    if (serviceName in self.peerHeapEnabledServices) {
+        choosePeerWithHeap = self.peerHeapEnabledServices[serviceName];
+    }
+
+    var options = {
+        serviceName: serviceName,
+        choosePeerWithHeap: choosePeerWithHeap
+    };
+
+    if (self.serviceReqDefaults[serviceName]) {
+        options.requestDefaults = self.serviceReqDefaults[serviceName];
+    }
+
+    if (mode === 'exit') {
+        options.preferConnectionDirection = 'out';
+    }
+
+    var serviceChannel = self.channel.makeSubChannel(options);
+    serviceChannel.serviceProxyMode = mode; // duck: punched
+    self.applyRelayTTLLimits(serviceChannel);
+
+    if (mode === 'forward') {
+        for (var i = 0; i < exitNames.length; i++) {
+            self.getOrCreateServicePeer(serviceChannel, exitNames[i]);
+        }
+    }
+
+    serviceChannel.handler = new ServiceRelayHandler(
+        serviceChannel,
+        mode === 'exit' && self.circuitsEnabled && self.circuits,
+        self);
+
+    return serviceChannel;
+};
+
+// Called by ServiceRelayHandler for every request, req is null on the lazy
+// path. Ejected outliers are never chosen while another peer is available.
+// The remaining peers are narrowed down to the traffic split bucket, then to
+// the local zone; each narrowing is dropped again when it leaves no peer.
+ServiceDispatchHandler.prototype.chooseRelayPeer =
+function chooseRelayPeer(serviceChannel, req) {
+    var self = this;
+
+    var serviceName = serviceChannel.serviceName;
+    var split = self.trafficSplits[serviceName];
+    var preferZone = self.zoneAffinity.isEnabled();
+    var ejections = self.outlierDetector.getEjections(serviceName);
+    if (serviceChannel.serviceProxyMode !== 'exit' ||
+        (!split && !preferZone && !ejections)) {
+        return serviceChannel.peers.choosePeer(null);
+    }
+
+    // chooseMatchingPeer scans every peer, so it is only used while one of
+    // the filters below is active
+    var metadata = self.getServiceMetadata(serviceName);
+    var filters = [];
+    if (ejections) {
+        filters.push(self.outlierDetector.createFilter(ejections));
+    }
+
+    var version = null;
+    if (split) {
+        version = split.chooseVersion(self.random());
+        filters.push(new TrafficSplit.VersionFilter(metadata, version));
+        self.pushTrafficSplitStat('requests', serviceName, version);
+    }
+
+    var peer = null;
+    if (preferZone) {
+        var zoneFilter = self.zoneAffinity.createFilter(metadata);
+        filters.push(zoneFilter);
+        peer = chooseMatchingPeer(serviceChannel.peers, req, filters);
+        filters.pop();
+        if (!zoneFilter.isSufficient()) {
+            peer = null;
+        }
+        self.batchStats.pushStat(
+            peer ? 'hyperbahn.zone-affinity.local' :
+                'hyperbahn.zone-affinity.spillover',
+            'counter',
+            1,
+            new hyperbahnStat.ServiceTags(serviceName)
+        );
+    }
+
+    if (!peer && split) {
+        peer = chooseMatchingPeer(serviceChannel.peers, req, filters);
+        filters.pop();
+        if (!peer) {
+            // no healthy peer in the bucket, don't fail what would
+            // otherwise have been served
+            self.pushTrafficSplitStat('fallback', serviceName, version);
+        }
+    }
+
+    if (!peer && ejections) {
+        peer = chooseMatchingPeer(serviceChannel.peers, req, filters);
+    }
+
+    return peer || serviceChannel.peers.choosePeer(null);
+};
+
+// Called by ServiceRelayHandler once the peer for a request is chosen; peer
+// is null for a hedged request, whose out requests are observed on their own
+ServiceDispatchHandler.prototype.observeRelayRequest =
+function observeRelayRequest(serviceChannel, req, peer) {
+    var self = this;
+
+    if (serviceChannel.serviceProxyMode === 'exit') {
+        var budget = self.retryBudgets[serviceChannel.serviceName];
+        if (budget) {
+            budget.incrementRequest(false);
+        }
+        if (peer) {
+            self.observePeerRequest(serviceChannel, req, peer);
+        }
+    }
+};
+
+// Wraps the circuit of req so that its outcome is charged to peer. req is
+// either a relayed in request or, for a hedged request, a stand-in for one
+// of its out requests, as the in request is not sent to a single peer.
+ServiceDispatchHandler.prototype.observePeerRequest =
+function observePeerRequest(serviceChannel, req, peer) {
+    var self = this;
+
+    if (serviceChannel.serviceProxyMode !== 'exit') {
+        return;
+    }
+
+    self.outlierDetector.observe(
+        req, serviceChannel.serviceName, peer.hostPort
+    );
+    if (self.rateLimiter.exemptServices.indexOf(serviceChannel.serviceName) === -1) {
+        self.concurrencyLimiter.observe(req, serviceChannel.serviceName);
+    }
+};
+
+ServiceDispatchHandler.prototype.pushTrafficSplitStat =
+function pushTrafficSplitStat(name, serviceName, version) {
+    var self = this;
+
+    self.batchStats.pushStat(
+        'hyperbahn.traffic-split.' + name,
+        'counter',
+        1,
+        new hyperbahnStat.TrafficSplitTags(serviceName, version)
+    );
+};
+
+// splits :: Map<serviceName, Map<version, weight>>
+ServiceDispatchHandler.prototype.setTrafficSplits =
+function setTrafficSplits(splits) {
+    var self = this;
+
+    self.trafficSplits = Object.create(null);
+
+    var serviceNames = Object.keys(splits);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var serviceName = serviceNames[i];
+        var reason = TrafficSplit.validate(splits[serviceName]);
+        if (reason) {
+            self.logger.warn(
+                'ignoring invalid traffic split',
+                self.extendLogInfo({
+                    serviceName: serviceName,
+                    reason: reason
+                })
+            );
+            continue;
+        }
+
+        self.trafficSplits[serviceName] = new TrafficSplit(
+            serviceName, splits[serviceName]
+        );
+    }
+};
+
+// policies :: Map<serviceName, HedgePolicy options>
+ServiceDispatchHandler.prototype.setHedgePolicies =
+function setHedgePolicies(policies) {
+    var self = this;
+
+    var oldPolicies = self.hedgePolicies;
+    self.hedgePolicies = Object.create(null);
+
+    var serviceNames = Object.keys(policies);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var serviceName = serviceNames[i];
+        var reason = HedgePolicy.validate(policies[serviceName]);
+        if (reason) {
+            self.logger.warn(
+                'ignoring invalid hedge policy',
+                self.extendLogInfo({
+                    serviceName: serviceName,
+                    reason: reason
+                })
+            );
+            continue;
+        }
+
+        var policy = new HedgePolicy(serviceName, policies[serviceName]);
+        // keep the latencies seen so far
+        if (oldPolicies[serviceName]) {
+            policy.latencies = oldPolicies[serviceName].latencies;
+            policy.nextLatency = oldPolicies[serviceName].nextLatency;
+            policy.delay = oldPolicies[serviceName].delay;
+        }
+        self.hedgePolicies[serviceName] = policy;
+    }
+};
+
+// budgets :: Map<serviceName, RetryBudget options>
+ServiceDispatchHandler.prototype.setRetryBudgets =
+function setRetryBudgets(budgets) {
+    var self = this;
+
+    var oldBudgets = self.retryBudgets;
+    self.retryBudgets = Object.create(null);
+
+    var serviceNames = Object.keys(budgets);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var serviceName = serviceNames[i];
+        var reason = RetryBudget.validate(budgets[serviceName]);
+        if (reason) {
+            self.logger.warn(
+                'ignoring invalid retry budget',
+                self.extendLogInfo({
+                    serviceName: serviceName,
+                    reason: reason
+                })
+            );
+            continue;
+        }
+
+        var options = budgets[serviceName];
+        var budget = oldBudgets[serviceName];
+        // keep the counts seen so far unless the window changed
+        if (budget &&
+            budget.window === (options.window || budget.window) &&
+            budget.numOfBuckets ===
+                (options.numOfBuckets || budget.numOfBuckets)) {
+            budget.maxRetryRatio = options.maxRetryRatio;
+            budget.minRequests = options.minRequests || budget.minRequests;
+        } else {
+            budget = new RetryBudget(serviceName, {
+                timers: self.channel.timers,
+                maxRetryRatio: options.maxRetryRatio,
+                window: options.window,
+                numOfBuckets: options.numOfBuckets,
+                minRequests: options.minRequests
+            });
+        }
+        self.retryBudgets[serviceName] = budget;
+    }
+};
+
+// The relay itself never resends a request, so the only extra attempts an
+// exit node makes are hedges. Probes and shadow requests are not budgeted:
+// probes are how an unhealthy service recovers, and shadows go to another
+// service.
+ServiceDispatchHandler.prototype.allowRetry =
+function allowRetry(serviceName) {
+    var self = this;
+
+    var budget = self.retryBudgets[serviceName];
+    if (!budget) {
+        return true;
+    }
+
+    if (budget.isExhausted()) {
+        self.batchStats.pushStat(
+            'hyperbahn.retry-budget.rejected',
+            'counter',
+            1,
+            new hyperbahnStat.ServiceTags(serviceName)
+        );
+        return false;
+    }
+
+    budget.incrementRequest(true);
+    return true;
+};
+
+// limits :: Map<serviceName, {maximum: ?Number, minimum: ?Number}>
+// A service's maximum overrides relay.maximum-ttl, its minimum overrides
+// minimumTTL.
+ServiceDispatchHandler.prototype.setRelayTTLLimits =
+function setRelayTTLLimits(minimumTTL, limits) {
+    var self = this;
+
+    if (isValidTTL(minimumTTL)) {
+        self.minimumRelayTTL = minimumTTL;
+    } else {
+        self.logger.warn(
+            'ignoring invalid minimum relay ttl',
+            self.extendLogInfo({
+                minimumTTL: minimumTTL
+            })
+        );
+    }
+
+    self.relayTTLLimits = Object.create(null);
+    var serviceNames = Object.keys(limits);
+    for (var i = 0; i < serviceNames.length; i++) {
+        var serviceName = serviceNames[i];
+        var reason = validateTTLLimits(limits[serviceName]);
+        if (reason) {
+            self.logger.warn(
+                'ignoring invalid relay ttl limits',
+                self.extendLogInfo({
+                    serviceName: serviceName,
+                    reason: reason
+                })
+            );
+            continue;
+        }
+        self.relayTTLLimits[serviceName] = limits[serviceName];
     }
 
-    // increment the counters
-    self.rateLimiter.incrementTotalCounter(serviceName);
-    if (isExitNode) {
-        self.rateLimiter.incrementServiceCounter(serviceName);
+    var subChannelNames = Object.keys(self.channel.subChannels);
+    for (var j = 0; j < subChannelNames.length; j++) {
+        var serviceChannel = self.channel.subChannels[subChannelNames[j]];
+        if (serviceChannel.handler instanceof ServiceRelayHandler) {
+            self.applyRelayTTLLimits(serviceChannel);
+        }
     }
-
-    return '';
 };
 
-ServiceDispatchHandler.prototype.getOrCreateServiceChannel =
-function getOrCreateServiceChannel(serviceName) {
+// tchannel clamps the relayed ttl to the maximumRelayTTL of the sub channel
+ServiceDispatchHandler.prototype.applyRelayTTLLimits =
+function applyRelayTTLLimits(serviceChannel) {
     var self = this;
-    return self.getServiceChannel(serviceName, true);
+
+    var limits = self.relayTTLLimits[serviceChannel.serviceName];
+    if (limits && limits.maximum) {
+        serviceChannel.maximumRelayTTL = limits.maximum;
+    } else {
+        serviceChannel.maximumRelayTTL = self.channel.maximumRelayTTL;
+    }
 };
 
-ServiceDispatchHandler.prototype.getServiceChannel =
-function getServiceChannel(serviceName, create) {
+ServiceDispatchHandler.prototype.getMinimumRelayTTL =
+function getMinimumRelayTTL(serviceName) {
     var self = this;
-    var serviceChannel = self.channel.subChannels[serviceName];
-    if (!serviceChannel && create) {
-        serviceChannel = self.createServiceChannel(serviceName);
+
+    var limits = self.relayTTLLimits[serviceName];
+    if (limits && limits.minimum !== undefined) {
+        return limits.minimum;
     }
-    return serviceChannel;
+    return self.minimumRelayTTL;
 };
 
-ServiceDispatchHandler.prototype.getOrCreateServicePeer =
-function getOrCreateServicePeer(serviceChannel, hostPort) {
-    var peer = serviceChannel.peers.get(hostPort);
-    if (!peer) {
-        peer = serviceChannel.peers.add(hostPort);
+// Returns why a request with the given remaining ttl must be rejected, or
+// null; a request that is not rejected may still be clamped
+ServiceDispatchHandler.prototype.checkRelayTTL =
+function checkRelayTTL(serviceChannel, ttl) {
+    var self = this;
+
+    // tchannel rejects invalid ttls itself
+    if (!(ttl > 0)) {
+        return null;
     }
-    if (!peer.serviceProxyServices) {
-        peer.serviceProxyServices = {};
+
+    var serviceName = serviceChannel.serviceName;
+    var minimum = self.getMinimumRelayTTL(serviceName);
+    if (ttl < minimum) {
+        self.pushRelayTTLStat('rejected', serviceName);
+        return 'remaining ttl of ' + Math.floor(ttl) +
+            'ms is below the minimum of ' + minimum + 'ms for ' + serviceName;
     }
-    peer.serviceProxyServices[serviceChannel.serviceName] = true;
-    return peer;
+
+    if (serviceChannel.maximumRelayTTL !== 0 &&
+        ttl > serviceChannel.maximumRelayTTL) {
+        self.pushRelayTTLStat('clamped', serviceName);
+    }
+    return null;
 };
 
-ServiceDispatchHandler.prototype.createServiceChannel =
-function createServiceChannel(serviceName) {
+ServiceDispatchHandler.prototype.pushRelayTTLStat =
+function pushRelayTTLStat(name, serviceName) {
     var self = this;
 
-    var now = self.channel.timers.now();
-    if (now >= self.createdAt + self.logGracePeriod) {
-        self.logger.info(
-            'Creating new sub channel',
-            self.extendLogInfo({
-                serviceName: serviceName
-            })
-        );
-    }
+    self.batchStats.pushStat(
+        'hyperbahn.relay-ttl.' + name,
+        'counter',
+        1,
+        new hyperbahnStat.ServiceTags(serviceName)
+    );
+};
 
-    var exitNames = self.relaysFor[serviceName];
-    if (!exitNames) {
-        var exitNodes = self.egressNodes.exitsFor(serviceName);
-        exitNames = Object.keys(exitNodes).sort();
-        self.relaysFor[serviceName] = exitNames;
+// Returns what channels_v1 reports about the retry budget of a sub channel
+ServiceDispatchHandler.prototype.getRetryBudgetInfo =
+function getRetryBudgetInfo(serviceChannel) {
+    var self = this;
+
+    var budget = self.retryBudgets[serviceChannel.serviceName];
+    if (!budget || serviceChannel.serviceProxyMode !== 'exit') {
+        return null;
     }
+    return budget.getInfo();
+};
 
-    var isExit = self.egressNodes.isExitFor(serviceName);
-    var mode = isExit ? 'exit' : 'forward';
+// Until its delay is known a policy only observes latencies, which the lazy
+// path can do as well
+ServiceDispatchHandler.prototype.canHedge =
+function canHedge(serviceName) {
+    var self = this;
 
-    var choosePeerWithHeap = self.peerHeapEnabledGlobal;
-    if (serviceName in self.peerHeapEnabledServices) {
-        choosePeerWithHeap = self.peerHeapEnabledServices[serviceName];
-    }
+    var policy = self.hedgePolicies[serviceName];
+    return !!policy && policy.delay !== null;
+};
 
-    var options = {
-        serviceName: serviceName,
-        choosePeerWithHeap: choosePeerWithHeap
-    };
+// Called by ServiceRelayHandler for every request it does not hedge; the
+// latencies of the requests to the first peer give the hedge delay
+ServiceDispatchHandler.prototype.observeHedgeLatency =
+function observeHedgeLatency(serviceChannel, req) {
+    var self = this;
 
-    if (self.serviceReqDefaults[serviceName]) {
-        options.requestDefaults = self.serviceReqDefaults[serviceName];
+    var policy = self.hedgePolicies[serviceChannel.serviceName];
+    if (policy &&
+        serviceChannel.serviceProxyMode === 'exit' &&
+        policy.covers(req.endpoint)) {
+        policy.observeRequest(req, self.channel.timers);
     }
+};
 
-    if (mode === 'exit') {
-        options.preferConnectionDirection = 'out';
+// Called by ServiceRelayHandler on the eager path; returns the policy to hedge
+// req by, or null
+ServiceDispatchHandler.prototype.getHedgePolicy =
+function getHedgePolicy(serviceChannel, req) {
+    var self = this;
+
+    var policy = self.hedgePolicies[serviceChannel.serviceName];
+    if (!policy ||
+        serviceChannel.serviceProxyMode !== 'exit' ||
+        req.streamed ||
+        policy.getDelay(req.endpoint) === null) {
+        return null;
     }
+    return policy;
+};
 
-    var serviceChannel = self.channel.makeSubChannel(options);
-    serviceChannel.serviceProxyMode = mode; // duck: punched
+// A hedge goes to any peer but the first one, never to an ejected outlier.
+// Only ejections need chooseMatchingPeer; the peers skip the first peer on
+// their own when it is marked as tried.
+ServiceDispatchHandler.prototype.chooseHedgePeer =
+function chooseHedgePeer(serviceChannel, req, firstPeer) {
+    var self = this;
 
-    if (mode === 'forward') {
-        for (var i = 0; i < exitNames.length; i++) {
-            self.getOrCreateServicePeer(serviceChannel, exitNames[i]);
-        }
-    }
+    var ejections = self.outlierDetector.getEjections(
+        serviceChannel.serviceName
+    );
+    if (!ejections) {
+        var triedRemoteAddrs = Object.create(null);
+        triedRemoteAddrs[firstPeer.hostPort] = true;
+        return serviceChannel.peers.choosePeer({
+            triedRemoteAddrs: triedRemoteAddrs
+        });
+    }
+
+    return chooseMatchingPeer(serviceChannel.peers, req, [
+        new HedgePolicy.OtherPeerFilter(firstPeer.hostPort),
+        self.outlierDetector.createFilter(ejections)
+    ]);
+};
 
-    serviceChannel.handler = new RelayHandler(
-        serviceChannel,
-        mode === 'exit' && self.circuitsEnabled && self.circuits);
+ServiceDispatchHandler.prototype.pushHedgingStat =
+function pushHedgingStat(name, serviceName) {
+    var self = this;
 
-    return serviceChannel;
+    self.batchStats.pushStat(
+        'hyperbahn.hedging.' + name,
+        'counter',
+        1,
+        new hyperbahnStat.ServiceTags(serviceName)
+    );
 };
 
 ServiceDispatchHandler.prototype.refreshServicePeer =
-function refreshServicePeer(serviceName, hostPort) {
+function refreshServicePeer(serviceName, hostPort, metadata) {
     var self = this;
 
     var serviceChannel = self.getOrCreateServiceChannel(serviceName);
@@ -673,6 +1677,8 @@ function refreshServicePeer(serviceName, hostPort) {
 
     var now = self.channel.timers.now();
 
+    self.setPeerMetadata(serviceName, hostPort, metadata || null);
+
     // Reset the expiration time for this service peer
     self.exitServices[serviceName] = now;
 
@@ -696,6 +1702,34 @@ function refreshServicePeer(serviceName, hostPort) {
     self.ensurePeerConnected(serviceName, peer, 'service peer refresh', now);
 };
 
+ServiceDispatchHandler.prototype.setPeerMetadata =
+function setPeerMetadata(serviceName, hostPort, metadata) {
+    var self = this;
+
+    if (metadata) {
+        addIndexEntry(self.peerMetadata, serviceName, hostPort, metadata);
+    } else {
+        deleteIndexEntry(self.peerMetadata, serviceName, hostPort);
+    }
+};
+
+ServiceDispatchHandler.prototype.getPeerMetadata =
+function getPeerMetadata(serviceName, hostPort) {
+    var self = this;
+
+    var byHostPort = self.peerMetadata[serviceName];
+    return (byHostPort && byHostPort[hostPort]) || null;
+};
+
+// Returns Map<hostPort, PeerMetadata> for every peer of the service that
+// advertised metadata to this relay; only exit nodes know about metadata.
+ServiceDispatchHandler.prototype.getServiceMetadata =
+function getServiceMetadata(serviceName) {
+    var self = this;
+
+    return self.peerMetadata[serviceName] || Object.create(null);
+};
+
 ServiceDispatchHandler.prototype.deletePeerIndex =
 function deletePeerIndex(serviceName, hostPort) {
     var self = this;
@@ -705,6 +1739,8 @@ function deletePeerIndex(serviceName, hostPort) {
         deleteIndexEntry(self.connectedPeerServices, hostPort, serviceName);
     }
     deleteIndexEntry(self.knownPeers, hostPort, serviceName);
+    deleteIndexEntry(self.peerMetadata, serviceName, hostPort);
+    self.outlierDetector.removePeer(serviceName, hostPort);
 };
 
 ServiceDispatchHandler.prototype.ensurePeerConnected =
@@ -984,6 +2020,8 @@ function removeServicePeer(serviceName, hostPort) {
         return;
     }
     serviceChannel.peers.delete(hostPort);
+    deleteIndexEntry(self.peerMetadata, serviceName, hostPort);
+    self.outlierDetector.removePeer(serviceName, hostPort);
 
     if (self.partialAffinityEnabled) {
         var partialRange = self.partialRanges[serviceName];
@@ -1088,6 +2126,8 @@ function updateServiceChannels() {
     if (self.circuits) {
         self.circuits.updateServices();
     }
+
+    self.rateLimiter.refreshClusterLimits();
 };
 
 ServiceDispatchHandler.prototype.updateServiceChannel =
@@ -1168,6 +2208,9 @@ function changeToForward(exitNodes, serviceChannel, now) {
     var i;
     var peers = serviceChannel.peers.values();
     serviceChannel.peers.clear();
+    delete self.peerMetadata[serviceChannel.serviceName];
+    self.outlierDetector.removeService(serviceChannel.serviceName);
+    self.concurrencyLimiter.removeService(serviceChannel.serviceName);
     for (i = 0; i < peers.length; i++) {
         var peer = peers[i];
         self.ensurePeerDisconnected(
@@ -1217,68 +2260,243 @@ function updateExitNodes(exitNodes, serviceChannel) {
     }
 };
 
+// endpoint is only needed if self.blockingEndpoints, i.e. some kill switch
+// is keyed by cn~~serviceName~~endpoint
 ServiceDispatchHandler.prototype.isBlocked =
-function isBlocked(cn, serviceName) {
+function isBlocked(cn, serviceName, endpoint) {
     var self = this;
     cn = cn || '*';
     serviceName = serviceName || '*';
 
-    if (self.blockingTable &&
-        (self.blockingTable[cn + '~~' + serviceName] ||
-        self.blockingTable['*~~' + serviceName] ||
-        self.blockingTable[cn + '~~*'])) {
-        return true;
-    }
+    return shouldDrop(self.blockingTable, cn, serviceName, endpoint, self.random) ||
+        shouldDrop(self.blockingTableRemoteConfig, cn, serviceName, endpoint, self.random);
+};
 
-    if (self.blockingTableRemoteConfig &&
-        (self.blockingTableRemoteConfig[cn + '~~' + serviceName] ||
-        self.blockingTableRemoteConfig['*~~' + serviceName] ||
-        self.blockingTableRemoteConfig[cn + '~~*'])) {
-        return true;
-    }
+// options: {endpoint, percent, ttl, reason, operator}, all optional; without
+// a ttl the kill switch stays until it is unblocked, and without a percent it
+// drops all of the traffic
+ServiceDispatchHandler.prototype.block =
+function block(cn, serviceName, options) {
+    var self = this;
+    options = options || {};
+    var key = killSwitchKey(cn, serviceName, options.endpoint);
+    var entry = new KillSwitchEntry(self.channel.timers.now(), options);
+    entry.version = self.nextKillSwitchVersion();
+    entry.origin = self.channel.hostPort;
 
-    return false;
+    self.blockingTable = self.blockingTable || {};
+    self.blockingTable[key] = entry;
+    delete self.killSwitchTombstones[key];
+    self.updateBlockingEndpoints();
+    self.killSwitchChangeEvent.emit(self, self.getKillSwitchState());
 };
 
-ServiceDispatchHandler.prototype.block =
-function block(cn, serviceName) {
+ServiceDispatchHandler.prototype.expireKillSwitch =
+function expireKillSwitch(key, entry) {
     var self = this;
+
+    // every node expires its own copy, so this is not a new version
+    var parts = key.split('~~');
+    self.removeKillSwitch(key);
+    self.logger.info('kill switch expired', self.extendLogInfo({
+        callerName: parts[0],
+        serviceName: parts[1],
+        endpoint: parts[2] || null,
+        percent: entry.percent,
+        blockedAt: entry.blockedAt,
+        expiresAt: entry.expiresAt,
+        reason: entry.reason,
+        operator: entry.operator
+    }));
+};
+
+// An unblock leaves a tombstone, so that nodes which still have the kill
+// switch drop it instead of sharing it again
+ServiceDispatchHandler.prototype.unblock =
+function unblock(cn, serviceName, endpoint) {
+    var self = this;
+    var now = self.channel.timers.now();
+
     cn = cn || '*';
     serviceName = serviceName || '*';
-    self.blockingTable = self.blockingTable || {};
-    assert(cn !== '*' || serviceName !== '*', 'at least one of cn/serviceName should be provided');
-    self.blockingTable[cn + '~~' + serviceName] = Date.now();
+    var key = cn + '~~' + serviceName;
+    if (endpoint) {
+        key += '~~' + endpoint;
+    }
+    self.removeKillSwitch(key);
+    self.pruneKillSwitchTombstones(now);
+    self.killSwitchTombstones[key] = new KillSwitchTombstone(
+        self.nextKillSwitchVersion(), self.channel.hostPort
+    );
+    self.killSwitchChangeEvent.emit(self, self.getKillSwitchState());
 };
 
-ServiceDispatchHandler.prototype.unblock =
-function unblock(cn, serviceName) {
+ServiceDispatchHandler.prototype.removeKillSwitch =
+function removeKillSwitch(key) {
     var self = this;
     if (!self.blockingTable) {
         return;
     }
 
-    cn = cn || '*';
-    serviceName = serviceName || '*';
-    delete self.blockingTable[cn + '~~' + serviceName];
+    delete self.blockingTable[key];
     if (Object.keys(self.blockingTable).length === 0) {
         self.blockingTable = null;
     }
+    self.updateBlockingEndpoints();
+};
+
+ServiceDispatchHandler.prototype.pruneKillSwitchTombstones =
+function pruneKillSwitchTombstones(now) {
+    var self = this;
+
+    var keys = Object.keys(self.killSwitchTombstones);
+    for (var i = 0; i < keys.length; i++) {
+        if (self.killSwitchTombstones[keys[i]].version <
+            now - KILL_SWITCH_TOMBSTONE_TTL) {
+            delete self.killSwitchTombstones[keys[i]];
+        }
+    }
+};
+
+// The kill switches set through kill_switch_v1 are shared by the cluster.
+// Every block and unblock has its own version, and nodes keep the newest
+// change to each kill switch they hear of, so that changes made on different
+// nodes at the same time are all kept. Versions are timestamps, with the
+// hostPort of the node that made them breaking ties.
+ServiceDispatchHandler.prototype.nextKillSwitchVersion =
+function nextKillSwitchVersion() {
+    var self = this;
+
+    self.killSwitchVersion = Math.max(
+        self.channel.timers.now(), self.killSwitchVersion + 1
+    );
+    return self.killSwitchVersion;
+};
+
+ServiceDispatchHandler.prototype.getKillSwitchState =
+function getKillSwitchState() {
+    var self = this;
+
+    return {
+        version: self.killSwitchVersion,
+        blockingTable: self.blockingTable || null,
+        unblocked: self.killSwitchTombstones
+    };
+};
+
+// Merges the kill switches of another node into these; returns whether any
+// change of theirs was newer, and so adopted
+ServiceDispatchHandler.prototype.setKillSwitchState =
+function setKillSwitchState(state) {
+    var self = this;
+    var now = self.channel.timers.now();
+
+    var adopted = self.mergeKillSwitchEntries(state.blockingTable || {}, now)
+        .concat(self.mergeKillSwitchTombstones(state.unblocked || {}));
+
+    // later changes made here must be newer than the ones adopted
+    self.killSwitchVersion = Math.max(
+        self.killSwitchVersion, state.version || 0
+    );
+    if (!adopted.length) {
+        return false;
+    }
+
+    self.pruneKillSwitchTombstones(now);
+    self.updateBlockingEndpoints();
+    self.killSwitchChangeEvent.emit(self, self.getKillSwitchState());
+
+    self.logger.info('adopted kill switches', self.extendLogInfo({
+        killSwitchVersion: self.killSwitchVersion,
+        killSwitches: adopted
+    }));
+    return true;
+};
+
+ServiceDispatchHandler.prototype.mergeKillSwitchEntries =
+function mergeKillSwitchEntries(blockingTable, now) {
+    var self = this;
+
+    var adopted = [];
+    var keys = Object.keys(blockingTable);
+    for (var i = 0; i < keys.length; i++) {
+        var entry = KillSwitchEntry.fromJSON(blockingTable[keys[i]]);
+        if ((entry.expiresAt === null || entry.expiresAt > now) &&
+            self.isNewerKillSwitchChange(keys[i], entry)) {
+            self.blockingTable = self.blockingTable || {};
+            self.blockingTable[keys[i]] = entry;
+            delete self.killSwitchTombstones[keys[i]];
+            adopted.push(keys[i]);
+        }
+    }
+    return adopted;
+};
+
+ServiceDispatchHandler.prototype.mergeKillSwitchTombstones =
+function mergeKillSwitchTombstones(tombstones) {
+    var self = this;
+
+    var adopted = [];
+    var keys = Object.keys(tombstones);
+    for (var i = 0; i < keys.length; i++) {
+        var tombstone = new KillSwitchTombstone(
+            tombstones[keys[i]].version, tombstones[keys[i]].origin
+        );
+        if (self.isNewerKillSwitchChange(keys[i], tombstone)) {
+            self.removeKillSwitch(keys[i]);
+            self.killSwitchTombstones[keys[i]] = tombstone;
+            adopted.push(keys[i]);
+        }
+    }
+    return adopted;
+};
+
+ServiceDispatchHandler.prototype.isNewerKillSwitchChange =
+function isNewerKillSwitchChange(key, change) {
+    var self = this;
+
+    var current = (self.blockingTable && self.blockingTable[key]) ||
+        self.killSwitchTombstones[key];
+    return !current || isNewerChange(change, current);
 };
 
+// options: {endpoint, percent}
 ServiceDispatchHandler.prototype.blockRemoteConfig =
-function blockRemoteConfig(cn, serviceName) {
+function blockRemoteConfig(cn, serviceName, options) {
     var self = this;
-    cn = cn || '*';
-    serviceName = serviceName || '*';
+    options = options || {};
     self.blockingTableRemoteConfig = self.blockingTableRemoteConfig || {};
-    assert(cn !== '*' || serviceName !== '*', 'at least one of cn/serviceName should be provided');
-    self.blockingTableRemoteConfig[cn + '~~' + serviceName] = Date.now();
+    self.blockingTableRemoteConfig[killSwitchKey(cn, serviceName, options.endpoint)] =
+        new KillSwitchEntry(self.channel.timers.now(), {
+            percent: options.percent,
+            operator: 'remote config'
+        });
+    self.updateBlockingEndpoints();
 };
 
 ServiceDispatchHandler.prototype.unblockAllRemoteConfig =
 function unblockAllRemoteConfig() {
     var self = this;
     self.blockingTableRemoteConfig = null;
+    self.updateBlockingEndpoints();
+};
+
+// The lazy path only reads arg1 for kill switches if there are endpoint ones;
+// returns null if arg1 cannot be read lazily
+ServiceDispatchHandler.prototype.readKillSwitchEndpoint =
+function readKillSwitchEndpoint(reqFrame) {
+    var self = this;
+    if (!self.blockingEndpoints) {
+        return '';
+    }
+    return reqFrame.bodyRW.lazy.readArg1Str(reqFrame);
+};
+
+ServiceDispatchHandler.prototype.updateBlockingEndpoints =
+function updateBlockingEndpoints() {
+    var self = this;
+    self.blockingEndpoints = hasEndpointKey(self.blockingTable) ||
+        hasEndpointKey(self.blockingTableRemoteConfig);
 };
 
 ServiceDispatchHandler.prototype.isExitFor =
@@ -1488,8 +2706,23 @@ function destroy() {
     self.peerConnecter.stop();
     self.peerReaper.stop();
     self.servicePurger.stop();
+    self.killSwitchExpirer.stop();
     self.statEmitter.stop();
+    self.outlierDetector.destroy();
+    self.concurrencyLimiter.destroy();
     self.rateLimiter.destroy();
+    self.clearFaultDelays();
+};
+
+ServiceDispatchHandler.prototype.clearFaultDelays =
+function clearFaultDelays() {
+    var self = this;
+
+    var ids = Object.keys(self.faultDelays);
+    for (var i = 0; i < ids.length; i++) {
+        self.channel.timers.clearTimeout(self.faultDelays[ids[i]]);
+    }
+    self.faultDelays = Object.create(null);
 };
 
 ServiceDispatchHandler.prototype.initCircuits =
@@ -1505,8 +2738,64 @@ function initCircuits() {
         egressNodes: self.egressNodes,
         config: self.circuitsConfig,
         shorts: self.circuitShorts,
-        codeNamesTable: self.circuitsCodeNames
+        codeNamesTable: self.circuitsCodeNames,
+        servicesConfig: self.circuitsServicesConfig,
+        sendProbe: sendCircuitProbe
+    });
+
+    function sendCircuitProbe(circuit, endpoint, timeout, callback) {
+        self.sendCircuitProbe(circuit, endpoint, timeout, callback);
+    }
+};
+
+// Calls the probe endpoint of the service of an unhealthy circuit from the
+// relay itself, so that the circuit can recover without caller traffic.
+ServiceDispatchHandler.prototype.sendCircuitProbe =
+function sendCircuitProbe(circuit, endpoint, timeout, callback) {
+    var self = this;
+
+    // the circuits of a service may outlive its exit sub channel; the probe
+    // still has to finish so that the circuits waiting on it are told
+    var serviceChannel = self.channel.subChannels[circuit.serviceName];
+    if (!serviceChannel || serviceChannel.serviceProxyMode !== 'exit') {
+        callback(false);
+        return;
+    }
+
+    var probeReq = serviceChannel.request({
+        serviceName: circuit.serviceName,
+        timeout: timeout,
+        headers: {
+            cn: 'hyperbahn',
+            as: 'raw'
+        },
+        hasNoParent: true,
+        trace: false,
+        retryFlags: {
+            never: true,
+            onConnectionError: false,
+            onTimeout: false
+        }
     });
+    probeReq.send(endpoint, '', '', onProbeResponse);
+
+    function onProbeResponse(err, res) {
+        callback(!err && res.ok);
+    }
+};
+
+ServiceDispatchHandler.prototype.updateCircuitServicesConfig =
+function updateCircuitServicesConfig(servicesConfig) {
+    var self = this;
+
+    if (typeof servicesConfig !== 'object' || servicesConfig === null) {
+        servicesConfig = {};
+    }
+    self.circuitsServicesConfig = servicesConfig;
+
+    if (self.circuits) {
+        self.circuits.updateConfig(servicesConfig);
+    }
 };
 
 ServiceDispatchHandler.prototype.updateCircuitCodeNames =
@@ -1557,7 +2846,7 @@ function enableCircuits() {
     for (var index = 0; index < serviceNames.length; index++) {
         var serviceName = serviceNames[index];
         var subChannel = self.channel.subChannels[serviceName];
-        if (subChannel.handler.type === 'tchannel.relay-handler' &&
+        if (subChannel.handler instanceof ServiceRelayHandler &&
             subChannel.serviceProxyMode === 'exit'
         ) {
             subChannel.handler.circuits = self.circuits;
@@ -1583,7 +2872,7 @@ function disableCircuits() {
     for (var index = 0; index < serviceNames.length; index++) {
         var serviceName = serviceNames[index];
         var subChannel = self.channel.subChannels[serviceName];
-        if (subChannel.handler.type === 'tchannel.relay-handler' &&
+        if (subChannel.handler instanceof ServiceRelayHandler &&
             subChannel.serviceProxyMode === 'exit'
         ) {
             subChannel.handler.circuits = null;
@@ -1825,6 +3114,92 @@ function implement() {
 
 module.exports = ServiceDispatchHandler;
 
+function KillSwitchEntry(now, options) {
+    this.blockedAt = now;
+    this.expiresAt = typeof options.ttl === 'number' && options.ttl > 0 ?
+        now + options.ttl : null;
+    this.percent = typeof options.percent === 'number' ?
+        Math.min(100, Math.max(0, options.percent)) : 100;
+    this.reason = options.reason || null;
+    this.operator = options.operator || null;
+    this.version = 0;
+    this.origin = null;
+}
+
+KillSwitchEntry.fromJSON = function fromJSON(entry) {
+    var killSwitch = new KillSwitchEntry(entry.blockedAt, {
+        percent: entry.percent,
+        reason: entry.reason,
+        operator: entry.operator
+    });
+    killSwitch.expiresAt = typeof entry.expiresAt === 'number' ?
+        entry.expiresAt : null;
+    killSwitch.version = entry.version || 0;
+    killSwitch.origin = entry.origin || null;
+    return killSwitch;
+};
+
+// random :: () => Number in [0, 1), the handler's self.random
+KillSwitchEntry.prototype.dropsRequest =
+function dropsRequest(random) {
+    return this.percent >= 100 || random() * 100 < this.percent;
+};
+
+function KillSwitchTombstone(version, origin) {
+    this.version = version || 0;
+    this.origin = origin || null;
+}
+
+// kill switch entries and tombstones are both changes with a version
+function isNewerChange(change, other) {
+    return change.version > other.version ||
+        (change.version === other.version &&
+            String(change.origin) > String(other.origin));
+}
+
+function killSwitchKey(cn, serviceName, endpoint) {
+    cn = cn || '*';
+    serviceName = serviceName || '*';
+    assert(cn !== '*' || serviceName !== '*', 'at least one of cn/serviceName should be provided');
+    if (!endpoint) {
+        return cn + '~~' + serviceName;
+    }
+    assert(serviceName !== '*', 'serviceName should be provided with an endpoint');
+    return cn + '~~' + serviceName + '~~' + endpoint;
+}
+
+function shouldDrop(table, cn, serviceName, endpoint, random) {
+    if (!table) {
+        return false;
+    }
+
+    return entryDropsRequest(table[cn + '~~' + serviceName], random) ||
+        entryDropsRequest(table['*~~' + serviceName], random) ||
+        entryDropsRequest(table[cn + '~~*'], random) ||
+        (!!endpoint && (
+            entryDropsRequest(table[cn + '~~' + serviceName + '~~' + endpoint], random) ||
+            entryDropsRequest(table['*~~' + serviceName + '~~' + endpoint], random)
+        ));
+}
+
+function entryDropsRequest(entry, random) {
+    return !!entry && entry.dropsRequest(random);
+}
+
+function hasEndpointKey(table) {
+    if (!table) {
+        return false;
+    }
+
+    var keys = Object.keys(table);
+    for (var i = 0; i < keys.length; i++) {
+        if (keys[i].split('~~').length === 3) {
+            return true;
+        }
+    }
+    return false;
+}
+
 function addIndexEntry(index, keya, keyb, value) {
     var level = index[keya];
     if (!level) {
@@ -1844,6 +3219,28 @@ function deleteIndexEntry(index, keya, keyb) {
     }
 }
 
+function isValidTTL(ttl) {
+    return typeof ttl === 'number' && isFinite(ttl) && ttl >= 0;
+}
+
+// Returns the reason the ttl limits of a service are invalid, or null
+function validateTTLLimits(limits) {
+    if (typeof limits !== 'object' || limits === null ||
+        Array.isArray(limits)) {
+        return 'expected an object';
+    }
+    if (limits.maximum !== undefined && !isValidTTL(limits.maximum)) {
+        return 'maximum must be a non-negative number';
+    }
+    if (limits.minimum !== undefined && !isValidTTL(limits.minimum)) {
+        return 'minimum must be a non-negative number';
+    }
+    if (limits.maximum && limits.minimum > limits.maximum) {
+        return 'minimum must not exceed maximum';
+    }
+    return null;
+}
+
 /* eslint-disable guard-for-in, no-unused-vars */
 
 function isObjectEmpty(obj) {
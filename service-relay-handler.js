@@ -0,0 +1,112 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var util = require('util');
+var RelayHandler = require('tchannel/relay_handler');
+var LazyRelayInReq = require('tchannel/lazy_relay.js').LazyRelayInReq;
+
+var HedgePolicy = require('./hedging.js');
+
+module.exports = ServiceRelayHandler;
+
+/*  ServiceRelayHandler is the RelayHandler installed on every service
+    channel. It differs from the tchannel one only in how a peer is chosen:
+    rather than asking the sub channel peers directly it asks the service
+    dispatch handler, which may narrow the choice (e.g. traffic splits), and
+    in letting the service dispatch handler observe the request once the peer
+    is chosen (e.g. outlier detection). Requests to idempotent endpoints may
+    be hedged, see HedgePolicy.
+*/
+function ServiceRelayHandler(channel, circuits, serviceProxy) {
+    RelayHandler.call(this, channel, circuits);
+    this.serviceProxy = serviceProxy;
+}
+
+util.inherits(ServiceRelayHandler, RelayHandler);
+
+ServiceRelayHandler.prototype.type = 'hyperbahn.service-relay-handler';
+
+ServiceRelayHandler.prototype.handleLazily =
+function handleLazily(conn, reqFrame) {
+    var self = this;
+
+    if (!self.lazyEnabled) {
+        return false;
+    }
+
+    var rereq = LazyRelayInReq.alloc();
+    rereq.reset(conn, reqFrame);
+
+    var err = rereq.initRead();
+    if (err) {
+        rereq.onReadError(err);
+        return true;
+    }
+
+    rereq.peer = self.serviceProxy.chooseRelayPeer(self.channel, null);
+    if (!rereq.peer) {
+        rereq.sendErrorFrame('Declined', 'no peer available for request');
+        self.logger.info('no relay peer available', rereq.extendLogInfo({}));
+        rereq.free();
+        return true;
+    }
+
+    self.serviceProxy.observeRelayRequest(self.channel, rereq, rereq.peer);
+    self.serviceProxy.observeHedgeLatency(self.channel, rereq);
+
+    conn.ops.addInReq(rereq);
+    rereq.createOutRequest();
+
+    return true;
+};
+
+ServiceRelayHandler.prototype.handleRequest =
+function handleRequest(req, buildRes) {
+    var self = this;
+
+    req.forwardTrace = true;
+
+    var peer = self.serviceProxy.chooseRelayPeer(self.channel, req);
+    if (!peer) {
+        buildRes().sendError('Declined', 'no peer available for request');
+        self.logger.info('no relay peer available', req.extendLogInfo({}));
+        return;
+    }
+
+    var policy = self.serviceProxy.getHedgePolicy(self.channel, req);
+    if (policy) {
+        // the HedgedRequest charges each of its out requests to its peer
+        self.serviceProxy.observeRelayRequest(self.channel, req, null);
+        var hedged = new HedgePolicy.HedgedRequest(
+            self.channel, self.serviceProxy, policy, req, buildRes
+        );
+        hedged.send(peer, policy.getDelay(req.endpoint));
+        return;
+    }
+    self.serviceProxy.observeRelayRequest(self.channel, req, peer);
+    self.serviceProxy.observeHedgeLatency(self.channel, req);
+
+    var rereq = new RelayHandler.RelayRequest(
+        self.channel, peer, req, buildRes
+    );
+    rereq.createOutRequest();
+};
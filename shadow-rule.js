@@ -0,0 +1,105 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+module.exports = ShadowRule;
+
+/*  A ShadowRule mirrors a percentage of the requests for one service to a
+    shadow service; the shadow response is discarded:
+
+    options :: {
+        shadowService :: String,
+        percentage    :: Number,         // 0 to 100
+        callerNames   :: ?Array<String>, // only these callers, default all
+        endpoints     :: ?Array<String>  // only these endpoints, default all
+    }
+*/
+function ShadowRule(serviceName, options) {
+    this.serviceName = serviceName;
+    this.shadowService = options.shadowService;
+    this.percentage = options.percentage;
+    this.callerNames = options.callerNames || null;
+    this.endpoints = options.endpoints || null;
+}
+
+// Returns the reason the options are invalid, or null
+ShadowRule.validate = function validate(serviceName, options) {
+    if (typeof options !== 'object' || options === null) {
+        return 'expected an object';
+    }
+
+    if (typeof options.shadowService !== 'string' ||
+        options.shadowService === '') {
+        return 'shadowService must be a non-empty string';
+    }
+
+    if (options.shadowService === serviceName) {
+        return 'cannot shadow a service to itself';
+    }
+
+    if (typeof options.percentage !== 'number' ||
+        !(options.percentage >= 0 && options.percentage <= 100)) {
+        return 'percentage must be a number between 0 and 100';
+    }
+
+    if (!isOptionalStringList(options.callerNames)) {
+        return 'callerNames must be a list of strings';
+    }
+
+    if (!isOptionalStringList(options.endpoints)) {
+        return 'endpoints must be a list of strings';
+    }
+
+    return null;
+};
+
+// Whether the caller may be shadowed at all; used on the lazy path where the
+// endpoint is not read yet.
+ShadowRule.prototype.matchesCaller =
+function matchesCaller(callerName) {
+    return this.callerNames === null ||
+        this.callerNames.indexOf(callerName) !== -1;
+};
+
+ShadowRule.prototype.matches =
+function matches(callerName, endpoint) {
+    return this.matchesCaller(callerName) && (
+        this.endpoints === null ||
+        this.endpoints.indexOf(endpoint) !== -1
+    );
+};
+
+function isOptionalStringList(list) {
+    if (list === undefined || list === null) {
+        return true;
+    }
+
+    if (!Array.isArray(list)) {
+        return false;
+    }
+
+    for (var i = 0; i < list.length; i++) {
+        if (typeof list[i] !== 'string') {
+            return false;
+        }
+    }
+    return true;
+}
@@ -26,7 +26,14 @@ var clean = BatchStatsd.clean;
 module.exports = {
     RateLimiterServiceTags: RateLimiterServiceTags,
     RateLimiterEdgeTags: RateLimiterEdgeTags,
-    RateLimiterEmptyTags: RateLimiterEmptyTags
+    RateLimiterEmptyTags: RateLimiterEmptyTags,
+    RateLimiterShadowTags: RateLimiterShadowTags,
+    RateLimiterPriorityTags: RateLimiterPriorityTags,
+    TrafficSplitTags: TrafficSplitTags,
+    ServiceTags: ServiceTags,
+    ShadowTags: ShadowTags,
+    RoutingRuleTags: RoutingRuleTags,
+    FaultInjectionTags: FaultInjectionTags
 };
 
 function RateLimiterServiceTags(serviceName) {
@@ -65,6 +72,46 @@ RateLimiterEdgeTags.prototype.toStatKey = function toStatKey(prefix) {
         clean(self.edgeName, 'no-edge-name');
 };
 
+function RateLimiterShadowTags(serviceName, reason) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.targetService = serviceName;
+    self.reason = reason;
+}
+
+RateLimiterShadowTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.targetService, 'no-target-service') + '.' +
+        clean(self.reason, 'no-reason');
+};
+
+function RateLimiterPriorityTags(serviceName, priority) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.targetService = serviceName;
+    self.priority = priority;
+}
+
+RateLimiterPriorityTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.targetService, 'no-target-service') + '.' +
+        clean(self.priority, 'no-priority');
+};
+
 function RateLimiterEmptyTags() {
     var self = this;
 
@@ -77,3 +124,99 @@ function RateLimiterEmptyTags() {
 RateLimiterEmptyTags.prototype.toStatKey = function toStatKey(prefix) {
     return prefix;
 };
+
+function TrafficSplitTags(serviceName, version) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.targetService = serviceName;
+    self.splitVersion = version;
+}
+
+TrafficSplitTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.targetService, 'no-target-service') + '.' +
+        clean(self.splitVersion, 'no-version');
+};
+
+function ServiceTags(serviceName) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.targetService = serviceName;
+}
+
+ServiceTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.targetService, 'no-target-service');
+};
+
+function ShadowTags(serviceName, shadowService) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.targetService = serviceName;
+    self.shadowService = shadowService;
+}
+
+ShadowTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.targetService, 'no-target-service') + '.' +
+        clean(self.shadowService, 'no-shadow-service');
+};
+
+function RoutingRuleTags(ruleName) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.ruleName = ruleName;
+}
+
+RoutingRuleTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.ruleName, 'no-rule-name');
+};
+
+function FaultInjectionTags(faultName, kind) {
+    var self = this;
+
+    self.app = null;
+    self.host = null;
+    self.cluster = null;
+    self.version = null;
+
+    self.faultName = faultName;
+    self.kind = kind;
+}
+
+FaultInjectionTags.prototype.toStatKey = function toStatKey(prefix) {
+    var self = this;
+
+    return prefix + '.' +
+        clean(self.faultName, 'no-fault-name') + '.' +
+        self.kind;
+};
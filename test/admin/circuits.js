@@ -0,0 +1,128 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var Admin = require('../../bin/admin.js');
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('force a circuit unhealthy and reset it', {
+    size: 2,
+    kValue: 1,
+    remoteConfig: {
+        'circuits.enabled': true
+    },
+    seedConfig: {
+        'hyperbahn.circuits': {
+            period: 100,
+            maxErrorRate: 0.5,
+            minRequests: 5,
+            probation: 5,
+            enabled: true
+        }
+    }
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+
+    cluster.logger.whitelist('info', 'circuit event: unhealthy');
+    cluster.logger.whitelist('info', 'circuit event: healthy');
+    cluster.logger.whitelist('warn', 'forwarding error frame');
+
+    Admin.exec('circuits unhealthy bob~~steve~~echo --ttl 60000', {
+        hosts: cluster.hostPortList
+    }, function onForce(err, arr) {
+        assert.ifError(err);
+
+        assert.equal(arr.length, 0);
+
+        Admin.exec('circuits query', {
+            hosts: cluster.hostPortList
+        }, onQuery);
+    });
+
+    function onQuery(err, results) {
+        assert.ifError(err);
+
+        assert.equal(results.length, cluster.hostPortList.length);
+        for (var i = 0; i < results.length; i++) {
+            var str = results[i].toString();
+            assert.ok(str.indexOf('bob ==> steve echo: unhealthy (pinned until') >= 0,
+                'circuit is pinned unhealthy');
+        }
+
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            hasNoParent: true
+        }).send('echo', null, JSON.stringify('oh hi lol'), onDeclined);
+    }
+
+    function onDeclined(err) {
+        assert.equal(err && err.type, 'tchannel.declined',
+            'pinned circuit declines');
+
+        Admin.exec('circuits reset bob~~steve~~echo', {
+            hosts: cluster.hostPortList
+        }, onReset);
+    }
+
+    function onReset(err) {
+        assert.ifError(err);
+
+        Admin.exec('circuits query --json --history', {
+            hosts: cluster.hostPortList
+        }, onResetQuery);
+    }
+
+    function onResetQuery(err, results) {
+        assert.ifError(err);
+
+        var circuits = JSON.parse(results[0].toJson()).circuits;
+        assert.equal(circuits.length, 1);
+        assert.equal(circuits[0].healthy, false, 'reset keeps the state');
+        assert.equal(circuits[0].pinnedUntil, null, 'reset unpins');
+
+        var history = circuits[0].history;
+        assert.equal(history[history.length - 2].state, 'tchannel.unhealthy',
+            'history has the forced transition');
+        assert.equal(history[history.length - 2].forced, true,
+            'forced transition is marked');
+
+        Admin.exec('circuits healthy bob~~steve~~echo', {
+            hosts: cluster.hostPortList
+        }, onHealthy);
+    }
+
+    function onHealthy(err) {
+        assert.ifError(err);
+
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            hasNoParent: true
+        }).send('echo', null, JSON.stringify('oh hi lol'), onForwarded);
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err);
+        assert.equal(String(arg3), JSON.stringify('oh hi lol'),
+            'healthy circuit forwards');
+
+        assert.end();
+    }
+});
@@ -65,3 +65,28 @@ allocCluster.test('set kill switch and forward', {
         assert.end();
     }
 });
+
+allocCluster.test('set kill switch with ttl and reason', {
+    size: 1
+}, function t(cluster, assert) {
+    Admin.exec('kill-switch --block *~~steve --ttl 60000 --reason outage --operator alice', {
+        hosts: cluster.hostPortList
+    }, function onBlock(err) {
+        assert.ifError(err);
+
+        Admin.exec('kill-switch query', {
+            hosts: cluster.hostPortList
+        }, onQuery);
+    });
+
+    function onQuery(err, results) {
+        assert.ifError(err);
+
+        var str = results[0].toString();
+        assert.ok(str.indexOf('* ==> steve (blocked at ') >= 0, 'shows the kill switch');
+        assert.ok(str.indexOf(' by alice: outage, expires at ') >= 0,
+            'shows who set it, why and when it expires');
+
+        assert.end();
+    }
+});
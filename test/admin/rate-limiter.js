@@ -250,3 +250,98 @@ allocCluster.test('set exempt service and forward', {
         assert.end();
     }
 });
+
+allocCluster.test('set edge rate limiter and forward', {
+    size: 1,
+    whitelist: [
+        ['info', 'hyperbahn edge is rate-limited by the edge rps limit']
+    ],
+    remoteConfig: {
+        'rateLimiting.enabled': true,
+        'rateLimiting.totalRpsLimit': 1000,
+        'rateLimiting.rpsLimitForServiceName': {
+            'steve': 10
+        },
+        'rateLimiting.exemptServices': [
+            'hyperbahn',
+            'ringpop',
+            'tcollector'
+        ]
+    }
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+
+    Admin.exec('rate-limiter edge-limit bob~~steve 1', {
+        hosts: cluster.hostPortList
+    }, function onSet(err, arr) {
+        assert.ifError(err);
+        assert.equal(arr.length, 0);
+
+        Admin.exec('rate-limiter query', {
+            hosts: cluster.hostPortList
+        }, onQuery);
+    });
+
+    function onQuery(err, results) {
+        assert.ifError(err);
+
+        for (var i = 0; i < results.length; i++) {
+            var result = results[i];
+            assert.equal(result.settings.rpsLimitForEdge['bob~~steve'], 1, 'set edge limit should work');
+            assert.equal(result.settings.rpsLimitForServiceName.steve, 10, 'set edge limit should not affect others');
+        }
+
+        forward();
+    }
+
+    var count = 0;
+    function forward() {
+        var cb;
+        if (count++ <= 1) {
+            cb = forward;
+        } else {
+            cb = onForwarded;
+        }
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            timeout: 50
+        }).send('echo', null, JSON.stringify('oh hi lol'), cb);
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ok(err, 'should fail');
+        assert.equal(err && err.type, 'tchannel.busy',
+            'error type should be busy');
+        assert.equal(err && err.message,
+            'bob is rate-limited by the edge rps of 1 to steve',
+            'error message names the edge');
+
+        steve.clientChannel.request({
+            serviceName: 'steve',
+            timeout: 50
+        }).send('echo', null, JSON.stringify('oh hi lol'), onOtherCaller);
+    }
+
+    function onOtherCaller(err, res, arg2, arg3) {
+        assert.ifError(err, 'other callers are not limited');
+
+        Admin.exec('rate-limiter edge-limit bob~~steve default', {
+            hosts: cluster.hostPortList
+        }, onRemove);
+    }
+
+    function onRemove(err) {
+        assert.ifError(err);
+
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            timeout: 50
+        }).send('echo', null, JSON.stringify('oh hi lol'), onUnlimited);
+    }
+
+    function onUnlimited(err, res, arg2, arg3) {
+        assert.ifError(err, 'removed edge limit lets bob through');
+        assert.end();
+    }
+});
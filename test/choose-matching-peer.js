@@ -0,0 +1,90 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var chooseMatchingPeer = require('../lib/choose-matching-peer.js');
+
+function FakePeers(scores) {
+    this.peerScoreThreshold = 0;
+    this.scores = scores;
+    this.scanned = 0;
+    this.chosen = 0;
+}
+
+FakePeers.prototype.keys = function keys() {
+    return Object.keys(this.scores);
+};
+
+FakePeers.prototype.get = function get(hostPort) {
+    var self = this;
+
+    self.scanned++;
+    return {
+        hostPort: hostPort,
+        getScore: function getScore() {
+            return self.scores[hostPort];
+        }
+    };
+};
+
+FakePeers.prototype.choosePeer = function choosePeer(req) {
+    this.chosen += 1;
+    return {hostPort: 'heap'};
+};
+
+function RejectFilter(hostPort) {
+    this.hostPort = hostPort;
+}
+
+RejectFilter.prototype.accept = function accept(hostPort) {
+    return hostPort !== this.hostPort;
+};
+
+test('chooses the best peer every filter accepts', function t(assert) {
+    var peers = new FakePeers({a: 0.9, b: 0.5, c: 0.7});
+
+    assert.equal(chooseMatchingPeer(peers, null, [
+        new RejectFilter('a')
+    ]).hostPort, 'c', 'best accepted peer');
+    assert.equal(chooseMatchingPeer(peers, {
+        triedRemoteAddrs: {c: true}
+    }, [
+        new RejectFilter('a')
+    ]).hostPort, 'b', 'tried peers are skipped');
+    assert.equal(chooseMatchingPeer(peers, null, [
+        new RejectFilter('a'), new RejectFilter('b'), new RejectFilter('c')
+    ]), null, 'null when no peer is accepted');
+    assert.equal(peers.chosen, 0, 'scans the peers');
+
+    assert.end();
+});
+
+test('leaves the choice to the peers without filters', function t(assert) {
+    var peers = new FakePeers({a: 0.9, b: 0.5});
+
+    assert.equal(chooseMatchingPeer(peers, null, []).hostPort, 'heap',
+        'chosen by the peers');
+    assert.equal(peers.scanned, 0, 'no peer is scanned');
+
+    assert.end();
+});
@@ -20,6 +20,7 @@
 
 'use strict';
 
+var timers = require('timers');
 var debugLogtron = require('debug-logtron');
 var MockTimers = require('time-mock');
 var CountedReadySignal = require('ready-signal/counted');
@@ -62,6 +63,47 @@ var aliceBobCharlie = {
     }
 };
 
+var aliceAndSlowBob = {
+    timers: new MockTimers(1e9),
+    clusterOptions: {
+        logger: debugLogtron('tchannel', {enabled: false})
+    },
+    serviceNames: ['alice', 'bob'],
+    numInstancesPerService: 1,
+    numRelays: 1,
+    kValue: 1,
+    circuitsConfig: {
+        enabled: true,
+        period: 500,
+        latencyThreshold: 20,
+        maxSlowRate: 0.1
+    },
+    remoteConfig: {
+        'circuits.enabled': true
+    }
+};
+
+var aliceAndProbedBob = {
+    timers: new MockTimers(1e9),
+    clusterOptions: {
+        logger: debugLogtron('tchannel', {enabled: false})
+    },
+    serviceNames: ['alice', 'bob'],
+    numInstancesPerService: 1,
+    numRelays: 1,
+    kValue: 1,
+    circuitsConfig: {
+        enabled: true,
+        period: 500,
+        probation: 2,
+        probeCallers: [],
+        probeEndpoint: 'health'
+    },
+    remoteConfig: {
+        'circuits.enabled': true
+    }
+};
+
 RelayNetwork.test('should switch to unhealthy', aliceAndBob, function t(network, assert) {
 
     network.register('call', function onCall(req, res) {
@@ -110,6 +152,50 @@ RelayNetwork.test('should switch to unhealthy', aliceAndBob, function t(network,
     }
 });
 
+RelayNetwork.test('records state transitions', aliceAndBob, function t(network, assert) {
+
+    network.register('call', function onCall(req, res) {
+        res.sendError('UnexpectedError', 'head splode');
+    });
+
+    network.exercise(20, 100, eachRequest, null, onCompletion);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    function onCompletion(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        var history = circuit.history.toArray();
+        assert.equals(history.length, 2, 'two transitions');
+        assert.equals(history[0].oldState, 'none', 'starts from none');
+        assert.equals(history[0].state, 'tchannel.healthy', 'to healthy');
+        assert.equals(history[1].oldState, 'tchannel.healthy', 'from healthy');
+        assert.equals(history[1].state, 'tchannel.unhealthy', 'to unhealthy');
+        assert.equals(history[1].forced, false, 'not forced');
+        assert.ok(history[1].counts.errorRate > 0.5, 'records the error rate');
+        assert.ok(history[1].duration > 0, 'records the time spent healthy');
+
+        for (var i = 0; i < 25; i++) {
+            circuit.force(i % 2 ? 'healthy' : 'unhealthy');
+        }
+        history = circuit.history.toArray();
+        assert.equals(history.length, 20, 'history is bounded');
+        assert.equals(history[19].state, 'tchannel.unhealthy', 'newest last');
+        assert.equals(history[19].forced, true, 'forced transition');
+        assert.equals(history[18].state, 'tchannel.healthy', 'in order');
+
+        assert.end();
+    }
+});
+
 RelayNetwork.test('switches to unhealthy on timeout', aliceAndBob, function t(network, assert) {
 
     network.register('call', function onCall(req, res) {
@@ -153,6 +239,184 @@ RelayNetwork.test('switches to unhealthy on timeout', aliceAndBob, function t(ne
     }
 });
 
+RelayNetwork.test('switches to unhealthy on slow responses', aliceAndSlowBob, function t(network, assert) {
+
+    network.register('call', function onCall(req, res) {
+        network.timers.advance(50);
+        res.headers.as = 'raw';
+        res.sendOk('tiny head', 'HUGE BODY');
+    });
+
+    network.exercise(100, 11, eachRequest, eachResponse, onCompletion);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    var ok = 0;
+    var unhealthy = 0;
+
+    function eachResponse(err, res) {
+        if (!err) {
+            ok++;
+        } else if (err.codeName === 'Unhealthy') {
+            unhealthy++;
+        }
+    }
+
+    function onCompletion(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.ok(ok > 0, 'slow responses still succeed at first');
+        assert.ok(unhealthy > 0, 'should decline once unhealthy');
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        assert.equals(circuit.state.type, 'tchannel.unhealthy', 'should switch to unhealthy');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('does not become unhealthy on fast responses', aliceAndSlowBob, function t(network, assert) {
+
+    network.register('call', function onCall(req, res) {
+        network.timers.advance(5);
+        res.headers.as = 'raw';
+        res.sendOk('tiny head', 'HUGE BODY');
+    });
+
+    network.exercise(100, 11, eachRequest, null, onCompletion);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    function onCompletion(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        assert.equals(circuit.state.type, 'tchannel.healthy', 'still healthy');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('per-service config overrides the global config', aliceAndBob, function t(network, assert) {
+
+    network.relayChannels[0].handler.updateCircuitServicesConfig({
+        bob: {
+            maxErrorRate: 1
+        }
+    });
+
+    network.register('call', function onCall(req, res) {
+        res.sendError('UnexpectedError', 'we always fail');
+    });
+
+    network.exercise(100, 11, eachRequest, null, onCompletion);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    function onCompletion(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        assert.equals(circuit.state.type, 'tchannel.healthy', 'still healthy');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('per-service config applies to existing circuits', aliceAndBob, function t(network, assert) {
+
+    network.register('call', function onCall(req, res) {
+        res.headers.as = 'raw';
+        res.sendOk('tiny head', 'HUGE BODY');
+    });
+
+    network.exercise(10, 11, eachRequest, null, onCompletion);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    function onCompletion(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        var state = circuit.state;
+        var totalRequests = state.totalRequests;
+
+        network.relayChannels[0].handler.updateCircuitServicesConfig({
+            bob: {
+                maxErrorRate: 0.2,
+                period: 2000
+            },
+            'alice~bob~call': {
+                maxErrorRate: 0.1
+            },
+            'alice~bob~other': {
+                maxErrorRate: 0.9
+            }
+        });
+
+        assert.equals(circuit.state, state, 'state is kept');
+        assert.equals(state.totalRequests, totalRequests, 'counts are kept');
+        assert.equals(state.maxErrorRate, 0.1, 'most specific override wins');
+        assert.equals(state.period, 2000, 'service override applies');
+
+        network.relayChannels[0].handler.updateCircuitServicesConfig({});
+        assert.equals(state.maxErrorRate, 0.5, 'removing overrides restores defaults');
+        assert.equals(state.period, 500, 'global period is restored');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('per-service config takes the old minimumRequests name', aliceAndBob, function t(network, assert) {
+    var handler = network.relayChannels[0].handler;
+    var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+
+    handler.updateCircuitServicesConfig({
+        bob: {
+            minimumRequests: 7
+        }
+    });
+    assert.equals(circuit.state.minRequests, 7, 'minimumRequests sets minRequests');
+
+    handler.updateCircuitServicesConfig({
+        bob: {
+            minimumRequests: 7,
+            minRequests: 3
+        }
+    });
+    assert.equals(circuit.state.minRequests, 3, 'minRequests wins');
+
+    assert.end();
+});
+
 RelayNetwork.test('switches to unhealthy on service connection reset', aliceAndBob, function t(network, assert) {
 
     network.register('call', function onCall(req, res) {
@@ -637,3 +901,183 @@ RelayNetwork.test('should be able to short circuits', aliceAndBob, function t(ne
         assert.end();
     }
 });
+
+RelayNetwork.test('recovers through synthetic probes only', aliceAndProbedBob, function t(network, assert) {
+
+    var calls = 0;
+    var probes = 0;
+
+    network.register('call', function onCall(req, res) {
+        calls++;
+        res.sendError('UnexpectedError', 'head splode');
+    });
+
+    network.register('health', function onHealth(req, res) {
+        probes++;
+        res.headers.as = 'raw';
+        res.sendOk('', '');
+    });
+
+    network.exercise(20, 100, eachRequest, null, onTripped);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    var callsWhenTripped;
+
+    function onTripped(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        assert.equals(circuit.state.type, 'tchannel.unhealthy', 'should switch to unhealthy');
+        assert.ok(calls < 20, 'callers may not probe');
+        callsWhenTripped = calls;
+
+        advance(10);
+    }
+
+    // lets each synthetic probe complete before the next period
+    function advance(count) {
+        if (!count) {
+            return onProbed();
+        }
+        network.timers.advance(600);
+        timers.setTimeout(advance, 20, count - 1);
+    }
+
+    function onProbed() {
+        var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+        assert.ok(probes >= 2, 'relay sends synthetic probes');
+        assert.equals(calls, callsWhenTripped, 'no caller traffic while unhealthy');
+        assert.equals(circuit.state.type, 'tchannel.healthy', 'recovers');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('circuits of a service share synthetic probes', aliceAndProbedBob, function t(network, assert) {
+
+    var probes = 0;
+    var count = 0;
+
+    network.register('call', function onCall(req, res) {
+        res.sendError('UnexpectedError', 'head splode');
+    });
+
+    network.register('other', function onOther(req, res) {
+        res.sendError('UnexpectedError', 'head splode');
+    });
+
+    network.register('health', function onHealth(req, res) {
+        probes++;
+        res.headers.as = 'raw';
+        res.sendOk('', '');
+    });
+
+    network.exercise(40, 100, eachRequest, null, onTripped);
+
+    function eachRequest(callback) {
+        network.send({
+            callerName: 'alice',
+            serviceName: 'bob'
+        }, count++ % 2 ? 'other' : 'call', 'tiny head', 'HUGE BODY', callback);
+    }
+
+    function onTripped(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.equals(network.getCircuit(0, 'alice', 'bob', 'call').state.type,
+            'tchannel.unhealthy', 'call should switch to unhealthy');
+        assert.equals(network.getCircuit(0, 'alice', 'bob', 'other').state.type,
+            'tchannel.unhealthy', 'other should switch to unhealthy');
+
+        advance(4);
+    }
+
+    function advance(periods) {
+        if (!periods) {
+            return onProbed();
+        }
+        network.timers.advance(600);
+        timers.setTimeout(advance, 20, periods - 1);
+    }
+
+    function onProbed() {
+        assert.equals(probes, 2, 'one probe per period until probation ends');
+        assert.equals(network.getCircuit(0, 'alice', 'bob', 'call').state.type,
+            'tchannel.healthy', 'call recovers');
+        assert.equals(network.getCircuit(0, 'alice', 'bob', 'other').state.type,
+            'tchannel.healthy', 'other recovers');
+
+        assert.end();
+    }
+});
+
+RelayNetwork.test('synthetic probes finish without an exit channel', aliceAndProbedBob, function t(network, assert) {
+    var circuits = network.relayChannels[0].handler.circuits;
+    var circuit = network.getCircuit(0, 'alice', 'nobody', 'call');
+    network.getCircuit(0, 'alice', 'bob', 'call');
+    var results = [];
+
+    circuits.probeService(circuit, 'health', 100, 500, onProbed);
+    circuits.probeService(circuit, 'health', 100, 500, onProbed);
+    assert.deepEqual(results, [false, false], 'every circuit asking is told');
+    assert.ok(circuits.serviceProbes['nobody~~health'], 'the probe is kept for the period');
+
+    var egressNodes = circuits.egressNodes;
+    circuits.egressNodes = {
+        isExitFor: function isExitFor(serviceName) {
+            return serviceName !== 'nobody';
+        }
+    };
+    circuits.updateServices();
+    circuits.egressNodes = egressNodes;
+
+    assert.notOk(circuits.circuitsByServiceName.$nobody, 'circuits of the service are gone');
+    assert.notOk(circuits.serviceProbes['nobody~~health'], 'and so is its probe');
+    assert.ok(circuits.circuitsByServiceName.$bob, 'other services are kept');
+
+    assert.end();
+
+    function onProbed(ok) {
+        results.push(ok);
+    }
+});
+
+RelayNetwork.test('a circuit pinned healthy starts clean when the pin expires', aliceAndBob, function t(network, assert) {
+    var circuit = network.getCircuit(0, 'alice', 'bob', 'call');
+    var i;
+
+    for (i = 0; i < 10; i++) {
+        circuit.state.onRequestUnhealthy();
+    }
+    circuit.force('healthy', 1000);
+    assert.equals(circuit.state.getCounts().unhealthyCount, 0,
+        'forcing starts the state with cleared counts');
+
+    for (i = 0; i < 10; i++) {
+        circuit.state.onRequestUnhealthy();
+    }
+    network.timers.advance(600);
+    assert.ok(circuit.state.shouldRequest(), 'accepts requests while pinned');
+    assert.equals(circuit.state.type, 'tchannel.healthy', 'stays healthy while pinned');
+
+    network.timers.advance(600);
+    assert.notOk(circuit.isPinned(), 'the pin expires');
+    assert.ok(circuit.state.shouldRequest(), 'accepts requests');
+    assert.equals(circuit.state.type, 'tchannel.healthy',
+        'errors from while it was pinned are not held against it');
+    var history = circuit.history.toArray();
+    assert.equals(history[history.length - 1].forced, true,
+        'the forced transition is the last');
+
+    assert.end();
+});
@@ -221,6 +221,37 @@ function warmupAndRequests(cluster, whenTheSmokeClears) {
     }
 }
 
+allocCluster.test('toggling circuits updates live exit channels', {
+    size: 1,
+    remoteConfig: {
+        'circuits.enabled': true
+    }
+}, function t(cluster, assert) {
+    var serviceProxy = cluster.apps[0].clients.serviceProxy;
+
+    installServer(cluster);
+    sendRequest(cluster, true, onExitChannel);
+
+    function onExitChannel(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var handler = serviceProxy.channel.subChannels.bob.handler;
+        assert.equals(handler.circuits, serviceProxy.circuits,
+            'exit channel starts with circuits');
+
+        serviceProxy.disableCircuits();
+        assert.notOk(handler.circuits, 'disabling removes the circuits');
+
+        serviceProxy.enableCircuits();
+        assert.equals(handler.circuits, serviceProxy.circuits,
+            'enabling attaches the circuits again');
+
+        assert.end();
+    }
+});
+
 function sendRequest(cluster, yes, callback) {
     var request = cluster.remotes.steve.clientChannel.request({
         serviceName: 'bob',
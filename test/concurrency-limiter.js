@@ -0,0 +1,186 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var ConcurrencyLimiter = require('../concurrency-limiter.js');
+
+function FakeTimers() {
+    this.time = 1000;
+}
+
+FakeTimers.prototype.now = function now() {
+    return this.time;
+};
+
+FakeTimers.prototype.setTimeout = function setTimeout() {
+    return {};
+};
+
+FakeTimers.prototype.clearTimeout = function clearTimeout() {
+};
+
+function createLimiter(config) {
+    var stats = [];
+    var limiter = new ConcurrencyLimiter({
+        batchStats: {
+            pushStat: function pushStat(name, type, value, tags) {
+                stats.push({name: name, value: value});
+            }
+        },
+        timers: new FakeTimers()
+    });
+    limiter.stats = stats;
+    limiter.setConfig(config || {});
+    limiter.setEnabled(true);
+    return limiter;
+}
+
+function startMany(limiter, count) {
+    var reqs = [];
+    for (var i = 0; i < count; i++) {
+        var req = {circuit: null};
+        limiter.observe(req, 'steve');
+        reqs.push(req);
+    }
+    return reqs;
+}
+
+function finishAll(limiter, reqs, latency, ok) {
+    limiter.timers.time += latency;
+    for (var i = 0; i < reqs.length; i++) {
+        if (ok) {
+            reqs[i].circuit.state.onRequestHealthy();
+        } else {
+            reqs[i].circuit.state.onRequestError(new Error('oops'));
+        }
+    }
+}
+
+test('rejects requests over the concurrency limit', function t(assert) {
+    var limiter = createLimiter({initialLimit: 4});
+
+    var reqs = startMany(limiter, 4);
+    assert.ok(limiter.isExceeded('steve'), 'steve is at its limit');
+    assert.equal(limiter.getInfo().steve.rejected, 1, 'counts the rejection');
+    assert.equal(limiter.stats[0].name, 'tchannel.rate-limiting.concurrency-busy',
+        'emits a stat for the rejection');
+    assert.ok(!limiter.isExceeded('bob'), 'bob has no requests in flight');
+
+    finishAll(limiter, reqs.slice(0, 1), 10, true);
+    assert.ok(!limiter.isExceeded('steve'), 'steve is below its limit');
+    assert.equal(limiter.getInfo().steve.inflight, 3, 'counts requests in flight');
+
+    limiter.setEnabled(false);
+    assert.ok(!limiter.isExceeded('steve'), 'nothing is limited when disabled');
+
+    assert.end();
+});
+
+test('grows the limit while latency is low', function t(assert) {
+    var limiter = createLimiter({initialLimit: 4, maxLimit: 6});
+
+    for (var i = 0; i < 10; i++) {
+        finishAll(limiter, startMany(limiter, 4), 10, true);
+    }
+
+    assert.equal(limiter.getLimit('steve'), 6, 'limit grows up to maxLimit');
+    assert.equal(limiter.getInfo().steve.baselineLatency, 10, 'learns the baseline latency');
+
+    assert.end();
+});
+
+test('backs off when latency spikes or requests fail', function t(assert) {
+    var limiter = createLimiter({initialLimit: 10, backoffRatio: 0.5});
+
+    finishAll(limiter, startMany(limiter, 1), 10, true);
+    var limit = limiter.services.steve.limit;
+
+    finishAll(limiter, startMany(limiter, 5), 50, true);
+    assert.equal(limiter.services.steve.limit, limit / 2,
+        'slow requests decrease the limit once per round trip');
+
+    finishAll(limiter, startMany(limiter, 1), 50, false);
+    assert.equal(limiter.services.steve.limit, limit / 4,
+        'a failed request decreases the limit');
+
+    limiter.setConfig({initialLimit: 10, minLimit: 5});
+    assert.equal(limiter.getLimit('steve'), 5, 'limit is kept within the new config');
+
+    assert.end();
+});
+
+test('forwards outcomes to the circuit of the request', function t(assert) {
+    var limiter = createLimiter();
+
+    var outcomes = [];
+    var req = {
+        circuit: {
+            state: {
+                onRequestHealthy: function onRequestHealthy() {
+                    outcomes.push('healthy');
+                },
+                onRequestError: function onRequestError() {
+                    outcomes.push('error');
+                }
+            }
+        }
+    };
+    limiter.observe(req, 'steve');
+
+    req.circuit.state.onRequestHealthy();
+    req.circuit.state.onRequestError(new Error('oops'));
+    assert.deepEqual(outcomes, ['healthy', 'error'], 'circuit sees every outcome');
+    assert.equal(limiter.getInfo().steve.inflight, 0, 'request is released once');
+
+    assert.end();
+});
+
+test('releases requests whose outcome is lost once they expire', function t(assert) {
+    var limiter = createLimiter({initialLimit: 4});
+
+    var reqs = [];
+    for (var i = 0; i < 4; i++) {
+        var req = {circuit: null, timeout: 100};
+        limiter.observe(req, 'steve');
+        reqs.push(req);
+    }
+    assert.ok(limiter.isExceeded('steve'), 'steve is at its limit');
+
+    limiter.timers.time += 50;
+    limiter.expireRequests(limiter.services.steve, limiter.timers.now());
+    assert.equal(limiter.getInfo().steve.inflight, 4, 'keeps requests within their ttl');
+
+    limiter.timers.time += 50;
+    limiter.expireRequests(limiter.services.steve, limiter.timers.now());
+    assert.equal(limiter.getInfo().steve.inflight, 0, 'releases expired requests');
+    assert.equal(limiter.getLimit('steve'), 4, 'keeps the limit');
+
+    startMany(limiter, 3);
+    assert.ok(!limiter.isExceeded('steve'), 'frees their slots');
+
+    reqs[0].circuit.state.onRequestHealthy();
+    assert.equal(limiter.getInfo().steve.inflight, 3,
+        'a late outcome is not released again');
+
+    assert.end();
+});
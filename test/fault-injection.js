@@ -0,0 +1,118 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var FaultInjector = require('../fault-injection.js');
+
+test('fault validation', function t(assert) {
+    var faultInjector = new FaultInjector();
+
+    var invalid = faultInjector.setRemoteConfigFaults([
+        {delay: 100, expiresAt: 2000},
+        {error: {codeName: 'Timeout'}, percent: 50, expiresAt: 2000},
+        {drop: true},
+        null,
+        {expiresAt: 2000},
+        {delay: -1, expiresAt: 2000},
+        {error: {codeName: 'BadRequest'}, expiresAt: 2000},
+        {drop: true, error: {codeName: 'Busy'}, expiresAt: 2000},
+        {drop: true, percent: 0, expiresAt: 2000},
+        {match: {serviceName: 42}, drop: true, expiresAt: 2000}
+    ]);
+
+    assert.equal(faultInjector.remoteConfigFaults.length, 2, 'two valid faults');
+    assert.deepEqual(invalid.map(function index(fault) {
+        return fault.index;
+    }), [2, 3, 4, 5, 6, 7, 8, 9], 'invalid faults are reported by index');
+    assert.equal(faultInjector.remoteConfigFaults[0].name, 'remote-config-0',
+        'default name');
+
+    assert.equal(faultInjector.addFault({drop: true}, 1000).reason,
+        'ttl is required and must be a positive number',
+        'faults added at runtime need a ttl');
+    assert.equal(faultInjector.addFault({drop: true, ttl: 500}, 1000)
+        .fault.expiresAt, 1500, 'ttl sets the expiry');
+
+    assert.end();
+});
+
+test('fault matching and expiry', function t(assert) {
+    var faultInjector = new FaultInjector();
+
+    faultInjector.setRemoteConfigFaults([
+        {
+            name: 'slow-steve',
+            match: {serviceName: 'steve'},
+            delay: 100,
+            expiresAt: 2000
+        }
+    ]);
+    faultInjector.addFault({
+        name: 'drop-bob-echo',
+        match: {callerName: 'bob', serviceName: 'steve', endpoint: 'echo'},
+        drop: true,
+        ttl: 500
+    }, 1000);
+
+    assert.equal(faultInjector.mayMatch('alice', 'steve', 1000), true,
+        'may match by service');
+    assert.equal(faultInjector.mayMatch('alice', 'mary', 1000), false,
+        'cannot match');
+    assert.equal(faultInjector.mayMatch('alice', 'steve', 2000), false,
+        'expired faults do not match');
+
+    assert.equal(faultInjector.match('bob', 'steve', 'echo', 1000).name,
+        'drop-bob-echo', 'faults added at runtime win');
+    assert.equal(faultInjector.match('bob', 'steve', 'ping', 1000).name,
+        'slow-steve', 'endpoint must match');
+    assert.equal(faultInjector.match('bob', 'steve', 'echo', 1500).name,
+        'slow-steve', 'expired faults are skipped');
+    assert.equal(faultInjector.match('bob', 'steve', 'echo', 1000).getKind(),
+        'drop', 'kind of fault');
+
+    assert.deepEqual(faultInjector.getFaults(1500).map(function name(fault) {
+        return fault.name;
+    }), ['slow-steve'], 'expired faults are not listed');
+    assert.equal(faultInjector.faults.length, 0, 'and are dropped');
+
+    assert.end();
+});
+
+test('fault percentage', function t(assert) {
+    var faultInjector = new FaultInjector();
+
+    faultInjector.addFault({
+        error: {codeName: 'Declined'},
+        percent: 50,
+        ttl: 1000
+    }, 0);
+
+    assert.ok(faultInjector.match('bob', 'steve', 'echo', 0, function r() {
+        return 0.49;
+    }), 'injects a request under the percentage');
+    assert.equal(faultInjector.match('bob', 'steve', 'echo', 0, function r() {
+        return 0.5;
+    }), null, 'lets a request over the percentage through');
+
+    assert.end();
+});
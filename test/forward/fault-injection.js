@@ -0,0 +1,272 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var setTimeout = require('timers').setTimeout;
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('fault injection fails and delays requests', {
+    size: 1,
+    remoteConfig: {
+        'faultInjection.faults': [
+            {
+                name: 'expired',
+                drop: true,
+                expiresAt: 1
+            },
+            {
+                name: 'no-expiry',
+                drop: true
+            }
+        ]
+    },
+    whitelist: [
+        ['warn', 'ignoring invalid fault'],
+        ['info', 'fault injection added']
+    ]
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+    var start;
+
+    app.client.sendFaultInjection({
+        type: 'add',
+        fault: {
+            name: 'busy-echo',
+            match: {
+                serviceName: steve.serviceName,
+                endpoint: 'echo'
+            },
+            error: {
+                codeName: 'Busy'
+            }
+        }
+    }, onMissingTTL);
+
+    function onMissingTTL(err, resp) {
+        assert.ifError(err, 'fault injection endpoint does not error');
+        assert.equal(resp.body.type, 'autobahn.fault-injection.invalid-fault',
+            'faults must expire');
+
+        app.client.sendFaultInjection({
+            type: 'add',
+            fault: {
+                name: 'busy-echo',
+                match: {
+                    serviceName: steve.serviceName,
+                    endpoint: 'echo'
+                },
+                error: {
+                    codeName: 'Busy'
+                },
+                ttl: 10000
+            }
+        }, onAdded);
+    }
+
+    function onAdded(err, resp) {
+        assert.ifError(err, 'fault injection endpoint does not error');
+        assert.deepEqual(resp.body.faults.map(function name(fault) {
+            return fault.name;
+        }), ['busy-echo'], 'expired faults are not listed');
+        assert.equal(resp.body.invalid.length, 1,
+            'the fault without expiry is invalid');
+
+        bob.clientChannel.request({
+            serviceName: steve.serviceName
+        }).send('echo', null, JSON.stringify('oh hi lol'), onFailed);
+    }
+
+    function onFailed(err) {
+        assert.equal(err && err.type, 'tchannel.busy',
+            'request gets the injected error');
+        assert.equal(err && err.message, 'error injected by fault busy-echo',
+            'with the default message');
+
+        app.client.sendFaultInjection({
+            type: 'add',
+            fault: {
+                name: 'busy-echo',
+                match: {
+                    serviceName: steve.serviceName
+                },
+                delay: 100,
+                ttl: 10000
+            }
+        }, onReplaced);
+    }
+
+    function onReplaced(err, resp) {
+        assert.ifError(err, 'fault injection endpoint does not error');
+        assert.equal(resp.body.faults.length, 1,
+            'a fault replaces the one of the same name');
+
+        start = Date.now();
+        bob.clientChannel.request({
+            serviceName: steve.serviceName,
+            timeout: 1000
+        }).send('echo', null, JSON.stringify('oh hi lol'), onDelayed);
+    }
+
+    function onDelayed(err, res, arg2, arg3) {
+        assert.ifError(err, 'delayed request does not error');
+        assert.equal(String(arg3), '"oh hi lol"', 'delayed request is forwarded');
+        assert.ok(Date.now() - start >= 100, 'request was delayed');
+
+        app.client.sendFaultInjection({
+            type: 'clear'
+        }, onCleared);
+    }
+
+    function onCleared(err, resp) {
+        assert.ifError(err, 'fault injection endpoint does not error');
+        assert.equal(resp.body.faults.length, 0, 'faults are cleared');
+        assert.end();
+    }
+});
+
+allocCluster.test('faults are only injected by the exit node', {
+    size: 2,
+    remoteConfig: {
+        'kValue.default': 1,
+        'faultInjection.faults': [
+            {
+                name: 'slow-echo',
+                match: {
+                    serviceName: 'steve',
+                    endpoint: 'echo'
+                },
+                delay: 100,
+                expiresAt: Date.now() + 60000
+            }
+        ]
+    }
+}, function t(cluster, assert) {
+    var steve = cluster.remotes.steve;
+    var steveExits = cluster.apps[0].clients.egressNodes
+        .exitsFor(steve.serviceName);
+    var injected = [];
+
+    var entryHostPorts = [];
+    cluster.apps.forEach(function spyApp(app) {
+        var batchStats = app.clients.serviceProxy.batchStats;
+        var pushStat = batchStats.pushStat;
+        batchStats.pushStat = function spyPushStat(name) {
+            if (name === 'hyperbahn.fault-injection.injected') {
+                injected.push(app.hostPort);
+            }
+            return pushStat.apply(this, arguments);
+        };
+
+        if (!steveExits[app.hostPort]) {
+            entryHostPorts.push(app.hostPort);
+        }
+    });
+    assert.equal(entryHostPorts.length, 1, 'one node forwards to the exit');
+
+    var start = Date.now();
+    cluster.dummies[0].makeSubChannel({
+        serviceName: steve.serviceName,
+        peers: entryHostPorts
+    }).request({
+        serviceName: steve.serviceName,
+        hasNoParent: true,
+        timeout: 1000,
+        headers: {
+            as: 'raw',
+            cn: 'dummyChan'
+        }
+    }).send('echo', null, JSON.stringify('oh hi lol'), onForwarded);
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err, 'delayed request does not error');
+        assert.equal(String(arg3), '"oh hi lol"', 'request is forwarded');
+        assert.ok(Date.now() - start >= 100, 'request was delayed');
+        assert.equal(injected.length, 1, 'fault is injected once');
+        assert.ok(steveExits[injected[0]] !== undefined,
+            'by the exit node');
+        assert.end();
+    }
+});
+
+allocCluster.test('delayed requests that time out are dropped', {
+    size: 1,
+    remoteConfig: {
+        'faultInjection.faults': [
+            {
+                name: 'slow-echo',
+                match: {
+                    serviceName: 'steve',
+                    endpoint: 'echo'
+                },
+                delay: 200,
+                expiresAt: Date.now() + 60000
+            }
+        ]
+    }
+}, function t(cluster, assert) {
+    var serviceProxy = cluster.apps[0].clients.serviceProxy;
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+
+    var handled = 0;
+
+    bob.clientChannel.request({
+        serviceName: steve.serviceName,
+        timeout: 50
+    }).send('echo', null, JSON.stringify('oh hi lol'), onTimedOut);
+
+    function onTimedOut(err) {
+        assert.equal(err && err.type, 'tchannel.request.timeout',
+            'delayed request times out');
+        assert.equal(Object.keys(serviceProxy.faultDelays).length, 1,
+            'delay is pending');
+
+        var handleRequest = serviceProxy.handleRequest;
+        serviceProxy.handleRequest = function spyHandleRequest() {
+            handled++;
+            return handleRequest.apply(this, arguments);
+        };
+        setTimeout(onDelayed, 300);
+    }
+
+    function onDelayed() {
+        assert.equal(Object.keys(serviceProxy.faultDelays).length, 0,
+            'delay is done');
+        assert.equal(handled, 0, 'timed out request is not forwarded');
+
+        bob.clientChannel.request({
+            serviceName: steve.serviceName,
+            timeout: 50
+        }).send('echo', null, JSON.stringify('oh hi lol'), onPending);
+    }
+
+    function onPending() {
+        assert.equal(Object.keys(serviceProxy.faultDelays).length, 1,
+            'delay is pending');
+        serviceProxy.destroy();
+        assert.equal(Object.keys(serviceProxy.faultDelays).length, 0,
+            'destroy clears the delay');
+        assert.end();
+    }
+});
@@ -0,0 +1,119 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var series = require('run-series');
+var timers = require('timers');
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('relayed requests turn hedging on', {
+    size: 1,
+    namedRemotes: ['mary', 'mary'],
+    remoteConfig: {
+        'hedging.services': {
+            mary: {
+                endpoints: ['get'],
+                percentile: 50,
+                minDelay: 20
+            }
+        }
+    }
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var bob = cluster.remotes.bob;
+    var serviceProxy = app.clients.serviceProxy;
+
+    var stats = [];
+    var pushStat = serviceProxy.batchStats.pushStat;
+    serviceProxy.batchStats.pushStat = function spy(name, type, value, tags) {
+        if (name.indexOf('hyperbahn.hedging.') === 0) {
+            stats.push(name);
+        }
+        return pushStat.apply(this, arguments);
+    };
+
+    // the first mary to get a slow request holds it, the second answers
+    var held = Object.create(null);
+    var onHeldAnswered = null;
+    cluster.namedRemotes[0].serverChannel.register('get', get);
+    cluster.namedRemotes[1].serverChannel.register('get', get);
+
+    var warmups = [];
+    for (var i = 0; i < 10; i++) {
+        warmups.push(sendThunk('fast-' + i));
+    }
+
+    series(warmups, function onWarmedUp(err) {
+        assert.ifError(err, 'warm up requests succeed');
+        assert.ok(serviceProxy.hedgePolicies.mary.getDelay('get') >= 20,
+            'relayed latencies give the hedge delay');
+        assert.deepEqual(stats, [], 'nothing is hedged while warming up');
+
+        var start = Date.now();
+        onHeldAnswered = onDone;
+        send('slow', onSlow);
+
+        function onSlow(err2, res) {
+            assert.ifError(err2, 'hedged request succeeds');
+            assert.equal(String(res && res.arg3), 'slow',
+                'with the answer of the hedge');
+            assert.ok(Date.now() - start < 400,
+                'without waiting for the held request');
+            assert.deepEqual(stats, [
+                'hyperbahn.hedging.sent',
+                'hyperbahn.hedging.won'
+            ], 'the hedge is sent and wins');
+        }
+    });
+
+    function onDone() {
+        serviceProxy.batchStats.pushStat = pushStat;
+        assert.end();
+    }
+
+    function get(req, res, arg2, arg3) {
+        var id = String(arg3);
+        res.headers.as = 'raw';
+        if (id === 'slow' && !held[id]) {
+            held[id] = true;
+            timers.setTimeout(function answerHeld() {
+                res.sendOk(null, id);
+                onHeldAnswered();
+            }, 500);
+            return;
+        }
+        res.sendOk(null, id);
+    }
+
+    function sendThunk(id) {
+        return function thunk(callback) {
+            send(id, callback);
+        };
+    }
+
+    function send(id, callback) {
+        bob.clientChannel.request({
+            serviceName: 'mary',
+            timeout: 1000
+        }).send('get', null, id, callback);
+    }
+});
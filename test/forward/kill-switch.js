@@ -99,3 +99,192 @@ allocCluster.test('remote config kill switch and forward', {
         assert.end();
     }
 });
+
+allocCluster.test('remote config endpoint kill switch and forward', {
+    size: 1,
+    remoteConfig: {
+        'killSwitch': ['*~~steve~~echo']
+    }
+}, function t(cluster, assert) {
+    var steve = cluster.remotes.steve;
+    var bob = cluster.remotes.bob;
+    cluster.sendRegister(steve.channel, {
+        serviceName: steve.serviceName
+    }, onRegistered);
+
+    function onRegistered(err, resp) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            timeout: 10
+        }).send('echo', null, JSON.stringify('oh hi lol'), onEcho);
+    }
+
+    function onEcho(err, res, arg2, arg3) {
+        assert.ok(err, 'should fail');
+        assert.equals(err.type, 'tchannel.request.timeout', 'echo should be blocked');
+
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            timeout: 100
+        }).send('ping', null, JSON.stringify('oh hi lol'), onPing);
+    }
+
+    function onPing(err, res, arg2, arg3) {
+        assert.ok(err, 'steve has no ping endpoint');
+        assert.equals(err.type, 'tchannel.bad-request', 'ping should reach steve');
+        assert.end();
+    }
+});
+
+allocCluster.test('kill switches propagate to every node', {
+    size: 3
+}, function t(cluster, assert) {
+    cluster.logger.whitelist('info', 'adopted kill switches');
+
+    var app = cluster.apps[0];
+
+    app.client.sendKillSwitch({
+        type: 'block',
+        cn: '*',
+        serviceName: 'steve'
+    }, onSetKillSwitch);
+
+    function onSetKillSwitch(err, res) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.deepEqual(res.body.propagationErrors, {},
+            'should propagate to every node');
+
+        var version = app.clients.serviceProxy.killSwitchVersion;
+        cluster.apps.forEach(function checkApp(other, index) {
+            var proxy = other.clients.serviceProxy;
+            assert.ok(proxy.isBlocked('*', 'steve'),
+                'app ' + index + ' should block steve');
+            assert.equals(proxy.killSwitchVersion, version,
+                'app ' + index + ' should have the same version');
+        });
+
+        // blocked on one node only, as if the push had failed
+        cluster.apps[1].clients.serviceProxy.block('*', 'bob');
+        cluster.apps[2].client.sendKillSwitch({
+            type: 'consistency'
+        }, onConsistency);
+    }
+
+    function onConsistency(err, res) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.equals(Object.keys(res.body.nodes).length, 3,
+            'should report every node');
+        assert.deepEqual(res.body.disagreeing.sort(),
+            [cluster.apps[0].hostPort, cluster.apps[2].hostPort].sort(),
+            'should report the nodes behind the newest kill switches');
+
+        cluster.apps[1].client.sendKillSwitch({
+            type: 'sync'
+        }, onSynced);
+    }
+
+    function onSynced(err, res) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        cluster.apps.forEach(function checkApp(other, index) {
+            assert.ok(other.clients.serviceProxy.isBlocked('*', 'bob'),
+                'app ' + index + ' should block bob after sync');
+        });
+        assert.end();
+    }
+});
+
+allocCluster.test('concurrent kill switches on different nodes are kept', {
+    size: 3
+}, function t(cluster, assert) {
+    cluster.logger.whitelist('info', 'adopted kill switches');
+    var staleState;
+
+    // both blocked before either node heard of the other block
+    cluster.apps[0].clients.serviceProxy.block('*', 'steve');
+    cluster.apps[1].clients.serviceProxy.block('*', 'bob');
+
+    cluster.apps[1].client.sendKillSwitch({
+        type: 'sync'
+    }, onBobSynced);
+
+    function onBobSynced(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        cluster.apps[0].client.sendKillSwitch({
+            type: 'sync'
+        }, onSteveSynced);
+    }
+
+    function onSteveSynced(err, res) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.deepEqual(res.body.propagationErrors, {},
+            'should propagate to every node');
+        cluster.apps.forEach(function checkApp(app, index) {
+            var proxy = app.clients.serviceProxy;
+            assert.ok(proxy.isBlocked('*', 'steve'),
+                'app ' + index + ' should block steve');
+            assert.ok(proxy.isBlocked('*', 'bob'),
+                'app ' + index + ' should block bob');
+        });
+        staleState = JSON.parse(JSON.stringify(
+            cluster.apps[0].clients.serviceProxy.getKillSwitchState()
+        ));
+
+        // unblocked on the node which did not block steve
+        cluster.apps[2].client.sendKillSwitch({
+            type: 'unblock',
+            cn: '*',
+            serviceName: 'steve'
+        }, onUnblocked);
+    }
+
+    function onUnblocked(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.notOk(
+            cluster.apps[1].clients.serviceProxy.setKillSwitchState(staleState),
+            'a push from before the unblock is not adopted'
+        );
+        cluster.apps.forEach(function checkApp(app, index) {
+            var proxy = app.clients.serviceProxy;
+            assert.notOk(proxy.isBlocked('*', 'steve'),
+                'app ' + index + ' should stay unblocked for steve');
+            assert.ok(proxy.isBlocked('*', 'bob'),
+                'app ' + index + ' should still block bob');
+        });
+
+        cluster.apps[1].client.sendKillSwitch({
+            type: 'consistency'
+        }, onConsistency);
+    }
+
+    function onConsistency(err, res) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        assert.deepEqual(res.body.disagreeing, [],
+            'every node has the newest changes');
+        assert.end();
+    }
+});
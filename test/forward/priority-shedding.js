@@ -0,0 +1,77 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('requests marked low priority are shed first', {
+    size: 1,
+    remoteConfig: {
+        'rateLimiting.enabled': true,
+        'rateLimiting.totalRpsLimit': 100,
+        'rateLimiting.priorityShares': {
+            low: 0.001
+        }
+    },
+    whitelist: [
+        ['info', 'hyperbahn node is rate-limited by the total rps limit']
+    ]
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+
+    send('normal', onFirst);
+
+    function onFirst(err) {
+        assert.ifError(err, 'first request goes through');
+
+        send('low', onLow);
+    }
+
+    function onLow(err) {
+        assert.equal(err && err.type, 'tchannel.busy',
+            'low priority request is shed');
+
+        var logs = cluster.logger.items().filter(function isTotal(log) {
+            return log.msg === 'hyperbahn node is rate-limited by the total rps limit';
+        });
+        assert.equal(logs.length, 1, 'shedding is logged');
+        assert.equal(logs[0] && logs[0].meta.priority, 'low',
+            'with the priority');
+
+        send('normal', onNormal);
+    }
+
+    function onNormal(err) {
+        assert.ifError(err, 'normal priority request goes through');
+        assert.end();
+    }
+
+    function send(priority, callback) {
+        bob.clientChannel.request({
+            serviceName: 'steve',
+            headers: {
+                as: 'raw',
+                cn: 'bob',
+                priority: priority
+            }
+        }).send('echo', null, JSON.stringify('oh hi lol'), callback);
+    }
+});
@@ -0,0 +1,109 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('per service relay ttl limits', {
+    size: 1,
+    remoteConfig: {
+        'relay.maximum-ttl': 5000,
+        'relay.service-ttl-limits': {
+            steve: {
+                minimum: 200,
+                maximum: 500
+            },
+            bob: {
+                minimum: 100,
+                maximum: 50
+            }
+        }
+    },
+    whitelist: [
+        ['warn', 'ignoring invalid relay ttl limits'],
+        ['warn', 'Clamping timeout to maximum ttl allowed']
+    ]
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+    var serviceProxy = app.clients.serviceProxy;
+
+    var stats = [];
+    var pushStat = serviceProxy.batchStats.pushStat;
+    serviceProxy.batchStats.pushStat = function spy(name, type, value, tags) {
+        if (name.indexOf('hyperbahn.relay-ttl.') === 0) {
+            stats.push(name + ' ' + tags.targetService);
+        }
+        return pushStat.apply(this, arguments);
+    };
+
+    var lines = cluster.logger.items().filter(function isInvalid(line) {
+        return line.msg === 'ignoring invalid relay ttl limits';
+    });
+    assert.equal(lines.length, 1, 'the invalid limits are logged');
+    assert.equal(lines[0] && lines[0].meta.reason,
+        'minimum must not exceed maximum', 'with the reason');
+
+    var timeouts = [];
+    steve.serverChannel.register('ttl', function ttl(req, res) {
+        timeouts.push(req.timeout);
+        res.headers.as = 'raw';
+        res.sendOk('', '');
+    });
+
+    bob.clientChannel.request({
+        serviceName: steve.serviceName,
+        timeout: 100
+    }).send('ttl', '', '', onRejected);
+
+    function onRejected(err) {
+        assert.equal(err && err.type, 'tchannel.timeout',
+            'a request below the minimum ttl gets a timeout');
+        assert.ok(/below the minimum of 200ms for steve$/.test(err && err.message),
+            'with the minimum in the message');
+        assert.equal(timeouts.length, 0, 'and is not forwarded');
+
+        bob.clientChannel.request({
+            serviceName: steve.serviceName,
+            timeout: 2000
+        }).send('ttl', '', '', onClamped);
+    }
+
+    function onClamped(err) {
+        assert.ifError(err, 'a request above the maximum ttl succeeds');
+        assert.ok(timeouts[0] <= 500, 'with the ttl clamped to the maximum');
+
+        assert.deepEqual(stats, [
+            'hyperbahn.relay-ttl.rejected steve',
+            'hyperbahn.relay-ttl.clamped steve'
+        ], 'rejected and clamped requests are counted per service');
+
+        serviceProxy.setRelayTTLLimits(0, {});
+        assert.equal(app.clients.tchannel.subChannels.steve.maximumRelayTTL,
+            5000, 'without limits the global maximum applies');
+        assert.equal(serviceProxy.getMinimumRelayTTL('steve'), 0,
+            'and the global minimum');
+
+        serviceProxy.batchStats.pushStat = pushStat;
+        assert.end();
+    }
+});
@@ -0,0 +1,106 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('retry budgets apply at exit nodes', {
+    size: 1,
+    remoteConfig: {
+        'retryBudget.services': {
+            steve: {
+                maxRetryRatio: 0.5,
+                minRequests: 1
+            },
+            bob: {
+                maxRetryRatio: -1
+            }
+        }
+    },
+    whitelist: [
+        ['warn', 'ignoring invalid retry budget']
+    ]
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+    var serviceProxy = app.clients.serviceProxy;
+
+    var rejected = [];
+    var pushStat = serviceProxy.batchStats.pushStat;
+    serviceProxy.batchStats.pushStat = function spy(name, type, value, tags) {
+        if (name === 'hyperbahn.retry-budget.rejected') {
+            rejected.push(tags.targetService);
+        }
+        return pushStat.apply(this, arguments);
+    };
+
+    var lines = cluster.logger.items().filter(function isInvalid(line) {
+        return line.msg === 'ignoring invalid retry budget';
+    });
+    assert.equal(lines.length, 1, 'the invalid budget is logged');
+    assert.equal(lines[0] && lines[0].meta.serviceName, 'bob',
+        'with its service name');
+
+    bob.clientChannel.request({
+        serviceName: steve.serviceName
+    }).send('echo', null, JSON.stringify('oh hi lol'), onForwarded);
+
+    function onForwarded(err, res) {
+        assert.ifError(err, 'request does not error');
+        assert.ok(res && res.ok, 'request succeeds');
+
+        var budget = serviceProxy.retryBudgets.steve;
+        assert.equal(budget.requests, 1, 'the relayed request is counted');
+
+        assert.ok(serviceProxy.allowRetry('steve'),
+            'a retry within the budget is let through');
+        assert.notOk(serviceProxy.allowRetry('steve'),
+            'a retry past the budget is turned down');
+        assert.deepEqual(rejected, ['steve'], 'and counted');
+
+        app.client.sendChannels(onChannels);
+    }
+
+    function onChannels(err, resp) {
+        assert.ifError(err, 'channels endpoint does not error');
+
+        assert.deepEqual(resp.body.steve.retryBudget, {
+            maxRetryRatio: 0.5,
+            window: 10000,
+            minRequests: 1,
+            requests: 1,
+            retries: 1,
+            retryRatio: 1,
+            exhausted: true
+        }, 'channels_v1 reports the budget');
+
+        serviceProxy.setRetryBudgets({});
+        var steveChannel = app.clients.tchannel.subChannels.steve;
+        assert.ok(serviceProxy.allowRetry('steve'),
+            'without a budget retries are let through');
+        assert.equal(serviceProxy.getRetryBudgetInfo(steveChannel), null,
+            'and no budget is reported');
+
+        serviceProxy.batchStats.pushStat = pushStat;
+        assert.end();
+    }
+});
@@ -0,0 +1,125 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+
+allocCluster.test('routing rules rewrite and reject', {
+    size: 5,
+    remoteConfig: {
+        'routing.rules': [
+            {
+                name: 'reject-bob',
+                match: {
+                    callerName: 'bob',
+                    serviceName: 'steve',
+                    endpoint: 'forbidden'
+                },
+                reject: {
+                    codeName: 'Declined',
+                    message: 'bob may not call forbidden'
+                }
+            },
+            {
+                name: 'to-mary',
+                match: {
+                    serviceName: 'steve',
+                    headers: {
+                        'x-route': 'mary'
+                    }
+                },
+                serviceName: 'mary',
+                headers: {
+                    'x-routed': 'yes'
+                }
+            },
+            {
+                name: 'invalid',
+                reject: {
+                    codeName: 'NotACode'
+                }
+            }
+        ]
+    },
+    whitelist: [
+        ['warn', 'ignoring invalid routing rule']
+    ]
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+    var steve = cluster.remotes.steve;
+
+    var mary = cluster.createRemote({
+        serviceName: 'mary'
+    }, onRegistered);
+
+    steve.serverChannel.register('routed', routed('steve'));
+    mary.serverChannel.register('routed', routed('mary'));
+
+    function onRegistered() {
+        bob.clientChannel.request({
+            serviceName: steve.serviceName,
+            headers: {
+                as: 'raw',
+                cn: 'bob',
+                'x-route': 'mary'
+            }
+        }).send('routed', null, null, onRouted);
+    }
+
+    function onRouted(err, res, arg2, arg3) {
+        assert.ifError(err, 'routed request does not error');
+        assert.equal(String(arg3), 'mary yes',
+            'request was rewritten to mary with the added header');
+
+        bob.clientChannel.request({
+            serviceName: steve.serviceName
+        }).send('forbidden', null, null, onRejected);
+    }
+
+    function onRejected(err) {
+        assert.equal(err && err.type, 'tchannel.declined',
+            'request was rejected');
+        assert.equal(err && err.message, 'bob may not call forbidden',
+            'with the rule message');
+
+        cluster.apps[0].client.getRoutingRules(onRules);
+    }
+
+    function onRules(err, resp) {
+        assert.ifError(err, 'routing rules endpoint does not error');
+        assert.deepEqual(resp.body.rules.map(function name(rule) {
+            return rule.name;
+        }), ['reject-bob', 'to-mary'], 'valid rules are listed');
+        assert.equal(resp.body.invalid.length, 1, 'invalid rule is listed');
+        assert.equal(resp.body.invalid[0].index, 2,
+            'invalid rule index');
+
+        mary.destroy();
+        assert.end();
+    }
+});
+
+function routed(name) {
+    return function handleRouted(req, res) {
+        res.headers.as = 'raw';
+        res.sendOk('', name + ' ' + req.headers['x-routed']);
+    };
+}
@@ -0,0 +1,131 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+var CountedReadySignal = require('ready-signal/counted');
+
+allocCluster.test('forward shadows requests', {
+    size: 5,
+    remoteConfig: {
+        'shadowing.services': {
+            steve: {
+                shadowService: 'steve-shadow',
+                percentage: 100,
+                endpoints: ['shadowed']
+            }
+        }
+    }
+}, function t(cluster, assert) {
+    var steve = cluster.remotes.steve;
+    var bob = cluster.remotes.bob;
+
+    var done = CountedReadySignal(2);
+
+    var shadow = cluster.createRemote({
+        serviceName: 'steve-shadow'
+    }, onRegistered);
+
+    steve.serverChannel.register('shadowed', respond('primary'));
+    shadow.serverChannel.register('shadowed', onShadowed);
+
+    function onRegistered() {
+        bob.clientChannel.request({
+            serviceName: steve.serviceName
+        }).send('shadowed', 'head', 'body', onForwarded);
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err, 'forward does not error');
+        assert.equal(String(arg3), 'primary',
+            'caller gets the primary response');
+
+        done.signal();
+    }
+
+    function onShadowed(req, res, arg2, arg3) {
+        assert.equal(req.headers.cn, 'bob', 'shadow keeps the caller name');
+        assert.equal(String(arg2), 'head', 'shadow gets arg2');
+        assert.equal(String(arg3), 'body', 'shadow gets arg3');
+
+        respond('shadow')(req, res);
+        done.signal();
+    }
+
+    done(function finish() {
+        shadow.destroy();
+        assert.end();
+    });
+});
+
+allocCluster.test('shadowing endpoint', {
+    size: 1
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+
+    app.client.sendShadowing({
+        type: 'set',
+        serviceName: 'steve',
+        shadowService: 'steve-shadow',
+        percentage: 10,
+        callerNames: ['bob']
+    }, onSet);
+
+    function onSet(err, resp) {
+        assert.ifError(err, 'set does not error');
+        assert.equal(resp.body.shadowRules.steve.shadowService,
+            'steve-shadow', 'rule is set');
+        assert.equal(resp.body.shadowRules.steve.percentage, 10,
+            'percentage is set');
+
+        app.client.sendShadowing({
+            type: 'set',
+            serviceName: 'steve',
+            shadowService: 'steve-shadow',
+            percentage: 200
+        }, onInvalidSet);
+    }
+
+    function onInvalidSet(err, resp) {
+        assert.ifError(err, 'invalid set does not error');
+        assert.equal(resp.body.type, 'autobahn.shadowing.invalid-rule',
+            'invalid rule is rejected');
+
+        app.client.sendShadowing({
+            type: 'remove',
+            serviceName: 'steve'
+        }, onRemove);
+    }
+
+    function onRemove(err, resp) {
+        assert.ifError(err, 'remove does not error');
+        assert.deepEqual(resp.body.shadowRules, {}, 'rule is removed');
+
+        assert.end();
+    }
+});
+
+function respond(name) {
+    return function handle(req, res) {
+        res.headers.as = 'raw';
+        res.sendOk('', name);
+    };
+}
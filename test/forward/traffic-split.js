@@ -0,0 +1,95 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+var CountedReadySignal = require('ready-signal/counted');
+
+allocCluster.test('forward with a traffic split', {
+    size: 5,
+    remoteConfig: {
+        'trafficSplit.services': {
+            canary: {
+                v41: 0,
+                v42: 1
+            }
+        }
+    }
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+
+    var ready = CountedReadySignal(2);
+    var stable = cluster.createRemote({
+        serviceName: 'canary',
+        metadata: {
+            version: 'v41'
+        }
+    }, ready.signal);
+    var canary = cluster.createRemote({
+        serviceName: 'canary',
+        metadata: {
+            version: 'v42'
+        }
+    }, ready.signal);
+
+    stable.serverChannel.register('version', version('v41'));
+    canary.serverChannel.register('version', version('v42'));
+
+    ready(sendRequests);
+
+    var remaining = 10;
+    var versions = [];
+
+    function sendRequests() {
+        for (var i = 0; i < remaining; i++) {
+            bob.clientChannel.request({
+                serviceName: 'canary'
+            }).send('version', null, null, onForwarded);
+        }
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err, 'forward does not error');
+        versions.push(String(arg3));
+
+        if (--remaining === 0) {
+            finish();
+        }
+    }
+
+    function finish() {
+        assert.deepEqual(versions, [
+            'v42', 'v42', 'v42', 'v42', 'v42',
+            'v42', 'v42', 'v42', 'v42', 'v42'
+        ], 'all requests went to the v42 bucket');
+
+        stable.destroy();
+        canary.destroy();
+        assert.end();
+    }
+});
+
+function version(name) {
+    return function handleVersion(req, res) {
+        res.headers.as = 'raw';
+        res.sendOk('', name);
+    };
+}
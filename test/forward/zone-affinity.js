@@ -0,0 +1,128 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+var CountedReadySignal = require('ready-signal/counted');
+
+allocCluster.test('forward prefers workers in the local zone', {
+    size: 5,
+    seedConfig: {
+        'hyperbahn.zone': 'dca1'
+    },
+    remoteConfig: {
+        'zoneAffinity.enabled': true
+    }
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+
+    var ready = CountedReadySignal(2);
+    var local = cluster.createRemote({
+        serviceName: 'zoned',
+        metadata: {
+            zone: 'dca1'
+        }
+    }, ready.signal);
+    var remote = cluster.createRemote({
+        serviceName: 'zoned',
+        metadata: {
+            zone: 'sjc1'
+        }
+    }, ready.signal);
+
+    local.serverChannel.register('zone', zone('dca1'));
+    remote.serverChannel.register('zone', zone('sjc1'));
+
+    ready(sendRequests);
+
+    var remaining = 10;
+    var zones = [];
+
+    function sendRequests() {
+        for (var i = 0; i < remaining; i++) {
+            bob.clientChannel.request({
+                serviceName: 'zoned'
+            }).send('zone', null, null, onForwarded);
+        }
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err, 'forward does not error');
+        zones.push(String(arg3));
+
+        if (--remaining === 0) {
+            finish();
+        }
+    }
+
+    function finish() {
+        assert.deepEqual(zones, [
+            'dca1', 'dca1', 'dca1', 'dca1', 'dca1',
+            'dca1', 'dca1', 'dca1', 'dca1', 'dca1'
+        ], 'all requests stayed in the local zone');
+
+        local.destroy();
+        remote.destroy();
+        assert.end();
+    }
+});
+
+allocCluster.test('forward spills over without local workers', {
+    size: 5,
+    seedConfig: {
+        'hyperbahn.zone': 'dca1'
+    },
+    remoteConfig: {
+        'zoneAffinity.enabled': true
+    }
+}, function t(cluster, assert) {
+    var bob = cluster.remotes.bob;
+
+    var remote = cluster.createRemote({
+        serviceName: 'zoned',
+        metadata: {
+            zone: 'sjc1'
+        }
+    }, onRegistered);
+
+    remote.serverChannel.register('zone', zone('sjc1'));
+
+    function onRegistered() {
+        bob.clientChannel.request({
+            serviceName: 'zoned'
+        }).send('zone', null, null, onForwarded);
+    }
+
+    function onForwarded(err, res, arg2, arg3) {
+        assert.ifError(err, 'forward does not error');
+        assert.equal(String(arg3), 'sjc1', 'request spilled over');
+
+        remote.destroy();
+        assert.end();
+    }
+});
+
+function zone(name) {
+    return function handleZone(req, res) {
+        res.headers.as = 'raw';
+        res.sendOk('', name);
+    };
+}
@@ -0,0 +1,328 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var HedgePolicy = require('../hedging.js');
+
+function FakeTimers() {
+    this.time = 1000;
+    this.timer = null;
+}
+
+FakeTimers.prototype.now = function now() {
+    return this.time;
+};
+
+FakeTimers.prototype.setTimeout = function setTimeout(fn) {
+    this.timer = fn;
+    return fn;
+};
+
+FakeTimers.prototype.clearTimeout = function clearTimeout() {
+    this.timer = null;
+};
+
+FakeTimers.prototype.fire = function fire() {
+    var timer = this.timer;
+    this.timer = null;
+    timer();
+};
+
+// Records the out requests, whose callbacks the test calls
+function createHedgedRequest(policy) {
+    var timers = new FakeTimers();
+    var outreqs = [];
+    var stats = [];
+    var responses = [];
+    var outcomes = [];
+
+    var serviceChannel = {
+        timers: timers,
+        request: function request(options) {
+            var outreq = {
+                options: options,
+                callback: null,
+                send: function send(arg1, arg2, arg3, callback) {
+                    outreq.callback = callback;
+                }
+            };
+            outreqs.push(outreq);
+            return outreq;
+        }
+    };
+    var serviceProxy = {
+        chooseHedgePeer: function chooseHedgePeer(channel, req, firstPeer) {
+            return {hostPort: 'second'};
+        },
+        pushHedgingStat: function pushHedgingStat(name) {
+            stats.push(name);
+        },
+        retryAllowed: true,
+        retriesAllowed: 0,
+        allowRetry: function allowRetry(serviceName) {
+            serviceProxy.retriesAllowed++;
+            return serviceProxy.retryAllowed;
+        },
+        observePeerRequest: function observePeerRequest(channel, req, peer) {
+            req.circuit = {
+                state: {
+                    onRequestHealthy: function onRequestHealthy() {
+                        outcomes.push(peer.hostPort + ' healthy');
+                    },
+                    onRequestError: function onRequestError() {
+                        outcomes.push(peer.hostPort + ' error');
+                    }
+                }
+            };
+        }
+    };
+    var req = {
+        serviceName: 'steve',
+        endpoint: 'echo',
+        timeout: 100,
+        headers: {cn: 'bob'}
+    };
+
+    var hedged = new HedgePolicy.HedgedRequest(
+        serviceChannel, serviceProxy, policy, req, buildRes
+    );
+    hedged.timers = timers;
+    hedged.outreqs = outreqs;
+    hedged.stats = stats;
+    hedged.responses = responses;
+    hedged.outcomes = outcomes;
+    return hedged;
+
+    function buildRes(options) {
+        var res = {
+            options: options,
+            send: function send(arg2, arg3) {
+                res.arg3 = arg3;
+            },
+            sendError: function sendError(codeName) {
+                res.codeName = codeName;
+            }
+        };
+        responses.push(res);
+        return res;
+    }
+}
+
+function observeMany(policy, latencies) {
+    for (var i = 0; i < latencies.length; i++) {
+        policy.observe(latencies[i]);
+    }
+}
+
+test('hedge policy validation', function t(assert) {
+    assert.equal(HedgePolicy.validate({}), null, 'defaults are valid');
+    assert.equal(HedgePolicy.validate({
+        endpoints: ['echo'],
+        percentile: 99,
+        minDelay: 5
+    }), null, 'options are valid');
+    assert.ok(HedgePolicy.validate(null), 'expects an object');
+    assert.ok(HedgePolicy.validate({endpoints: 'echo'}),
+        'endpoints must be an array');
+    assert.ok(HedgePolicy.validate({percentile: 100}),
+        'percentile must be below 100');
+    assert.ok(HedgePolicy.validate({minDelay: 0}),
+        'minDelay must be positive');
+
+    assert.end();
+});
+
+test('hedge delay follows the latency percentile', function t(assert) {
+    var policy = new HedgePolicy('steve', {
+        endpoints: ['echo'],
+        percentile: 90,
+        minDelay: 5
+    });
+
+    observeMany(policy, [1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.equal(policy.getDelay('echo'), null,
+        'no hedging until enough latencies are known');
+
+    observeMany(policy, [100]);
+    assert.equal(policy.getDelay('echo'), 9, 'delay is the percentile');
+    assert.equal(policy.getDelay('ping'), null,
+        'only idempotent endpoints are hedged');
+
+    var fast = new HedgePolicy('steve', {
+        minDelay: 5
+    });
+    observeMany(fast, [1, 1, 1, 1, 1, 1, 1, 1, 1, 1]);
+    assert.equal(fast.getDelay('echo'), 5, 'delay is at least minDelay');
+    assert.equal(fast.getDelay('ping'), 5, 'every endpoint is hedged');
+
+    assert.end();
+});
+
+test('a hedge answering first wins', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+
+    hedged.send({hostPort: 'first'}, 10);
+    assert.equal(hedged.outreqs.length, 1, 'sends to the first peer');
+
+    hedged.timers.time += 10;
+    hedged.timers.fire();
+    assert.equal(hedged.outreqs.length, 2, 'hedges after the delay');
+    assert.equal(hedged.outreqs[1].options.peer.hostPort, 'second',
+        'to another peer');
+    assert.equal(hedged.outreqs[1].options.timeout, 90,
+        'within what is left of the timeout');
+
+    hedged.outreqs[1].callback(null, {code: 0, arg3: 'second'});
+    hedged.outreqs[0].callback(null, {code: 0, arg3: 'first'});
+
+    assert.equal(hedged.responses.length, 1, 'answers once');
+    assert.equal(hedged.responses[0].arg3, 'second', 'with the hedge');
+    assert.deepEqual(hedged.stats, ['sent', 'won'], 'counts hedges and wins');
+    assert.equal(policy.latencies.length, 1,
+        'the first peer latency is still known');
+    assert.deepEqual(hedged.outcomes, ['second healthy', 'first healthy'],
+        'each peer is charged with its own outcome');
+
+    assert.end();
+});
+
+test('a fast first answer is not hedged', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+
+    hedged.send({hostPort: 'first'}, 10);
+    hedged.outreqs[0].callback(null, {code: 0, arg3: 'first'});
+
+    assert.equal(hedged.timers.timer, null, 'hedge is called off');
+    assert.equal(hedged.responses[0].arg3, 'first', 'answers');
+    assert.deepEqual(hedged.stats, [], 'nothing hedged');
+
+    assert.end();
+});
+
+test('no hedge past the retry budget', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+    hedged.serviceProxy.retryAllowed = false;
+
+    hedged.send({hostPort: 'first'}, 10);
+    hedged.timers.fire();
+    assert.equal(hedged.outreqs.length, 1, 'does not hedge');
+
+    hedged.outreqs[0].callback(null, {code: 0, arg3: 'first'});
+    assert.equal(hedged.responses[0].arg3, 'first', 'answers');
+    assert.deepEqual(hedged.stats, [], 'nothing hedged');
+
+    assert.end();
+});
+
+test('an error waits for the other answer', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+
+    hedged.send({hostPort: 'first'}, 10);
+    hedged.timers.fire();
+
+    hedged.outreqs[0].callback(new Error('oops'));
+    assert.equal(hedged.responses.length, 0, 'does not answer the error');
+
+    hedged.outreqs[1].callback(null, {code: 0, arg3: 'second'});
+    assert.equal(hedged.responses[0].arg3, 'second', 'answers the hedge');
+    assert.deepEqual(hedged.outcomes, ['first error', 'second healthy'],
+        'the error is charged to the first peer');
+
+    assert.end();
+});
+
+test('no hedge once the timeout is spent', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+
+    hedged.send({hostPort: 'first'}, 10);
+    hedged.timers.time += 100;
+    hedged.timers.fire();
+    assert.equal(hedged.outreqs.length, 1, 'does not hedge');
+    assert.equal(hedged.serviceProxy.retriesAllowed, 0,
+        'the retry budget is not charged');
+    assert.deepEqual(hedged.stats, [], 'nothing hedged');
+
+    assert.end();
+});
+
+test('no hedge once the in request is answered', function t(assert) {
+    var policy = new HedgePolicy('steve', {});
+    var hedged = createHedgedRequest(policy);
+
+    hedged.send({hostPort: 'first'}, 10);
+    hedged.req.res = {codeString: 'Timeout'};
+    hedged.timers.fire();
+    assert.equal(hedged.outreqs.length, 1, 'does not hedge');
+    assert.equal(hedged.serviceProxy.retriesAllowed, 0,
+        'the retry budget is not charged');
+
+    hedged.outreqs[0].callback(null, {code: 0, arg3: 'first'});
+    assert.equal(hedged.responses.length, 0, 'the late answer is dropped');
+    assert.deepEqual(hedged.outcomes, ['first healthy'],
+        'the peer is still charged');
+
+    assert.end();
+});
+
+test('requests that are not hedged tell the delay', function t(assert) {
+    var timers = new FakeTimers();
+    var policy = new HedgePolicy('steve', {
+        percentile: 50
+    });
+    var outcomes = [];
+    var circuit = {
+        state: {
+            onRequestHealthy: function onRequestHealthy() {
+                outcomes.push('healthy');
+            },
+            onRequestError: function onRequestError() {
+                outcomes.push('error');
+            }
+        }
+    };
+
+    for (var i = 0; i < 10; i++) {
+        var req = {circuit: circuit};
+        policy.observeRequest(req, timers);
+        timers.time += 3;
+        req.circuit.state.onRequestHealthy();
+        req.circuit.state.onRequestError(new Error('late'));
+    }
+    assert.equal(policy.getDelay('echo'), 3,
+        'the latencies of relayed requests give the delay');
+    assert.equal(policy.latencies.length, 10, 'each request is observed once');
+    assert.equal(outcomes.length, 20, 'the wrapped circuit is told');
+
+    var failed = {circuit: null};
+    policy.observeRequest(failed, timers);
+    timers.time += 1000;
+    failed.circuit.state.onRequestError(new Error('oops'));
+    assert.equal(policy.latencies.length, 10, 'failures are not observed');
+
+    assert.end();
+});
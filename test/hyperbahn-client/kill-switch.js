@@ -20,6 +20,8 @@
 
 'use strict';
 
+var timers = require('timers');
+
 var TestCluster = require('../lib/test-cluster.js');
 
 TestCluster.test('set cn/service', {
@@ -80,3 +82,85 @@ TestCluster.test('clear cn/service', {
     proxy.channel.close();
     assert.end();
 });
+
+TestCluster.test('kill switch with ttl expires', {
+    size: 1
+}, function t(cluster, assert) {
+    var proxy = cluster.apps[0].clients.serviceProxy;
+    cluster.logger.whitelist('info', 'kill switch expired');
+
+    proxy.block('client1', 'service1', {
+        ttl: 1,
+        reason: 'bad deploy',
+        operator: 'alice'
+    });
+    proxy.block('client1', 'service2', {
+        reason: 'bad deploy'
+    });
+
+    var entry = proxy.blockingTable['client1~~service1'];
+    assert.equals(entry.expiresAt, entry.blockedAt + 1, 'set the expiry');
+    assert.equals(entry.reason, 'bad deploy', 'set the reason');
+    assert.equals(entry.operator, 'alice', 'set the operator');
+    assert.equals(proxy.blockingTable['client1~~service2'].expiresAt, null,
+        'kill switch without ttl never expires');
+
+    timers.setTimeout(function expire() {
+        proxy.killSwitchExpirer.run(onExpired);
+    }, 10);
+
+    function onExpired() {
+        assert.notOk(proxy.isBlocked('client1', 'service1'), 'client1/service1 expired');
+        assert.ok(proxy.isBlocked('client1', 'service2'), 'client1/service2 is still blocked');
+
+        var logs = cluster.logger.items().filter(function isExpiry(log) {
+            return log.msg === 'kill switch expired';
+        });
+        assert.equals(logs.length, 1, 'logged the expiry');
+        assert.equals(logs[0].meta.operator, 'alice', 'logged who set it');
+
+        proxy.destroy();
+        proxy.channel.close();
+        assert.end();
+    }
+});
+
+TestCluster.test('kill switch for an endpoint and a percentage', {
+    size: 1,
+    remoteConfig: {
+        killSwitch: [
+            '*~~service3~~echo',
+            {edge: 'client2~~service4', percent: 50},
+            '*~~*~~echo'
+        ]
+    }
+}, function t(cluster, assert) {
+    var proxy = cluster.apps[0].clients.serviceProxy;
+
+    assert.ok(proxy.blockingEndpoints, 'remote config has endpoint kill switches');
+    assert.ok(proxy.isBlocked('client1', 'service3', 'echo'), 'blocks service3 echo');
+    assert.notOk(proxy.isBlocked('client1', 'service3', 'ping'), 'does not block service3 ping');
+    assert.notOk(proxy.isBlocked('client1', 'service5', 'echo'), 'ignores endpoints of every service');
+
+    proxy.random = function random() {
+        return 0.49;
+    };
+    assert.ok(proxy.isBlocked('client2', 'service4', 'echo'), 'drops a request under the percentage');
+    proxy.random = function random() {
+        return 0.5;
+    };
+    assert.notOk(proxy.isBlocked('client2', 'service4', 'echo'), 'lets a request over the percentage through');
+
+    proxy.block('client1', 'service1', {endpoint: 'echo'});
+    assert.ok(proxy.isBlocked('client1', 'service1', 'echo'), 'blocks client1 to service1 echo');
+    assert.notOk(proxy.isBlocked('client1', 'service1'), 'does not block the rest of service1');
+    proxy.unblock('client1', 'service1', 'echo');
+    assert.notOk(proxy.isBlocked('client1', 'service1', 'echo'), 'unblocks client1 to service1 echo');
+
+    proxy.unblockAllRemoteConfig();
+    assert.notOk(proxy.blockingEndpoints, 'no endpoint kill switches left');
+
+    proxy.destroy();
+    proxy.channel.close();
+    assert.end();
+});
@@ -29,6 +29,7 @@ var TestCluster = require('./lib/test-cluster.js');
 require('./endpoint-logging.js');
 
 require('./admin/channels.js');
+require('./admin/circuits.js');
 require('./admin/kill-switch.js');
 require('./admin/rate-limiter.js');
 
@@ -65,6 +66,15 @@ require('./forward/forwarding-under-membershipchange-is-non-event.js');
 require('./forward/dead-remote-reaped.js');
 require('./forward/routing-delegate.js');
 require('./forward/stats-for-rate-limited-requests.js');
+require('./forward/traffic-split.js');
+require('./forward/zone-affinity.js');
+require('./forward/shadowing.js');
+require('./forward/routing-rules.js');
+require('./forward/fault-injection.js');
+require('./forward/hedging.js');
+require('./forward/retry-budget.js');
+require('./forward/relay-ttl-limits.js');
+require('./forward/priority-shedding.js');
 
 require('./hosts/happy-path.js');
 require('./hosts/no-body.js');
@@ -92,6 +102,7 @@ require('./register/validation-errors.js');
 require('./register/register-where-entry-node-is-exit-node.js');
 require('./register/register-when-exit-node-is-down.js');
 require('./register/register-with-slow-affinity.js');
+require('./register/advertise-metadata.js');
 
 require('./time-series/making-requests-with-a-single-busy-hyperbahn-worker.js');
 require('./time-series/requesting-a-service-with-spiky-traffic.js');
@@ -101,7 +112,19 @@ require('./remote-config-client.js');
 require('./remote-config.js');
 require('./rate-limiter.js');
 require('./sorted-index-of.js');
+require('./choose-matching-peer.js');
 require('./partial-affinity.js');
 require('./partial-range.js');
 require('./peer-reaper-runs.js');
 require('./peer-churn.js');
+require('./peer-metadata.js');
+require('./traffic-split.js');
+require('./zone-affinity.js');
+require('./shadow-rule.js');
+require('./routing-rules.js');
+require('./outlier-detector.js');
+require('./concurrency-limiter.js');
+require('./runtime-state.js');
+require('./fault-injection.js');
+require('./retry-budget.js');
+require('./hedging.js');
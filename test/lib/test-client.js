@@ -179,6 +179,62 @@ TestClient.prototype.sendKillSwitch = function sendKillSwitch(body, cb) {
     }, cb);
 };
 
+TestClient.prototype.sendShadowing = function sendShadowing(body, cb) {
+    var self = this;
+
+    jsonSend(self, {
+        endpoint: 'shadowing_v1',
+        serviceName: 'autobahn',
+        head: null,
+        body: body
+    }, cb);
+};
+
+TestClient.prototype.sendFaultInjection =
+function sendFaultInjection(body, cb) {
+    var self = this;
+
+    jsonSend(self, {
+        endpoint: 'fault_injection_v1',
+        serviceName: 'autobahn',
+        head: null,
+        body: body
+    }, cb);
+};
+
+TestClient.prototype.sendChannels = function sendChannels(cb) {
+    var self = this;
+
+    jsonSend(self, {
+        endpoint: 'channels_v1',
+        serviceName: 'autobahn',
+        head: null,
+        body: null
+    }, cb);
+};
+
+TestClient.prototype.getRoutingRules = function getRoutingRules(cb) {
+    var self = this;
+
+    jsonSend(self, {
+        endpoint: 'routing_rules_v1',
+        serviceName: 'autobahn',
+        head: null,
+        body: null
+    }, cb);
+};
+
+TestClient.prototype.getRoutingRules = function getRoutingRules(cb) {
+    var self = this;
+
+    jsonSend(self, {
+        endpoint: 'routing_rules_v1',
+        serviceName: 'autobahn',
+        head: null,
+        body: null
+    }, cb);
+};
+
 TestClient.prototype.sendHeapDump = function sendHeapDump(cb) {
     var self = this;
 
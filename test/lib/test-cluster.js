@@ -657,11 +657,15 @@ TestCluster.prototype.getExitNodes = function getExitNodes(serviceName) {
 TestCluster.prototype.sendRegister =
 function sendRegister(channel, opts, cb) {
     var self = this;
+    var service = {
+        cost: 0,
+        serviceName: opts.serviceName
+    };
+    if (opts.metadata) {
+        service.metadata = opts.metadata;
+    }
     self.sendHyperbahn(channel, opts, 'ad', null, {
-        services: [{
-            cost: 0,
-            serviceName: opts.serviceName
-        }]
+        services: [service]
     }, cb);
 };
 
@@ -886,7 +890,8 @@ function doRegister() {
     this.registerTimer = null;
     if (!this.channel.destroyed) {
         this.cluster.sendRegister(this.channel, {
-            serviceName: this.serviceName
+            serviceName: this.serviceName,
+            metadata: this.opts.metadata
         }, this.boundOnRegister);
     }
 };
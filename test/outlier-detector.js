@@ -0,0 +1,194 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var OutlierDetector = require('../outlier-detector.js');
+
+function FakeTimers() {
+    this.time = 1000;
+}
+
+FakeTimers.prototype.now = function now() {
+    return this.time;
+};
+
+FakeTimers.prototype.setTimeout = function setTimeout() {
+    return {};
+};
+
+FakeTimers.prototype.clearTimeout = function clearTimeout() {
+};
+
+function createDetector(numPeers, config) {
+    var stats = [];
+    var detector = new OutlierDetector({
+        logger: {
+            info: function info() {}
+        },
+        batchStats: {
+            pushStat: function pushStat(name, type, value, tags) {
+                stats.push({name: name, value: value});
+            }
+        },
+        timers: new FakeTimers(),
+        getPeerCount: function getPeerCount() {
+            return numPeers;
+        }
+    });
+    detector.stats = stats;
+    detector.setConfig(config || {});
+    detector.setEnabled(true);
+    return detector;
+}
+
+function recordMany(detector, hostPort, count, ok, latency) {
+    for (var i = 0; i < count; i++) {
+        detector.record('steve', hostPort, ok, latency);
+    }
+}
+
+function evaluate(detector) {
+    var service = detector.services.steve;
+    detector.evaluateService('steve', service, detector.timers.now());
+}
+
+test('ejects peers with a high error rate', function t(assert) {
+    var detector = createDetector(10, {minRequests: 5});
+
+    recordMany(detector, 'a:1', 10, true, 10);
+    recordMany(detector, 'b:1', 10, false, 10);
+    recordMany(detector, 'c:1', 2, false, 10);
+    evaluate(detector);
+
+    assert.deepEqual(detector.getEjectionInfo('steve', 'b:1'), {
+        ejectedUntil: 1000 + 30000,
+        ejectionCount: 1
+    }, 'erroring peer is ejected');
+    assert.equal(detector.getEjectionInfo('steve', 'a:1'), null,
+        'healthy peer is not ejected');
+    assert.equal(detector.getEjectionInfo('steve', 'c:1'), null,
+        'peer below minRequests is not judged');
+
+    var filter = detector.createFilter(detector.getEjections('steve'));
+    assert.equal(filter.accept('b:1'), false, 'filter skips ejected peer');
+    assert.equal(filter.accept('a:1'), true, 'filter accepts healthy peer');
+    assert.equal(filter.accept('d:1'), true, 'filter accepts unknown peer');
+
+    assert.ok(detector.stats.some(function isEjection(stat) {
+        return stat.name === 'hyperbahn.outlier.ejections';
+    }), 'ejection stat is emitted');
+
+    assert.end();
+});
+
+test('ejection time grows exponentially', function t(assert) {
+    var detector = createDetector(10, {
+        minRequests: 1,
+        baseEjectionTime: 100,
+        maxEjectionTime: 300
+    });
+
+    var expected = [100, 200, 300];
+    for (var i = 0; i < expected.length; i++) {
+        recordMany(detector, 'a:1', 10, true, 10);
+        recordMany(detector, 'b:1', 10, false, 10);
+        evaluate(detector);
+
+        var info = detector.getEjectionInfo('steve', 'b:1');
+        assert.equal(info.ejectedUntil - detector.timers.now(), expected[i],
+            'ejection ' + (i + 1) + ' lasts ' + expected[i] + 'ms');
+        detector.timers.time = info.ejectedUntil;
+    }
+
+    assert.end();
+});
+
+test('ejects peers with outlying latency', function t(assert) {
+    var detector = createDetector(10, {minRequests: 1, latencyFactor: 3});
+
+    recordMany(detector, 'a:1', 10, true, 10);
+    recordMany(detector, 'b:1', 10, true, 12);
+    recordMany(detector, 'c:1', 10, true, 100);
+    evaluate(detector);
+
+    assert.equal(detector.getEjectionInfo('steve', 'a:1'), null,
+        'fast peer is not ejected');
+    assert.ok(detector.getEjectionInfo('steve', 'c:1'),
+        'slow peer is ejected');
+
+    assert.end();
+});
+
+test('caps the fraction of ejected peers', function t(assert) {
+    var detector = createDetector(4, {
+        minRequests: 1,
+        maxEjectionPercent: 50
+    });
+
+    recordMany(detector, 'a:1', 10, false, 10);
+    recordMany(detector, 'b:1', 10, false, 10);
+    recordMany(detector, 'c:1', 10, false, 10);
+    recordMany(detector, 'd:1', 10, false, 10);
+    evaluate(detector);
+
+    assert.equal(detector.getEjections('steve').numEjected, 2,
+        'ejects at most half of the peers');
+
+    var single = createDetector(1, {minRequests: 1});
+    recordMany(single, 'a:1', 10, false, 10);
+    evaluate(single);
+    assert.equal(single.getEjections('steve'), null,
+        'never ejects the only peer');
+
+    assert.end();
+});
+
+test('observed requests are recorded once', function t(assert) {
+    var detector = createDetector(10, {});
+    var calls = [];
+    var req = {
+        circuit: {
+            state: {
+                onRequestError: function onRequestError() {
+                    calls.push('error');
+                }
+            }
+        }
+    };
+
+    detector.observe(req, 'steve', 'a:1');
+    req.circuit.state.onRequestError(new Error('oops'));
+    req.circuit.state.onRequestError(new Error('oops'));
+
+    var peer = detector.services.steve.peers['a:1'];
+    assert.equal(peer.requests, 1, 'one request recorded');
+    assert.equal(peer.errors, 1, 'one error recorded');
+    assert.deepEqual(calls, ['error', 'error'],
+        'original circuit is still told');
+
+    detector.setEnabled(false);
+    assert.equal(detector.services.steve, undefined,
+        'disabling forgets outliers');
+
+    assert.end();
+});
@@ -0,0 +1,92 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var PeerMetadata = require('../peer-metadata.js');
+
+test('parse missing metadata', function t(assert) {
+    var result = PeerMetadata.parse(undefined);
+    assert.equal(result.error, null, 'no error');
+    assert.equal(result.metadata, null, 'no metadata');
+
+    result = PeerMetadata.parse(null);
+    assert.equal(result.error, null, 'no error for null');
+    assert.equal(result.metadata, null, 'no metadata for null');
+
+    assert.end();
+});
+
+test('parse full metadata', function t(assert) {
+    var result = PeerMetadata.parse({
+        version: 'v42',
+        zone: 'dca1',
+        weight: 2,
+        tags: {
+            owner: 'bob'
+        },
+        ignored: true
+    });
+
+    assert.equal(result.error, null, 'no error');
+    assert.deepEqual(result.metadata, new PeerMetadata(
+        'v42', 'dca1', 2, {owner: 'bob'}
+    ), 'expected metadata');
+
+    result = PeerMetadata.parse({zone: 'sjc1'});
+    assert.equal(result.error, null, 'no error for partial metadata');
+    assert.deepEqual(result.metadata, new PeerMetadata(
+        null, 'sjc1', null, null
+    ), 'missing fields are null');
+
+    assert.end();
+});
+
+test('parse invalid metadata', function t(assert) {
+    var tooManyTags = {};
+    for (var i = 0; i < 33; i++) {
+        tooManyTags['tag' + i] = 'value';
+    }
+
+    [
+        'v42',
+        [],
+        {version: ''},
+        {version: 42},
+        {zone: new Array(258).join('x')},
+        {weight: -1},
+        {weight: Infinity},
+        {weight: '1'},
+        {tags: null},
+        {tags: ['a']},
+        {tags: {owner: 1}},
+        {tags: tooManyTags}
+    ].forEach(function each(raw) {
+        var result = PeerMetadata.parse(raw);
+        assert.equal(result.error && result.error.type,
+            'hyperbahn.invalid-advertisement-metadata',
+            'expected error for ' + JSON.stringify(raw).slice(0, 40));
+        assert.equal(result.metadata, null, 'no metadata');
+    });
+
+    assert.end();
+});
@@ -377,3 +377,192 @@ allocCluster.test('rate exempt service works 2', {
 
     assert.end();
 });
+
+allocCluster.test('token bucket allows bursts', {
+    size: 1,
+    remoteConfig: {
+        'rateLimiting.rateLimiterBuckets': 2,
+        'rateLimiting.totalRpsLimit': 3,
+        'rateLimiting.totalBurst': 6,
+        'rateLimiting.rpsLimitForServiceName': {
+            steve: 2,
+            bob: 2
+        },
+        'rateLimiting.burstForServiceName': {
+            steve: 4
+        }
+    },
+    statsdSize: 100
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var rateLimiter = app.clients.serviceProxy.rateLimiter;
+
+    increment(rateLimiter, 'steve', 'bob');
+    increment(rateLimiter, 'steve', 'bob');
+    increment(rateLimiter, 'steve', 'bob');
+
+    assert.equals(rateLimiter.serviceCounters.steve.mode, 'token-bucket', 'steve uses a token bucket');
+    assert.equals(rateLimiter.serviceCounters.bob.mode, 'sliding-window', 'bob uses a sliding window');
+    assert.equals(rateLimiter.serviceCounters.steve.rps, 3, 'steve\'s rps is still counted');
+
+    assert.ok(!rateLimiter.shouldRateLimitService('steve'), 'should not rate limit steve within burst');
+    assert.ok(rateLimiter.shouldRateLimitService('bob'), 'should rate limit bob');
+    assert.ok(rateLimiter.shouldRateLimitTotalRequest(), 'should rate limit total past burst');
+
+    increment(rateLimiter, 'steve');
+
+    assert.ok(rateLimiter.shouldRateLimitService('steve'), 'should rate limit steve past burst');
+
+    rateLimiter.serviceCounters.steve.refresh();
+    assert.equals(rateLimiter.serviceCounters.steve.tokens, 1, 'refills rpsLimit per second');
+    assert.ok(!rateLimiter.shouldRateLimitService('steve'), 'should not rate limit steve after refill');
+
+    rateLimiter.updateServiceBurst('steve', null);
+    assert.equals(rateLimiter.serviceCounters.steve.mode, 'sliding-window', 'steve is back to a sliding window');
+    assert.equals(Object.keys(rateLimiter.burstForServiceName).length, 0, 'no service in token bucket mode');
+
+    rateLimiter.updateTotalBurst(null);
+    assert.equals(rateLimiter.totalRequestCounter.mode, 'sliding-window', 'total is back to a sliding window');
+
+    assert.end();
+});
+
+allocCluster.test('shadow mode only reports rate limiting', {
+    size: 1,
+    remoteConfig: {
+        'rateLimiting.rateLimiterBuckets': 2,
+        'rateLimiting.defaultTotalKillSwitchBuffer': 10,
+        'rateLimiting.totalRpsLimit': 2,
+        'rateLimiting.shadowServices': ['steve']
+    },
+    statsdSize: 100
+}, function t(cluster, assert) {
+    cluster.logger.whitelist('info', 'hyperbahn would have rate-limited in shadow mode');
+
+    var serviceProxy = cluster.apps[0].clients.serviceProxy;
+    var rateLimiter = serviceProxy.rateLimiter;
+
+    assert.ok(rateLimiter.isShadowMode('steve'), 'steve is in shadow mode');
+    assert.ok(!rateLimiter.isShadowMode('bob'), 'bob is not in shadow mode');
+
+    for (var i = 0; i < 4; i++) {
+        assert.equals(serviceProxy.rateLimit('alice', 'steve'), '', 'lets steve\'s request through');
+    }
+    assert.equals(rateLimiter.totalRequestCounter.rps, 4, 'counts the shadowed requests');
+    assert.equals(serviceProxy.rateLimit('alice', 'bob'), 'total', 'rate limits bob');
+
+    var logs = cluster.logger.items().filter(function isShadowLog(log) {
+        return log.msg === 'hyperbahn would have rate-limited in shadow mode';
+    });
+    assert.equals(logs.length, 2, 'logs the would-have-limited requests');
+    assert.equals(logs[0].meta.rateLimitReason, 'total', 'logs the reason');
+
+    rateLimiter.updateShadowServices([]);
+    assert.equals(serviceProxy.rateLimit('alice', 'steve'), 'total', 'rate limits steve out of shadow mode');
+
+    rateLimiter.updateShadowMode(true);
+    assert.equals(serviceProxy.rateLimit('alice', 'bob'), '', 'shadows every service globally');
+
+    assert.end();
+});
+
+allocCluster.test('cluster service limits are shared by exit nodes', {
+    size: 2,
+    remoteConfig: {
+        'kValue.default': 2,
+        'rateLimiting.rpsLimitForServiceName': {
+            steve: 3
+        },
+        'rateLimiting.clusterRpsLimitForServiceName': {
+            steve: 10
+        }
+    }
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var serviceProxy = app.clients.serviceProxy;
+    var rateLimiter = serviceProxy.rateLimiter;
+
+    var exitCount = Object.keys(app.clients.egressNodes.exitsFor('steve')).length;
+    var counter = rateLimiter.createServiceCounter('steve');
+    assert.equals(counter.rpsLimit, Math.ceil(10 / exitCount), 'steve gets its share of the cluster limit');
+    assert.equals(rateLimiter.getLocalRpsLimits().steve, counter.rpsLimit, 'reports the local share');
+
+    app.client.sendSetK({
+        serviceName: 'steve',
+        k: 1
+    }, onSetK);
+
+    function onSetK(err) {
+        assert.ifError(err, 'set_k_v1 does not error');
+        assert.equals(counter.rpsLimit, 10, 'a single exit node gets the whole cluster limit');
+
+        rateLimiter.updateClusterRpsLimitForAllServices({});
+        assert.equals(counter.rpsLimit, 3, 'steve is back to its per node limit');
+        assert.equals(Object.keys(rateLimiter.getLocalRpsLimits()).length, 0, 'no cluster limits');
+
+        assert.end();
+    }
+});
+
+allocCluster.test('low priority traffic is shed first', {
+    size: 1,
+    remoteConfig: {
+        'rateLimiting.rateLimiterBuckets': 2,
+        'rateLimiting.defaultTotalKillSwitchBuffer': 100,
+        'rateLimiting.totalRpsLimit': 10,
+        'rateLimiting.priorityShares': {
+            low: 0.5,
+            normal: 0.8,
+            urgent: 0.1
+        },
+        'rateLimiting.callerPriorities': {
+            backfill: 'low',
+            batch: 'urgent'
+        }
+    },
+    whitelist: [
+        ['warn', 'ignoring invalid caller priority']
+    ]
+}, function t(cluster, assert) {
+    var serviceProxy = cluster.apps[0].clients.serviceProxy;
+    var rateLimiter = serviceProxy.rateLimiter;
+
+    var shed = [];
+    var pushStat = rateLimiter.batchStats.pushStat;
+    rateLimiter.batchStats.pushStat = function spy(name, type, value, tags) {
+        if (name === 'tchannel.rate-limiting.priority-shed') {
+            shed.push(tags.priority);
+        }
+        return pushStat.apply(this, arguments);
+    };
+
+    assert.deepEqual(Object.keys(rateLimiter.priorityShares), ['normal', 'low'],
+        'ignores unknown priorities');
+    assert.equals(serviceProxy.getPriority('backfill', 'high'), 'low', 'caller priorities win');
+    assert.equals(serviceProxy.getPriority('alice', 'high'), 'high', 'callers mark their priority');
+    assert.equals(serviceProxy.getPriority('alice', 'urgent'), 'normal', 'unknown priorities are normal');
+    assert.equals(serviceProxy.getPriority('batch', null), 'normal', 'invalid caller priorities are ignored');
+
+    var i;
+    for (i = 0; i < 6; i++) {
+        serviceProxy.rateLimit('alice', 'steve', 'normal');
+    }
+    assert.equals(serviceProxy.rateLimit('backfill', 'steve', 'low'), 'total', 'sheds low past half the limit');
+
+    for (i = 0; i < 3; i++) {
+        assert.equals(serviceProxy.rateLimit('alice', 'steve', 'normal'), '', 'lets normal through');
+    }
+    assert.equals(serviceProxy.rateLimit('alice', 'steve', 'normal'), 'total', 'sheds normal past its share');
+
+    assert.equals(serviceProxy.rateLimit('web', 'steve', 'high'), '', 'lets high through');
+    assert.equals(serviceProxy.rateLimit('web', 'steve', 'high'), 'total', 'until the whole limit');
+
+    assert.deepEqual(shed, ['low', 'normal'], 'counts the requests shed for their priority');
+
+    rateLimiter.updatePriorityShares({});
+    assert.notOk(rateLimiter.hasPriorityShares(), 'priorities can be turned off');
+    assert.equals(rateLimiter.getPriorityShare('low'), 1, 'which gives every priority the whole limit');
+
+    rateLimiter.batchStats.pushStat = pushStat;
+    assert.end();
+});
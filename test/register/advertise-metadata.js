@@ -0,0 +1,137 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var allocCluster = require('../lib/test-cluster.js');
+var CollapsedAssert = require('../lib/collapsed-assert.js');
+
+allocCluster.test('register with metadata', {
+    size: 5,
+    dummies: 1
+}, function t(cluster, assert) {
+    var dummy = cluster.dummies[0];
+    var metadata = {
+        version: 'v42',
+        zone: 'dca1',
+        weight: 1,
+        tags: {
+            owner: 'bob'
+        }
+    };
+
+    cluster.sendRegister(dummy, {
+        serviceName: 'hello-bob',
+        metadata: metadata
+    }, onResponse);
+
+    function onResponse(err) {
+        assert.ifError(err, 'register does not error');
+
+        cluster.untilExitsConnected('hello-bob', dummy, checkExits);
+    }
+
+    function checkExits() {
+        var cassert = CollapsedAssert();
+        var exitShard = cluster.apps[0].clients.egressNodes
+            .exitsFor('hello-bob');
+
+        cluster.apps.forEach(function each(app) {
+            var serviceProxy = app.clients.serviceProxy;
+            var actual = serviceProxy.getPeerMetadata(
+                'hello-bob', dummy.hostPort
+            );
+
+            if (exitShard[app.hostPort]) {
+                cassert.deepEqual(actual, {
+                    version: 'v42',
+                    zone: 'dca1',
+                    weight: 1,
+                    tags: {
+                        owner: 'bob'
+                    }
+                }, 'exit node has metadata');
+            } else {
+                cassert.equal(actual, null, 'non exit has no metadata');
+            }
+        });
+
+        cassert.report(assert, 'metadata is stored on exit nodes');
+
+        var exitApp = cluster.apps.filter(function isExit(app) {
+            return !!exitShard[app.hostPort];
+        })[0];
+
+        exitApp.client.getHosts({
+            serviceName: 'hello-bob',
+            withMetadata: true
+        }, onHosts);
+    }
+
+    function onHosts(err, resp) {
+        assert.ifError(err, 'hosts does not error');
+
+        assert.deepEqual(resp.body.exitNodes.sort(),
+            Object.keys(cluster.apps[0].clients.egressNodes
+                .exitsFor('hello-bob')).sort(),
+            'hosts returns exit nodes');
+        assert.equal(resp.body.peers[dummy.hostPort].version, 'v42',
+            'hosts returns peer metadata');
+
+        assert.end();
+    }
+});
+
+allocCluster.test('register with invalid metadata', {
+    size: 5,
+    dummies: 1
+}, function t(cluster, assert) {
+    var dummy = cluster.dummies[0];
+
+    cluster.logger.whitelist('warn', 'ignoring invalid advertisement metadata');
+
+    cluster.sendRegister(dummy, {
+        serviceName: 'hello-bob',
+        metadata: {
+            weight: -1
+        }
+    }, onResponse);
+
+    function onResponse(err) {
+        assert.ifError(err, 'register does not error');
+
+        cluster.untilExitsConnected('hello-bob', dummy, checkExits);
+    }
+
+    function checkExits() {
+        cluster.checkExitPeers(assert, {
+            serviceName: 'hello-bob',
+            hostPort: dummy.hostPort
+        });
+
+        cluster.apps.forEach(function each(app) {
+            assert.equal(app.clients.serviceProxy.getPeerMetadata(
+                'hello-bob', dummy.hostPort
+            ), null, 'invalid metadata is not stored');
+        });
+
+        assert.end();
+    }
+});
@@ -0,0 +1,135 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var RetryBudget = require('../retry-budget.js');
+
+function FakeTimers() {
+    this.time = 1000;
+}
+
+FakeTimers.prototype.now = function now() {
+    return this.time;
+};
+
+function createBudget(options) {
+    var timers = new FakeTimers();
+    var budget = new RetryBudget('steve', {
+        timers: timers,
+        maxRetryRatio: options.maxRetryRatio,
+        window: 1000,
+        numOfBuckets: 10,
+        minRequests: options.minRequests
+    });
+    return {
+        timers: timers,
+        budget: budget
+    };
+}
+
+function sendRequests(budget, requests, retries) {
+    var i;
+    for (i = 0; i < requests; i++) {
+        budget.incrementRequest(false);
+    }
+    for (i = 0; i < retries; i++) {
+        budget.incrementRequest(true);
+    }
+}
+
+test('RetryBudget validates its options', function t(assert) {
+    assert.equal(RetryBudget.validate({maxRetryRatio: 0.1}), null,
+        'a ratio is enough');
+    assert.equal(RetryBudget.validate({maxRetryRatio: 0}), null,
+        'a ratio of 0 turns down every retry');
+    assert.equal(RetryBudget.validate(0.1), 'expected an object',
+        'options must be an object');
+    assert.equal(RetryBudget.validate({}),
+        'maxRetryRatio must be a non-negative number',
+        'the ratio is required');
+    assert.equal(RetryBudget.validate({maxRetryRatio: -1}),
+        'maxRetryRatio must be a non-negative number',
+        'the ratio must not be negative');
+    assert.equal(RetryBudget.validate({maxRetryRatio: 0.1, window: 0}),
+        'window must be a positive number',
+        'the window must be positive');
+    assert.equal(RetryBudget.validate({maxRetryRatio: 0.1, minRequests: '5'}),
+        'minRequests must be a positive number',
+        'minRequests must be a number');
+    assert.end();
+});
+
+test('RetryBudget is only enforced once warmed up', function t(assert) {
+    var budget = createBudget({
+        maxRetryRatio: 0.5,
+        minRequests: 4
+    }).budget;
+
+    sendRequests(budget, 3, 3);
+    assert.equal(budget.currentRetryRatio(), 1, 'counts retries per request');
+    assert.notOk(budget.isWarmedUp(), 'not warmed up below minRequests');
+    assert.notOk(budget.isExhausted(), 'so retries are let through');
+
+    sendRequests(budget, 1, 0);
+    assert.ok(budget.isWarmedUp(), 'warmed up at minRequests');
+    assert.ok(budget.isExhausted(), 'retries are turned down');
+
+    sendRequests(budget, 4, 0);
+    assert.equal(budget.currentRetryRatio(), 3 / 8, 'ratio drops');
+    assert.notOk(budget.isExhausted(), 'retries are let through again');
+    assert.end();
+});
+
+test('RetryBudget forgets requests older than the window', function t(assert) {
+    var fake = createBudget({
+        maxRetryRatio: 0.5,
+        minRequests: 1
+    });
+    var budget = fake.budget;
+
+    sendRequests(budget, 10, 5);
+    assert.ok(budget.isExhausted(), 'exhausted at the max ratio');
+
+    fake.timers.time += 500;
+    sendRequests(budget, 10, 0);
+    assert.deepEqual([budget.requests, budget.retries], [20, 5],
+        'half a window later everything is counted');
+
+    fake.timers.time += 500;
+    assert.deepEqual([budget.requests, budget.retries], [20, 5],
+        'counts only move on access');
+    assert.deepEqual(budget.getInfo(), {
+        maxRetryRatio: 0.5,
+        window: 1000,
+        minRequests: 1,
+        requests: 10,
+        retries: 0,
+        retryRatio: 0,
+        exhausted: false
+    }, 'a window later the first requests are gone');
+
+    fake.timers.time += 5000;
+    assert.equal(budget.currentRetryRatio(), 0, 'no requests, no retries');
+    assert.notOk(budget.isWarmedUp(), 'an idle budget cools down');
+    assert.end();
+});
@@ -0,0 +1,96 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var RoutingRules = require('../routing-rules.js');
+
+test('routing rules validation', function t(assert) {
+    var rules = new RoutingRules([
+        {match: {serviceName: 'steve'}, serviceName: 'mary'},
+        {match: {headers: {'x-route': 'mary'}}, headers: {'x-routed': 'yes'}},
+        {match: {callerName: 'bob'}, reject: {}},
+        null,
+        {match: {serviceName: 'steve'}},
+        {match: {serviceName: 42}, serviceName: 'mary'},
+        {serviceName: 'mary', reject: {}},
+        {reject: {codeName: 'NotACode'}},
+        {headers: {cn: 'mallory'}},
+        {headers: {'x-count': 1}}
+    ]);
+
+    assert.equal(rules.rules.length, 3, 'three valid rules');
+    assert.deepEqual(rules.invalid.map(function index(invalid) {
+        return invalid.index;
+    }), [3, 4, 5, 6, 7, 8, 9], 'invalid rules are reported by index');
+    assert.equal(rules.rules[0].name, 'rule-0', 'default name');
+    assert.equal(rules.rules[2].reject.codeName, 'Declined',
+        'reject defaults to Declined');
+
+    assert.end();
+});
+
+test('routing rules matching', function t(assert) {
+    var rules = new RoutingRules([
+        {
+            name: 'reject-bob',
+            match: {callerName: 'bob', endpoint: 'forbidden'},
+            reject: {codeName: 'Busy', message: 'nope'}
+        },
+        {
+            name: 'to-mary',
+            match: {serviceName: 'steve', headers: {'x-route': 'mary'}},
+            serviceName: 'mary',
+            headers: {'x-routed': 'yes'}
+        }
+    ]);
+
+    assert.equal(rules.mayMatch('bob', 'anything'), true,
+        'may match by caller');
+    assert.equal(rules.mayMatch('alice', 'steve'), true,
+        'may match by service');
+    assert.equal(rules.mayMatch('alice', 'bob'), false,
+        'cannot match');
+
+    assert.equal(rules.match('bob', 'steve', 'forbidden', {}).name,
+        'reject-bob', 'first matching rule wins');
+    assert.equal(rules.match('bob', 'steve', 'echo', {}), null,
+        'endpoint must match');
+    assert.equal(rules.match('alice', 'steve', 'echo', {
+        'x-route': 'mary'
+    }).name, 'to-mary', 'header match');
+    assert.equal(rules.match('alice', 'steve', 'echo', {
+        'x-route': 'steve'
+    }), null, 'header must match');
+
+    var req = {
+        serviceName: 'steve',
+        headers: {'x-route': 'mary'}
+    };
+    rules.rules[1].apply(req);
+    assert.deepEqual(req, {
+        serviceName: 'mary',
+        headers: {'x-route': 'mary', 'x-routed': 'yes'}
+    }, 'rule rewrites service and adds headers');
+
+    assert.end();
+});
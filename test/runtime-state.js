@@ -0,0 +1,154 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var process = require('process');
+
+var Admin = require('../bin/admin.js');
+var allocCluster = require('./lib/test-cluster.js');
+
+var stateFile = path.join('/tmp',
+    'runtime_state[' + process.pid + '].json');
+
+allocCluster.test('admin changes are restored after a restart', {
+    size: 1,
+    seedConfig: {
+        'hyperbahn.runtimeState.file': stateFile
+    },
+    whitelist: [
+        ['info', 'adopted kill switches'],
+        ['info', 'restored runtime state']
+    ]
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+
+    app.client.sendKillSwitch({
+        type: 'block',
+        cn: '*',
+        serviceName: 'steve',
+        reason: 'incident'
+    }, onBlocked);
+
+    function onBlocked(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        app.client.sendSetK({
+            serviceName: 'steve',
+            k: 3
+        }, onSetK);
+    }
+
+    function onSetK(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        Admin.exec('rate-limiter total-limit 7', {
+            hosts: [app.hostPort]
+        }, onTotalLimit);
+    }
+
+    function onTotalLimit(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        assert.ok(saved.sections.killSwitches.state.blockingTable['*~~steve'],
+            'should save the kill switch');
+        assert.equal(saved.sections.kValues.steve, 3, 'should save the k value');
+        assert.equal(saved.sections.rateLimiting.totalRpsLimit, 7,
+            'should save the total limit');
+
+        // a node started afterwards stands in for the restarted one
+        cluster.grow(1, onGrown);
+    }
+
+    function onGrown(err) {
+        if (err) {
+            return assert.end(err);
+        }
+
+        var restarted = cluster.apps[1];
+        var proxy = restarted.clients.serviceProxy;
+        assert.notOk(proxy.isBlocked('*', 'steve'), 'starts without the kill switch');
+
+        restarted.clients.restoreRuntimeState();
+
+        assert.ok(proxy.isBlocked('*', 'steve'), 'should restore the kill switch');
+        assert.equal(proxy.blockingTable['*~~steve'].reason, 'incident',
+            'should restore why the kill switch was set');
+        assert.equal(proxy.killSwitchVersion,
+            app.clients.serviceProxy.killSwitchVersion,
+            'should restore the kill switch version');
+        assert.equal(restarted.clients.egressNodes.kValueFor('steve'), 3,
+            'should restore the k value');
+        assert.equal(proxy.rateLimiter.totalRpsLimit, 7,
+            'should restore the total limit');
+
+        fs.unlinkSync(stateFile);
+        assert.end();
+    }
+});
+
+allocCluster.test('stale runtime state is ignored', {
+    size: 1,
+    seedConfig: {
+        'hyperbahn.runtimeState.file': stateFile,
+        'hyperbahn.runtimeState.maxAge': 1000
+    },
+    whitelist: [
+        ['warn', 'ignoring stale runtime state']
+    ]
+}, function t(cluster, assert) {
+    var app = cluster.apps[0];
+    var now = app.clients.tchannel.timers.now();
+
+    fs.writeFileSync(stateFile, JSON.stringify({
+        savedAt: now - 2000,
+        sections: {
+            kValues: {
+                steve: 3
+            },
+            rateLimiting: {
+                totalRpsLimit: 7
+            }
+        }
+    }), 'utf8');
+
+    app.clients.restoreRuntimeState();
+
+    assert.notEqual(app.clients.egressNodes.kValueFor('steve'), 3,
+        'should not restore the k value');
+    assert.notEqual(app.clients.serviceProxy.rateLimiter.totalRpsLimit, 7,
+        'should not restore the total limit');
+    var logs = cluster.logger.items().filter(function isStaleLog(log) {
+        return log.msg === 'ignoring stale runtime state';
+    });
+    assert.equal(logs.length, 1, 'should warn about the stale state');
+
+    fs.unlinkSync(stateFile);
+    assert.end();
+});
@@ -0,0 +1,90 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var ShadowRule = require('../shadow-rule.js');
+
+test('shadow rule validation', function t(assert) {
+    assert.equal(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 5,
+        callerNames: ['bob'],
+        endpoints: ['echo']
+    }), null, 'valid rule');
+    assert.equal(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 0
+    }), null, 'filters are optional');
+
+    assert.ok(ShadowRule.validate('steve', null), 'null is invalid');
+    assert.ok(ShadowRule.validate('steve', {
+        percentage: 5
+    }), 'shadowService is required');
+    assert.ok(ShadowRule.validate('steve', {
+        shadowService: 'steve',
+        percentage: 5
+    }), 'cannot shadow to itself');
+    assert.ok(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 101
+    }), 'percentage above 100 is invalid');
+    assert.ok(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: NaN
+    }), 'NaN percentage is invalid');
+    assert.ok(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 5,
+        callerNames: 'bob'
+    }), 'callerNames must be a list');
+    assert.ok(ShadowRule.validate('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 5,
+        endpoints: [1]
+    }), 'endpoints must be strings');
+
+    assert.end();
+});
+
+test('shadow rule matching', function t(assert) {
+    var all = new ShadowRule('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 5
+    });
+    assert.equal(all.matches('bob', 'echo'), true, 'matches everything');
+
+    var filtered = new ShadowRule('steve', {
+        shadowService: 'steve-shadow',
+        percentage: 5,
+        callerNames: ['bob'],
+        endpoints: ['echo']
+    });
+    assert.equal(filtered.matchesCaller('bob'), true, 'listed caller');
+    assert.equal(filtered.matchesCaller('mary'), false, 'unlisted caller');
+    assert.equal(filtered.matches('bob', 'echo'), true, 'listed endpoint');
+    assert.equal(filtered.matches('bob', 'ping'), false, 'unlisted endpoint');
+    assert.equal(filtered.matches('mary', 'echo'), false,
+        'unlisted caller on listed endpoint');
+
+    assert.end();
+});
@@ -0,0 +1,68 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var TrafficSplit = require('../traffic-split.js');
+
+test('traffic split chooses versions by weight', function t(assert) {
+    var split = new TrafficSplit('canary', {
+        v41: 95,
+        v42: 5,
+        v43: 0
+    });
+
+    assert.deepEqual(split.versions, ['v41', 'v42'],
+        'zero weight versions are dropped');
+    assert.equal(split.chooseVersion(0), 'v41', 'start of range');
+    assert.equal(split.chooseVersion(0.9499), 'v41', 'end of v41 range');
+    assert.equal(split.chooseVersion(0.95), 'v42', 'start of v42 range');
+    assert.equal(split.chooseVersion(0.9999), 'v42', 'end of range');
+
+    assert.end();
+});
+
+test('traffic split validates weights', function t(assert) {
+    assert.equal(TrafficSplit.validate({v41: 1, v42: 0}), null,
+        'valid weights');
+    assert.ok(TrafficSplit.validate(null), 'null is invalid');
+    assert.ok(TrafficSplit.validate(['v41']), 'array is invalid');
+    assert.ok(TrafficSplit.validate({v41: -1}), 'negative is invalid');
+    assert.ok(TrafficSplit.validate({v41: '5'}), 'string is invalid');
+    assert.ok(TrafficSplit.validate({v41: 0}), 'all zero is invalid');
+    assert.ok(TrafficSplit.validate({}), 'empty is invalid');
+
+    assert.end();
+});
+
+test('version filter accepts matching metadata', function t(assert) {
+    var filter = new TrafficSplit.VersionFilter({
+        '127.0.0.1:1': {version: 'v41'},
+        '127.0.0.1:2': {version: 'v42'}
+    }, 'v42');
+
+    assert.equal(filter.accept('127.0.0.1:1'), false, 'other version');
+    assert.equal(filter.accept('127.0.0.1:2'), true, 'same version');
+    assert.equal(filter.accept('127.0.0.1:3'), false, 'no metadata');
+
+    assert.end();
+});
@@ -0,0 +1,98 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var test = require('tape');
+
+var ZoneAffinity = require('../zone-affinity.js');
+
+function FakePeer(connected, draining) {
+    this.connected = connected;
+    this.draining = draining || null;
+}
+
+FakePeer.prototype.isConnected = function isConnected() {
+    return this.connected;
+};
+
+test('zone affinity is enabled only with a zone', function t(assert) {
+    var noZone = new ZoneAffinity(null);
+    noZone.setEnabled(true);
+    assert.equal(noZone.isEnabled(), false, 'disabled without a zone');
+
+    var zoneAffinity = new ZoneAffinity('dca1');
+    assert.equal(zoneAffinity.isEnabled(), false, 'disabled by default');
+    zoneAffinity.setEnabled(true);
+    assert.equal(zoneAffinity.isEnabled(), true, 'enabled with a zone');
+
+    assert.end();
+});
+
+test('zone of a worker', function t(assert) {
+    var zoneAffinity = new ZoneAffinity('dca1');
+    zoneAffinity.setZonesByHost({
+        '10.0.0.1': 'dca1',
+        '10.0.0.2:4040': 'sjc1',
+        '10.0.0.3': 42
+    });
+
+    assert.equal(zoneAffinity.zoneOf('10.0.0.1:4040', {zone: 'sjc1'}),
+        'sjc1', 'advertised zone wins');
+    assert.equal(zoneAffinity.zoneOf('10.0.0.1:4040', null),
+        'dca1', 'zone by host');
+    assert.equal(zoneAffinity.zoneOf('10.0.0.2:4040', null),
+        'sjc1', 'zone by hostPort');
+    assert.equal(zoneAffinity.zoneOf('10.0.0.3:4040', null),
+        null, 'invalid zones are ignored');
+    assert.equal(zoneAffinity.zoneOf('10.0.0.4:4040', null),
+        null, 'unknown zone');
+
+    assert.end();
+});
+
+test('local zone filter', function t(assert) {
+    var zoneAffinity = new ZoneAffinity('dca1');
+    zoneAffinity.setMinLocalPeers(2);
+
+    var filter = zoneAffinity.createFilter({
+        '10.0.0.1:1': {zone: 'dca1'},
+        '10.0.0.2:1': {zone: 'dca1'},
+        '10.0.0.3:1': {zone: 'sjc1'}
+    });
+
+    assert.equal(filter.accept('10.0.0.1:1', new FakePeer(true)), true,
+        'accepts healthy local peer');
+    assert.equal(filter.accept('10.0.0.3:1', new FakePeer(true)), false,
+        'rejects remote peer');
+    assert.equal(filter.accept('10.0.0.2:1', new FakePeer(false)), false,
+        'rejects unconnected local peer');
+    assert.equal(filter.accept('10.0.0.2:1', new FakePeer(true, {})), false,
+        'rejects draining local peer');
+    assert.equal(filter.isSufficient(), false,
+        'one healthy local peer is not enough');
+
+    assert.equal(filter.accept('10.0.0.2:1', new FakePeer(true)), true,
+        'accepts second healthy local peer');
+    assert.equal(filter.isSufficient(), true,
+        'two healthy local peers are enough');
+
+    assert.end();
+});
@@ -0,0 +1,99 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+TrafficSplit.VersionFilter = VersionFilter;
+
+module.exports = TrafficSplit;
+
+/*  TrafficSplit divides the requests for one service between buckets of
+    advertised instances, where a bucket is every peer that advertised the
+    same metadata version:
+
+    weights :: Map<version, Number> // relative, e.g. {v41: 95, v42: 5}
+
+    Buckets with a weight of zero never receive traffic unless every other
+    bucket is empty.
+*/
+function TrafficSplit(serviceName, weights) {
+    this.serviceName = serviceName;
+    this.versions = [];
+    this.cumulative = [];
+    this.total = 0;
+
+    var versions = Object.keys(weights).sort();
+    for (var i = 0; i < versions.length; i++) {
+        var weight = weights[versions[i]];
+        if (weight > 0) {
+            this.total += weight;
+            this.versions.push(versions[i]);
+            this.cumulative.push(this.total);
+        }
+    }
+}
+
+// Returns the reason the weights are invalid, or null
+TrafficSplit.validate = function validate(weights) {
+    if (typeof weights !== 'object' || weights === null ||
+        Array.isArray(weights)) {
+        return 'expected an object of version to weight';
+    }
+
+    var versions = Object.keys(weights);
+    var total = 0;
+    for (var i = 0; i < versions.length; i++) {
+        var weight = weights[versions[i]];
+        if (typeof weight !== 'number' || !isFinite(weight) || weight < 0) {
+            return 'weight for ' + versions[i] + ' must be a non-negative number';
+        }
+        total += weight;
+    }
+
+    if (total <= 0) {
+        return 'weights must not all be zero';
+    }
+
+    return null;
+};
+
+// Picks a version given a uniform random number in [0, 1)
+TrafficSplit.prototype.chooseVersion =
+function chooseVersion(rand) {
+    var target = rand * this.total;
+    for (var i = 0; i < this.cumulative.length; i++) {
+        if (target < this.cumulative[i]) {
+            return this.versions[i];
+        }
+    }
+    return this.versions[this.versions.length - 1];
+};
+
+// Accepts only peers that advertised the given version
+function VersionFilter(metadataByHostPort, version) {
+    this.metadataByHostPort = metadataByHostPort;
+    this.version = version;
+}
+
+VersionFilter.prototype.accept =
+function accept(hostPort) {
+    var metadata = this.metadataByHostPort[hostPort];
+    return !!metadata && metadata.version === this.version;
+};
@@ -0,0 +1,115 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+module.exports = ZoneAffinity;
+
+/*  ZoneAffinity makes exit nodes prefer the workers in their own zone.
+
+    zone           :: ?String              // zone of this relay, static config
+    zonesByHost    :: Map<host, zone>      // host or hostPort, remote config
+    minLocalPeers  :: Number               // healthy local peers required
+                                           // before preferring the zone
+
+    A worker's zone is the zone it advertised in its metadata, else the zone
+    its hostPort or host maps to. A request spills over to every zone when
+    fewer than minLocalPeers local workers are healthy, i.e. connected and not
+    draining.
+*/
+function ZoneAffinity(zone) {
+    this.zone = zone || null;
+    this.enabled = false;
+    this.zonesByHost = Object.create(null);
+    this.minLocalPeers = 1;
+}
+
+ZoneAffinity.prototype.isEnabled =
+function isEnabled() {
+    return this.enabled && this.zone !== null;
+};
+
+ZoneAffinity.prototype.setEnabled =
+function setEnabled(enabled) {
+    this.enabled = !!enabled;
+};
+
+ZoneAffinity.prototype.setZonesByHost =
+function setZonesByHost(zonesByHost) {
+    this.zonesByHost = Object.create(null);
+
+    var hosts = Object.keys(zonesByHost);
+    for (var i = 0; i < hosts.length; i++) {
+        if (typeof zonesByHost[hosts[i]] === 'string') {
+            this.zonesByHost[hosts[i]] = zonesByHost[hosts[i]];
+        }
+    }
+};
+
+ZoneAffinity.prototype.setMinLocalPeers =
+function setMinLocalPeers(minLocalPeers) {
+    this.minLocalPeers = minLocalPeers > 0 ? minLocalPeers : 1;
+};
+
+ZoneAffinity.prototype.zoneOf =
+function zoneOf(hostPort, metadata) {
+    if (metadata && metadata.zone) {
+        return metadata.zone;
+    }
+
+    var zone = this.zonesByHost[hostPort];
+    if (zone === undefined) {
+        zone = this.zonesByHost[hostPort.split(':')[0]];
+    }
+    return zone || null;
+};
+
+// Returns a filter for chooseMatchingPeer
+ZoneAffinity.prototype.createFilter =
+function createFilter(metadataByHostPort) {
+    return new LocalZoneFilter(this, metadataByHostPort);
+};
+
+// Accepts healthy peers in the relay's zone, counting them as it goes so
+// the caller can tell whether there were enough of them.
+function LocalZoneFilter(zoneAffinity, metadataByHostPort) {
+    this.zoneAffinity = zoneAffinity;
+    this.metadataByHostPort = metadataByHostPort;
+    this.matched = 0;
+}
+
+LocalZoneFilter.prototype.accept =
+function accept(hostPort, peer) {
+    var zone = this.zoneAffinity.zoneOf(
+        hostPort, this.metadataByHostPort[hostPort]
+    );
+    if (zone !== this.zoneAffinity.zone ||
+        peer.draining || !peer.isConnected()) {
+        return false;
+    }
+
+    this.matched += 1;
+    return true;
+};
+
+LocalZoneFilter.prototype.isSufficient =
+function isSufficient() {
+    return this.matched >= this.zoneAffinity.minLocalPeers;
+};